@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface to the agents
+ *
+ *   node cli/index.js "What's the weather in Goa this weekend?"
+ *   node cli/index.js --agent places --category museum,fort --radius 5 Jaipur
+ *   node cli/index.js --batch queries.txt --json > answers.ndjson
+ *
+ * Prints the answer as text, or as JSON with --json. Set ANTHROPIC_API_KEY to let
+ * Claude answer parent agent queries. See cli/run.js (or --help) for every option.
+ */
+import { runCli } from './run.js';
+
+runCli(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
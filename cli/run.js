@@ -0,0 +1,247 @@
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parentAgent } from '../src/agents/parentAgent.js';
+import { getAgent } from '../src/agents/registry.js';
+import { runAgent } from '../src/agents/agentRunner.js';
+import { geocodeLocation, MAX_FORECAST_DAYS } from '../src/utils/api.js';
+import { extractDateRange } from '../src/utils/dates.js';
+import { PLACE_CATEGORIES, MAX_RADIUS_KM, MAX_LIMIT } from '../src/utils/placeFilters.js';
+import { LANGUAGES, resolveLocale } from '../src/i18n/index.js';
+
+// Agents that can be run on their own; 'parent' analyses the query and picks them itself
+const AGENTS = ['parent', 'weather', 'places', 'itinerary'];
+
+export const USAGE = `Usage: tourism [options] [query]
+
+Answers a query with the parent agent, or runs one agent for a location.
+
+Options:
+  -a, --agent <name>       ${AGENTS.join(', ')} (default parent)
+  -l, --location <place>   answer for this place (the query is the location for the other agents)
+  -d, --days <n>           forecast / trip length in days, starting today (1-${MAX_FORECAST_DAYS})
+  -c, --category <name>    place category, repeatable or comma-separated (${Object.keys(PLACE_CATEGORIES).join(', ')})
+  -r, --radius <km>        search radius for places (max ${MAX_RADIUS_KM})
+  -n, --limit <n>          number of places (max ${MAX_LIMIT})
+  -u, --units <units>      metric or imperial
+      --language <code>    ${Object.keys(LANGUAGES).join(', ')}
+      --time-format <fmt>  24h or 12h
+  -b, --batch <file>       answer one query per line of the file ("-" reads stdin);
+                           blank lines and lines starting with # are skipped
+      --json               print JSON (one object per line in batch mode)
+  -h, --help               show this help
+
+Set ANTHROPIC_API_KEY to let Claude answer parent agent queries.`;
+
+const OPTIONS = {
+  agent: { type: 'string', short: 'a', default: 'parent' },
+  location: { type: 'string', short: 'l' },
+  days: { type: 'string', short: 'd' },
+  category: { type: 'string', short: 'c', multiple: true },
+  radius: { type: 'string', short: 'r' },
+  limit: { type: 'string', short: 'n' },
+  units: { type: 'string', short: 'u' },
+  language: { type: 'string' },
+  'time-format': { type: 'string' },
+  batch: { type: 'string', short: 'b' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Error in the command line, reported with the usage
+ */
+export class UsageError extends Error {}
+
+function parseNumber(value, name, min, max) {
+  if (value === undefined) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new UsageError(`--${name} must be a number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function parseChoice(value, name, choices) {
+  if (value !== undefined && !choices.includes(value)) {
+    throw new UsageError(`--${name} must be one of: ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Turn the command-line arguments into
+ * { help, agent, query, location, dateRange, placesFilters, locale, batch, json }.
+ * placesFilters only holds the filters given as flags, so the query can still set the others.
+ * Throws a UsageError for unknown options or invalid values.
+ */
+export function parseCliArgs(argv, today = new Date()) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+  
+  const agent = parseChoice(values.agent, 'agent', AGENTS);
+  const days = parseNumber(values.days, 'days', 1, MAX_FORECAST_DAYS);
+  const radiusKm = parseNumber(values.radius, 'radius', 0.1, MAX_RADIUS_KM);
+  const limit = parseNumber(values.limit, 'limit', 1, MAX_LIMIT);
+  if (limit !== null && !Number.isInteger(limit)) {
+    throw new UsageError('--limit must be a whole number');
+  }
+  
+  const categories = (values.category || [])
+    .flatMap(value => value.split(','))
+    .map(category => category.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = categories.filter(category => !PLACE_CATEGORIES[category]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown categories: ${unknown.join(', ')} (try ${Object.keys(PLACE_CATEGORIES).join(', ')})`);
+  }
+  
+  const placesFilters = {};
+  if (categories.length > 0) placesFilters.categories = [...new Set(categories)];
+  if (radiusKm !== null) placesFilters.radiusKm = radiusKm;
+  if (limit !== null) placesFilters.limit = limit;
+  
+  return {
+    help: values.help,
+    agent,
+    query: positionals.join(' ').trim(),
+    location: (values.location || '').trim() || null,
+    // Whole days, the same range as asking for "the next N days"
+    dateRange: days ? extractDateRange(`next ${Math.round(days)} days`, today) : null,
+    placesFilters,
+    locale: resolveLocale(Object.fromEntries(Object.entries({
+      language: parseChoice(values.language, 'language', Object.keys(LANGUAGES)),
+      units: parseChoice(values.units, 'units', ['metric', 'imperial']),
+      timeFormat: parseChoice(values['time-format'], 'time-format', ['24h', '12h'])
+    }).filter(([, value]) => value !== undefined))),
+    batch: values.batch || null,
+    json: values.json
+  };
+}
+
+/**
+ * Answer one query (or location, for a single agent) with the parsed options
+ * Resolves to the parentAgent response, or the agent result with its status.
+ */
+export async function answer(text, options, apiKey = null) {
+  if (options.agent !== 'parent') {
+    const agent = getAgent(options.agent);
+    const location = options.location || text;
+    if (!location) {
+      return { success: false, error: `The ${options.agent} agent needs a location` };
+    }
+    const context = { userInput: text, dateRange: options.dateRange, placesFilters: options.placesFilters, locale: options.locale, location };
+    const { result, status } = await runAgent(agent, location, { ...agent.buildInput(context), locale: options.locale });
+    return { ...result, agent: agent.name, status };
+  }
+  
+  let location = null;
+  if (options.location) {
+    try {
+      location = await geocodeLocation(options.location);
+    } catch (error) {
+      // Reported like any other failed query, so a batch carries on with the next one
+      return { success: false, error: `Could not look up "${options.location}": ${error.message}` };
+    }
+    if (!location) {
+      return { success: false, error: `Could not find "${options.location}"` };
+    }
+  }
+  const response = await parentAgent(text || options.location, apiKey, {
+    location,
+    dateRange: options.dateRange,
+    placesFilters: options.placesFilters,
+    locale: options.locale
+  });
+  // The session only matters to a conversation, and repeats the results
+  const { session, ...rest } = response;
+  return rest;
+}
+
+/**
+ * Human-readable form of a response: its message, the places to choose from
+ * when the location was ambiguous, or the error
+ */
+export function formatResponse(response) {
+  if (response.needsDisambiguation) {
+    const candidates = response.candidates.map((candidate, i) => `  ${i + 1}. ${candidate.displayName}`);
+    return [response.message, ...candidates, 'Add --location with the full name to choose one.'].join('\n');
+  }
+  if (!response.success) {
+    return `Error: ${response.error}`;
+  }
+  return response.message;
+}
+
+async function readQueries(file, stdin) {
+  let text;
+  if (file === '-') {
+    const chunks = [];
+    for await (const chunk of stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString('utf8');
+  } else {
+    text = await readFile(file, 'utf8');
+  }
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Run the command line; resolves to the exit code
+ * 0 when every query was answered, 1 when any failed, 2 for invalid arguments.
+ * io: { stdout, stderr, stdin, env } (the process streams and environment by default)
+ */
+export async function runCli(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, stdin = process.stdin, env = process.env } = io;
+  const apiKey = (env.ANTHROPIC_API_KEY || '').trim() || null;
+  
+  let options;
+  try {
+    options = parseCliArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    stderr.write(`${error.message}\nRun with --help to see the options.\n`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  
+  let queries;
+  if (options.batch) {
+    try {
+      queries = await readQueries(options.batch, stdin);
+    } catch (error) {
+      stderr.write(`Could not read ${options.batch}: ${error.message}\n`);
+      return 2;
+    }
+  } else {
+    if (!options.query && !options.location) {
+      stderr.write('A query or --location is required\nRun with --help to see the options.\n');
+      return 2;
+    }
+    queries = [options.query];
+  }
+  
+  let failed = false;
+  for (const [i, query] of queries.entries()) {
+    const response = await answer(query, options, apiKey);
+    failed = failed || !response.success;
+    
+    if (options.json) {
+      stdout.write(`${JSON.stringify(options.batch ? { query, response } : response)}\n`);
+    } else if (options.batch) {
+      stdout.write(`${i > 0 ? '\n' : ''}> ${query}\n${formatResponse(response)}\n`);
+    } else {
+      (response.success ? stdout : stderr).write(`${formatResponse(response)}\n`);
+    }
+  }
+  return failed ? 1 : 0;
+}
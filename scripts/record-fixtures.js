@@ -0,0 +1,53 @@
+/**
+ * Record HTTP fixtures for offline runs and tests
+ *
+ *   node scripts/record-fixtures.js [--out fixtures/http.json] [--now 2026-03-14] "query one" "query two" ...
+ *
+ * Each query is answered live through parentAgent and every external response is
+ * added to the fixture file (existing fixtures are kept). Set ANTHROPIC_API_KEY to
+ * record the Claude analysis too. Replay them with loadFixtureFile() followed by
+ * setHttpMode('replay'). Claude's prompt includes today's date, so recordings with a
+ * key are made for the --now date (default today) and replayed with the same now option.
+ */
+import { existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { parentAgent } from '../src/agents/parentAgent.js';
+import { setHttpMode } from '../src/utils/httpRecorder.js';
+import { loadFixtureFile, saveFixtureFile } from '../src/utils/fixtureFiles.js';
+
+const DEFAULT_OUT = 'fixtures/http.json';
+
+async function main() {
+  const { values, positionals: queries } = parseArgs({
+    options: {
+      out: { type: 'string', default: DEFAULT_OUT },
+      now: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  const out = values.out;
+  const now = values.now ? new Date(`${values.now}T12:00:00`) : new Date();
+  
+  if (queries.length === 0 || Number.isNaN(now.getTime())) {
+    console.error('Usage: node scripts/record-fixtures.js [--out file.json] [--now YYYY-MM-DD] "query" ...');
+    process.exit(1);
+  }
+  
+  if (existsSync(out)) {
+    await loadFixtureFile(out);
+  }
+  setHttpMode('record');
+  
+  for (const query of queries) {
+    const response = await parentAgent(query, process.env.ANTHROPIC_API_KEY || null, { now });
+    console.log(`${response.success ? '✓' : '✗'} ${query}`);
+  }
+  
+  await saveFixtureFile(out);
+  console.log(`Saved fixtures to ${out}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { parentAgent } from '../src/agents/parentAgent.js';
+
+// Largest request body accepted (a session carries the previous results, so allow some room)
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Parse the JSON request body, refusing bodies over MAX_BODY_BYTES
+ */
+async function readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'The request is too large');
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    throw new HttpError(400, 'The request body is not valid JSON');
+  }
+}
+
+/**
+ * POST /api/query: { query, location?, session?, locale?, position? } -> the parentAgent response.
+ * With "Accept: application/x-ndjson" the answer is streamed as one JSON object per line:
+ * { type: 'progress', event } and { type: 'partial', response } while the agents work,
+ * then { type: 'result', response }.
+ */
+async function handleQuery(req, res, apiKey) {
+  const body = await readJson(req);
+  const query = typeof body.query === 'string' ? body.query.trim() : '';
+  if (!query) {
+    throw new HttpError(400, 'A query is required');
+  }
+  const options = {
+    location: body.location || null,
+    session: body.session || null,
+    locale: body.locale || null,
+    position: body.position || null
+  };
+  
+  if (!(req.headers.accept || '').includes('application/x-ndjson')) {
+    sendJson(res, 200, await parentAgent(query, apiKey, options));
+    return;
+  }
+  
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+  const send = (line) => {
+    if (!res.writableEnded) res.write(`${JSON.stringify(line)}\n`);
+  };
+  const response = await parentAgent(query, apiKey, {
+    ...options,
+    onProgress: (event) => send({ type: 'progress', event }),
+    onPartialResult: (partial) => send({ type: 'partial', response: partial })
+  });
+  send({ type: 'result', response });
+  res.end();
+}
+
+/**
+ * Files of the built app (dist/), with index.html for every other path
+ */
+async function serveStatic(req, res, staticDir) {
+  const root = resolve(staticDir);
+  let path;
+  try {
+    path = normalize(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+  } catch {
+    // A malformed escape such as "/%E0%A4%A"
+    throw new HttpError(400, 'The request path is not valid');
+  }
+  const file = resolve(join(root, path));
+  const inside = file === root || file.startsWith(root + sep);
+  
+  for (const candidate of inside ? [file, join(root, 'index.html')] : [join(root, 'index.html')]) {
+    try {
+      const content = await readFile(candidate);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(candidate)] || 'application/octet-stream' });
+      res.end(content);
+      return;
+    } catch {
+      // Not a file (or a directory) - try the next candidate
+    }
+  }
+  throw new HttpError(404, 'Not found');
+}
+
+/**
+ * Agent server request handler, for http.createServer
+ * The Claude API key stays on the server: browsers only ever see the answers.
+ *
+ * options.apiKey: Claude API key (optional, heuristics only without it)
+ * options.allowedOrigin: origin allowed to call the API from another site (CORS), if any
+ * options.staticDir: directory of the built app to serve next to the API, if any
+ */
+export function createRequestHandler({ apiKey = null, allowedOrigin = null, staticDir = null } = {}) {
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const cors = allowedOrigin
+      ? { 'Access-Control-Allow-Origin': allowedOrigin, 'Access-Control-Allow-Headers': 'Content-Type, Accept', 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS' }
+      : {};
+    for (const [name, value] of Object.entries(cors)) {
+      res.setHeader(name, value);
+    }
+    
+    try {
+      if (pathname === '/api/health' && req.method === 'GET') {
+        sendJson(res, 200, { ok: true, claude: Boolean(apiKey) });
+      } else if (pathname === '/api/query' && req.method === 'POST') {
+        await handleQuery(req, res, apiKey);
+      } else if (pathname.startsWith('/api/')) {
+        if (req.method === 'OPTIONS') {
+          res.writeHead(204);
+          res.end();
+          return;
+        }
+        throw ['/api/query', '/api/health'].includes(pathname)
+          ? new HttpError(405, 'Method not allowed')
+          : new HttpError(404, 'Not found');
+      } else if (staticDir && (req.method === 'GET' || req.method === 'HEAD')) {
+        await serveStatic(req, res, staticDir);
+      } else {
+        throw new HttpError(404, 'Not found');
+      }
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error(`${req.method} ${pathname} failed:`, error);
+      }
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, error.status || 500, { success: false, error: error instanceof HttpError ? error.message : 'The server failed to answer' });
+    }
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * .env support for the agent server
+ * Loads the project's .env file (the one Vite reads for the app) into process.env, so
+ * the server and src/config.js see the same settings. Variables already set in the
+ * environment take precedence. server/index.js imports this module first, since
+ * config.js reads the environment as soon as it is imported.
+ */
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const ENV_FILE = fileURLToPath(new URL('../.env', import.meta.url));
+
+/**
+ * Parse KEY=value lines; blank lines, # comments and an optional "export " are
+ * skipped, and quotes around a value are removed
+ */
+export function parseEnv(text) {
+  const variables = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+    const [, name, raw] = match;
+    const quoted = raw.match(/^(['"])(.*)\1$/);
+    variables[name] = quoted ? quoted[2] : raw.replace(/\s+#.*$/, '');
+  }
+  return variables;
+}
+
+/**
+ * Copy the variables of an env file into process.env, keeping any that are already set
+ */
+export function loadEnvFile(path = ENV_FILE) {
+  if (!existsSync(path)) return;
+  for (const [name, value] of Object.entries(parseEnv(readFileSync(path, 'utf8')))) {
+    if (process.env[name] === undefined) {
+      process.env[name] = value;
+    }
+  }
+}
+
+loadEnvFile();
@@ -0,0 +1,50 @@
+/**
+ * Agent server
+ *
+ *   ANTHROPIC_API_KEY=... node server/index.js
+ *
+ * Answers POST /api/query with parentAgent, so the Claude API key and the calls to
+ * Nominatim, Open-Meteo and Overpass stay off the browser. Those calls are cached
+ * for every user of the server. Also serves the built app (npm run build) from dist/.
+ *
+ * Environment: PORT (default 8787), ANTHROPIC_API_KEY, CORS_ORIGIN (origin of an app
+ * hosted elsewhere), VITE_HTTP_USER_AGENT (identifies the app to Nominatim) and the
+ * endpoint/provider settings in src/config.js, from the environment or the .env file
+ * in the project root (see env.js).
+ */
+import './env.js';
+import { createServer } from 'node:http';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { createRequestHandler } from './app.js';
+import { setResponseCache } from '../src/utils/httpRecorder.js';
+import { createResponseCache } from '../src/utils/responseCache.js';
+import { endpoints } from '../src/config.js';
+
+const DEFAULT_PORT = 8787;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Places rarely change; weather is only cached for as long as it stays current
+const CACHE_RULES = [
+  { prefixes: [...endpoints.nominatim, ...endpoints.photon], ttlMs: 24 * HOUR_MS },
+  { prefixes: endpoints.overpass, ttlMs: 24 * HOUR_MS },
+  { prefixes: endpoints.openMeteo, ttlMs: 10 * MINUTE_MS }
+];
+
+const staticDir = fileURLToPath(new URL('../dist', import.meta.url));
+const port = Number(process.env.PORT) || DEFAULT_PORT;
+const apiKey = (process.env.ANTHROPIC_API_KEY || '').trim() || null;
+
+setResponseCache(createResponseCache({ rules: CACHE_RULES }));
+
+const server = createServer(createRequestHandler({
+  apiKey,
+  allowedOrigin: process.env.CORS_ORIGIN || null,
+  staticDir: existsSync(staticDir) ? staticDir : null
+}));
+
+server.listen(port, () => {
+  console.log(`Agent server listening on http://localhost:${port} (Claude ${apiKey ? 'enabled' : 'disabled, using heuristics'})`);
+});
@@ -1,95 +1,404 @@
-import { useState, useEffect } from 'react';
-import { parentAgent } from './agents/parentAgent.js';
+import { useState, useEffect, useRef } from 'react';
+import { parentAgent, isNearMeQuery } from './agents/parentAgent.js';
+import { createSession } from './agents/session.js';
+import ChatMessage from './components/ChatMessage.jsx';
+import ProgressTimeline from './components/ProgressTimeline.jsx';
+import TripsPanel from './components/TripsPanel.jsx';
+import QueryHistory from './components/QueryHistory.jsx';
+import { LANGUAGES, resolveLocale, createTranslator } from './i18n/index.js';
+import { askAgentServer, fetchServerStatus } from './utils/agentServer.js';
+import { agentServer } from './config.js';
+import { openTripStore } from './utils/tripStore.js';
+import { createTrip, createFavourite, tripToResponse, refreshTrip, importTrips } from './utils/trips.js';
+import { buildQueryLink, parseQueryLink } from './utils/deepLinks.js';
+import { loadHistory, saveHistory, addToHistory } from './utils/queryHistory.js';
+import { getCurrentPosition } from './utils/geolocation.js';
+
+// Stored preferences, ignoring anything that no longer parses
+function loadLocale() {
+  try {
+    return resolveLocale(JSON.parse(localStorage.getItem('locale')));
+  } catch {
+    return resolveLocale();
+  }
+}
+
+function saveLocale(locale) {
+  localStorage.setItem('locale', JSON.stringify(locale));
+}
+
+// Answer a query with the agent server, or without one in the page (on heuristics only)
+function askAgents(queryText, options) {
+  return agentServer.mode === 'server'
+    ? askAgentServer(queryText, options)
+    : parentAgent(queryText, null, options);
+}
+
+// The part of a geocoded place that links and the history need to answer for it again
+function pinnedLocation(place) {
+  return place ? { displayName: place.displayName, lat: Number(place.lat), lon: Number(place.lon) } : null;
+}
+
+// Newest first
+const byRecent = (a, b) => (b.updatedAt || b.savedAt || '').localeCompare(a.updatedAt || a.savedAt || '');
 
 function App() {
   const [query, setQuery] = useState('');
   const [loading, setLoading] = useState(false);
-  const [result, setResult] = useState(null);
-  const [error, setError] = useState(null);
-  const [apiKey, setApiKey] = useState(() => {
-    // Load API key from localStorage if available
-    return localStorage.getItem('claude_api_key') || '';
-  });
-
-  // Save API key to localStorage when it changes
+  const [streaming, setStreaming] = useState(false);
+  const [progress, setProgress] = useState([]);
+  const [messages, setMessages] = useState([]);
+  const [session, setSession] = useState(() => createSession());
+  // Whether the agent server is up and has a Claude API key (null until it answers)
+  const [serverStatus, setServerStatus] = useState(null);
+  // Query the page was opened with (?q=...), answered once on load
+  const [link] = useState(() => parseQueryLink(window.location.search));
+  const linkHandledRef = useRef(false);
+  // Response language, units and time format; a link's preferences override the stored ones
+  // for this visit only
+  const [locale, setLocale] = useState(() => ({ ...loadLocale(), ...link?.locale }));
+  // Recent queries, newest first
+  const [history, setHistory] = useState(loadHistory);
+  // Saved trips and favourite attractions, kept in IndexedDB
+  const [tripStore] = useState(openTripStore);
+  const [trips, setTrips] = useState([]);
+  const [favourites, setFavourites] = useState([]);
+  const [tripError, setTripError] = useState(null);
+  const [refreshingTripId, setRefreshingTripId] = useState(null);
+  const transcriptEndRef = useRef(null);
+  const t = createTranslator(locale);
+
+  // The Claude API key now lives on the agent server; drop any key an older version stored
+  useEffect(() => {
+    localStorage.removeItem('claude_api_key');
+    if (agentServer.mode === 'server') {
+      fetchServerStatus().then(setServerStatus);
+    }
+  }, []);
+
   useEffect(() => {
-    if (apiKey) {
-      localStorage.setItem('claude_api_key', apiKey);
-    } else {
-      localStorage.removeItem('claude_api_key');
+    saveHistory(history);
+  }, [history]);
+
+  const loadTrips = async () => {
+    setTrips((await tripStore.trips.list()).sort(byRecent));
+    setFavourites((await tripStore.favourites.list()).sort(byRecent));
+  };
+
+  useEffect(() => {
+    loadTrips().catch((err) => setTripError(t('ui.tripsLoadFailed', { error: err.message })));
+  }, []);
+
+  // Only the user's own choices are stored, never the preferences a shared link came with
+  const updateLocale = (changes) => {
+    setLocale((previous) => ({ ...previous, ...changes }));
+    saveLocale({ ...loadLocale(), ...changes });
+  };
+
+  // Keep the latest turn in view
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages, loading, progress]);
+
+  const addMessage = (message) => {
+    setMessages((previous) => [...previous, { id: Date.now() + Math.random(), ...message }]);
+  };
+
+  // Add a message, or replace the one with the same id (results arriving agent by agent)
+  const upsertMessage = (id, message) => {
+    setMessages((previous) => previous.some((m) => m.id === id)
+      ? previous.map((m) => (m.id === id ? { id, ...message } : m))
+      : [...previous, { id, ...message }]);
+  };
+
+  // Run the agents for a query, optionally pinned to a location the user picked.
+  // Replies keep the locale they were written in, so their cards match the message.
+  const runQuery = async (queryText, location = null) => {
+    setLoading(true);
+    setProgress([]);
+    const replyId = Date.now() + Math.random();
+    // Steps taken for this query, kept with the reply so failures can be traced afterwards
+    const steps = [];
+    const onProgress = (event) => {
+      steps.push(event);
+      setProgress([...steps]);
+    };
+
+    // Show each agent's section as soon as it finishes
+    const onPartialResult = (partial) => {
+      setStreaming(true);
+      upsertMessage(replyId, { role: 'assistant', response: partial, steps: [...steps], locale });
+    };
+
+    try {
+      // Questions about "here" need the user's position, which the browser asks them to share
+      let position = null;
+      if (!location && isNearMeQuery(queryText)) {
+        onProgress({ type: 'position', level: 'info', message: t('progress.askingPosition'), timestamp: Date.now() });
+        try {
+          position = await getCurrentPosition();
+        } catch (err) {
+          onProgress({ type: 'position', level: 'warning', message: err.reason ? t(`position.${err.reason}`) : err.message, timestamp: Date.now() });
+        }
+      }
+
+      const response = await askAgents(queryText, { location, session, locale, position, onPartialResult, onProgress });
+      
+      if (response.success) {
+        upsertMessage(replyId, { role: 'assistant', response, steps, locale });
+        setSession(response.session);
+        // Pin the place when it didn't come from the query itself (a chosen candidate, or the
+        // place a follow-up referred to), so re-runs and links work outside this conversation
+        const fromSession = steps.some((event) => event.type === 'location-resolved' && event.source === 'session');
+        const pinned = pinnedLocation(location || (fromSession ? response.session?.location : null));
+        setHistory((previous) => addToHistory(previous, { query: queryText, location: pinned, locationName: response.results?.location || '' }));
+        window.history.replaceState(null, '', buildQueryLink({ query: queryText, location: pinned, locale }, window.location.href));
+      } else if (response.needsDisambiguation) {
+        upsertMessage(replyId, { role: 'assistant', query: queryText, disambiguation: response, steps, locale });
+      } else {
+        upsertMessage(replyId, { role: 'assistant', error: response.error || t('ui.genericError'), steps, locale });
+      }
+    } catch (err) {
+      upsertMessage(replyId, { role: 'assistant', error: err.message || t('ui.requestFailed'), steps, locale });
+    } finally {
+      setLoading(false);
+      setStreaming(false);
     }
-  }, [apiKey]);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (!query.trim()) {
-      setError('Please enter a query');
       return;
     }
 
-    // API key is optional - system works without it
-    setLoading(true);
-    setError(null);
-    setResult(null);
+    const queryText = query.trim();
+    addMessage({ role: 'user', text: queryText });
+    setQuery('');
+    await runQuery(queryText);
+  };
+
+  const handleChooseLocation = async (queryText, candidate) => {
+    addMessage({ role: 'user', text: candidate.displayName });
+    await runQuery(queryText, candidate);
+  };
+
+  const handleRerun = async (entry) => {
+    addMessage({ role: 'user', text: entry.query });
+    await runQuery(entry.query, entry.location);
+  };
+
+  const linkFor = (entry) => buildQueryLink({ query: entry.query, location: entry.location, locale }, window.location.href);
 
+  // Opening a shared link answers its query straight away (once, even when effects run twice in development)
+  useEffect(() => {
+    if (!link || linkHandledRef.current) return;
+    linkHandledRef.current = true;
+    addMessage({ role: 'user', text: link.query });
+    runQuery(link.query, link.location);
+  }, []);
+
+  // Keep an answer as a trip; resolves to the saved trip
+  const handleSaveTrip = async (response, options) => {
+    const trip = createTrip(response, options);
+    if (!trip) return null;
     try {
-      const response = await parentAgent(query, apiKey.trim() || null);
-      
-      if (response.success) {
-        setResult(response);
+      await tripStore.trips.put(trip);
+      setTrips((previous) => [trip, ...previous]);
+      setTripError(null);
+      return trip;
+    } catch (err) {
+      setTripError(t('ui.tripSaveFailed', { error: err.message }));
+      return null;
+    }
+  };
+
+  // Show a saved trip in the conversation, in the language it was saved in
+  const openTrip = (trip) => {
+    addMessage({ role: 'assistant', response: tripToResponse(trip), trip, locale: trip.locale || locale });
+  };
+
+  const handleRefreshTrip = async (trip) => {
+    setRefreshingTripId(trip.id);
+    try {
+      const refreshed = await refreshTrip(trip, askAgents);
+      await tripStore.trips.put(refreshed);
+      setTrips((previous) => [refreshed, ...previous.filter((t) => t.id !== trip.id)]);
+      setTripError(null);
+      openTrip(refreshed);
+    } catch (err) {
+      setTripError(t('ui.tripRefreshFailed', { name: trip.name, error: err.message }));
+    } finally {
+      setRefreshingTripId(null);
+    }
+  };
+
+  const handleDeleteTrip = async (trip) => {
+    if (!window.confirm(t('ui.confirmDeleteTrip', { name: trip.name }))) return;
+    try {
+      await tripStore.trips.delete(trip.id);
+      setTrips((previous) => previous.filter((t) => t.id !== trip.id));
+      setTripError(null);
+    } catch (err) {
+      setTripError(t('ui.tripDeleteFailed', { name: trip.name, error: err.message }));
+    }
+  };
+
+  // Trips with the same id as an imported one are replaced
+  const handleImportTrips = async (text) => {
+    try {
+      const imported = importTrips(text);
+      await Promise.all([
+        ...imported.trips.map((trip) => tripStore.trips.put(trip)),
+        ...imported.favourites.map((place) => tripStore.favourites.put(place))
+      ]);
+      await loadTrips();
+      setTripError(null);
+    } catch (err) {
+      setTripError(t('ui.tripsImportFailed', { error: err.message }));
+    }
+  };
+
+  const handleToggleFavourite = async (place, locationName) => {
+    try {
+      if (favourites.some((favourite) => favourite.id === place.id)) {
+        await tripStore.favourites.delete(place.id);
+        setFavourites((previous) => previous.filter((favourite) => favourite.id !== place.id));
       } else {
-        setError(response.error || 'An error occurred');
+        const favourite = createFavourite(place, locationName);
+        await tripStore.favourites.put(favourite);
+        setFavourites((previous) => [favourite, ...previous]);
       }
+      setTripError(null);
     } catch (err) {
-      setError(err.message || 'Failed to process your request');
-    } finally {
-      setLoading(false);
+      setTripError(t('ui.favouriteFailed', { error: err.message }));
     }
   };
 
+  const startNewConversation = () => {
+    setMessages([]);
+    setSession(createSession());
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 py-8 px-4">
       <div className="max-w-4xl mx-auto">
         {/* Header */}
         <div className="text-center mb-8">
           <h1 className="text-4xl font-bold text-gray-800 mb-2">
-            🌍 Multi-Agent Tourism System
+            🌍 {t('ui.title')}
           </h1>
           <p className="text-gray-600">
-            Ask about weather and places to visit in any location
+            {t('ui.tagline')}
           </p>
         </div>
 
-        {/* API Key Input - Optional */}
-        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-          <label className="block text-sm font-medium text-gray-700 mb-2">
-            Claude API Key <span className="text-gray-500 font-normal">(Optional - for enhanced AI analysis)</span>
-          </label>
-          <input
-            type="password"
-            value={apiKey}
-            onChange={(e) => setApiKey(e.target.value)}
-            placeholder="Enter your Anthropic Claude API key (optional)"
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-          />
-          <p className="mt-2 text-xs text-gray-500">
-            The system works without an API key using smart heuristics. Adding a Claude API key provides enhanced natural language understanding.
-            Your API key is stored locally and never sent to any server except Anthropic's API.
+        {/* Agent server status */}
+        {agentServer.mode === 'server' && serverStatus && (
+          <p className={`text-sm text-center mb-4 ${serverStatus.ok ? 'text-gray-600' : 'text-red-600'}`}>
+            {!serverStatus.ok
+              ? t('ui.serverDown')
+              : serverStatus.claude
+                ? t('ui.claudeAnswers')
+                : t('ui.heuristicAnswers')}
           </p>
+        )}
+
+        {/* Preferences */}
+        <div className="bg-white rounded-lg shadow-md p-4 mb-6 flex flex-wrap gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            {t('ui.language')}
+            <select
+              value={locale.language}
+              onChange={(e) => updateLocale({ language: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-lg"
+            >
+              {Object.entries(LANGUAGES).map(([code, language]) => (
+                <option key={code} value={code}>{language.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            {t('ui.units')}
+            <select
+              value={locale.units}
+              onChange={(e) => updateLocale({ units: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-lg"
+            >
+              <option value="metric">{t('ui.metric')}</option>
+              <option value="imperial">{t('ui.imperial')}</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">
+            {t('ui.time')}
+            <select
+              value={locale.timeFormat}
+              onChange={(e) => updateLocale({ timeFormat: e.target.value })}
+              className="px-2 py-1 border border-gray-300 rounded-lg"
+            >
+              <option value="24h">{t('ui.24h')}</option>
+              <option value="12h">{t('ui.12h')}</option>
+            </select>
+          </label>
         </div>
 
+        {/* Conversation Transcript */}
+        {messages.length > 0 && (
+          <div className="space-y-4 mb-6">
+            <div className="flex justify-between items-center">
+              <h2 className="text-lg font-semibold text-gray-800">
+                {t('ui.conversation')}{session.locationName && <span className="ml-2 text-sm font-normal text-gray-600">{t('ui.talkingAbout', { location: session.locationName })}</span>}
+              </h2>
+              <button
+                type="button"
+                onClick={startNewConversation}
+                disabled={loading}
+                className="text-sm text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+              >
+                {t('ui.newConversation')}
+              </button>
+            </div>
+            {messages.map((message) => (
+              <ChatMessage
+                key={message.id}
+                message={message}
+                onChooseLocation={handleChooseLocation}
+                disabled={loading}
+                onSaveTrip={handleSaveTrip}
+                favouriteIds={favourites.map((favourite) => favourite.id)}
+                onToggleFavourite={handleToggleFavourite}
+              />
+            ))}
+
+            {/* Loading State with the live step timeline */}
+            {loading && (
+              <div className="bg-white rounded-lg shadow-md p-6">
+                {!streaming && (
+                  <div className="text-center mb-4">
+                    <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mb-4"></div>
+                    <p className="text-gray-600">{t('ui.processing')}</p>
+                  </div>
+                )}
+                <ProgressTimeline events={progress} />
+              </div>
+            )}
+            <div ref={transcriptEndRef} />
+          </div>
+        )}
+
         {/* Query Input */}
         <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-6">
           <label className="block text-sm font-medium text-gray-700 mb-2">
-            Enter your query
+            {messages.length > 0 ? t('ui.askFollowUp') : t('ui.enterQuery')}
           </label>
           <div className="flex gap-2">
             <input
               type="text"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="e.g., I'm going to Bangalore, what is the temperature there? And what are the places I can visit?"
+              placeholder={messages.length > 0 ? t('ui.followUpPlaceholder') : t('ui.queryPlaceholder')}
               className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent text-lg"
               disabled={loading}
             />
@@ -98,123 +407,48 @@ function App() {
               disabled={loading || !query.trim()}
               className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed font-medium transition-colors"
             >
-              {loading ? 'Processing...' : 'Search'}
+              {loading ? t('ui.sending') : t('ui.send')}
             </button>
           </div>
         </form>
 
-        {/* Loading State */}
-        {loading && (
-          <div className="bg-white rounded-lg shadow-md p-8 text-center">
-            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mb-4"></div>
-            <p className="text-gray-600">Processing your request...</p>
-          </div>
-        )}
-
-        {/* Error Display */}
-        {error && !loading && (
-          <div className="bg-red-50 border-l-4 border-red-500 rounded-lg shadow-md p-6 mb-6">
-            <div className="flex items-start">
-              <div className="flex-shrink-0">
-                <svg className="h-5 w-5 text-red-500 mt-0.5" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                </svg>
-              </div>
-              <div className="ml-3 flex-1">
-                <p className="text-base text-red-700 leading-relaxed">{error}</p>
-              </div>
-            </div>
-          </div>
-        )}
-
-        {/* Results Display */}
-        {result && !loading && (
-          <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
-            <h2 className="text-2xl font-bold text-gray-800 mb-4">
-              Results for {result.location || 'your query'}
-            </h2>
-
-            {/* Weather Information */}
-            {result.results?.weather && result.results.weather.success && (
-              <div className="border-l-4 border-blue-500 bg-blue-50 rounded-lg p-4">
-                <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center">
-                  <span className="mr-2">🌤️</span>
-                  Weather Information
-                </h3>
-                <p className="text-gray-700 text-lg">
-                  {result.results.weather.message}
-                </p>
-                {result.results.weather.data && (
-                  <div className="mt-3 grid grid-cols-2 gap-4">
-                    <div>
-                      <span className="text-sm text-gray-600">Temperature:</span>
-                      <span className="ml-2 font-semibold text-gray-800">
-                        {result.results.weather.data.temperature}°C
-                      </span>
-                    </div>
-                    <div>
-                      <span className="text-sm text-gray-600">Rain Chance:</span>
-                      <span className="ml-2 font-semibold text-gray-800">
-                        {result.results.weather.data.precipitationProbability}%
-                      </span>
-                    </div>
-                  </div>
-                )}
-              </div>
-            )}
-
-            {/* Places Information */}
-            {result.results?.places && result.results.places.success && (
-              <div className="border-l-4 border-green-500 bg-green-50 rounded-lg p-4">
-                <h3 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
-                  <span className="mr-2">📍</span>
-                  Tourist Attractions
-                </h3>
-                {result.results.places.places && result.results.places.places.length > 0 ? (
-                  <ul className="space-y-2">
-                    {result.results.places.places.map((place, index) => (
-                      <li key={index} className="flex items-start">
-                        <span className="text-green-600 mr-2">•</span>
-                        <span className="text-gray-700">{place.name}</span>
-                        <span className="ml-2 text-xs text-gray-500 bg-gray-200 px-2 py-1 rounded">
-                          {place.type}
-                        </span>
-                      </li>
-                    ))}
-                  </ul>
-                ) : (
-                  <p className="text-gray-700">{result.results.places.message}</p>
-                )}
-              </div>
-            )}
-
-            {/* Combined Message */}
-            {result.message && (
-              <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-                <h3 className="text-sm font-semibold text-gray-600 mb-2">Summary</h3>
-                <p className="text-gray-700 whitespace-pre-line">{result.message}</p>
-              </div>
-            )}
-          </div>
-        )}
-
         {/* Example Queries */}
-        {!result && !loading && (
+        {messages.length === 0 && !loading && (
           <div className="bg-white rounded-lg shadow-md p-6 mt-6">
-            <h3 className="text-lg font-semibold text-gray-800 mb-3">Example Queries</h3>
+            <h3 className="text-lg font-semibold text-gray-800 mb-3">{t('ui.examples')}</h3>
             <div className="space-y-2 text-sm text-gray-600">
-              <p className="cursor-pointer hover:text-indigo-600" onClick={() => setQuery("I'm going to go to Bangalore, let's plan my trip.")}>
-                • "I'm going to go to Bangalore, let's plan my trip."
-              </p>
-              <p className="cursor-pointer hover:text-indigo-600" onClick={() => setQuery("I'm going to go to Bangalore, what is the temperature there?")}>
-                • "I'm going to go to Bangalore, what is the temperature there?"
-              </p>
-              <p className="cursor-pointer hover:text-indigo-600" onClick={() => setQuery("I'm going to go to Bangalore, what is the temperature there? And what are the places I can visit?")}>
-                • "I'm going to go to Bangalore, what is the temperature there? And what are the places I can visit?"
-              </p>
+              {['ui.example1', 'ui.example2', 'ui.example3'].map((key) => (
+                <p key={key} className="cursor-pointer hover:text-indigo-600" onClick={() => setQuery(t(key))}>
+                  • "{t(key)}"
+                </p>
+              ))}
             </div>
           </div>
         )}
+
+        {/* Recent queries */}
+        <QueryHistory
+          entries={history}
+          linkFor={linkFor}
+          onRun={handleRerun}
+          onClear={() => setHistory([])}
+          disabled={loading}
+          locale={locale}
+        />
+
+        {/* Saved trips and favourite places */}
+        <TripsPanel
+          trips={trips}
+          favourites={favourites}
+          busyId={refreshingTripId}
+          error={tripError}
+          onOpen={openTrip}
+          onRefresh={handleRefreshTrip}
+          onDelete={handleDeleteTrip}
+          onImport={handleImportTrips}
+          onRemoveFavourite={(place) => handleToggleFavourite(place)}
+          locale={locale}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,90 @@
+import { MissingFixtureError } from '../utils/httpRecorder.js';
+import { ApiError, apiErrorMessage } from '../utils/http.js';
+import { createTranslator } from '../i18n/index.js';
+
+/**
+ * Agent Runner
+ * Runs the selected child agents concurrently. Each agent gets its own timeout
+ * and AbortController, and a slow or failing agent never affects the others.
+ */
+
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Run one agent within its timeout. Never throws: returns the agent result
+ * together with its status { state: 'ok' | 'timeout' | 'failed', error, reason, durationMs }
+ * (reason is the ApiError kind when an API call failed, e.g. 'rate-limited'; error is in
+ * the language of input.locale).
+ * The one exception is a replayed request that was never recorded (MissingFixtureError),
+ * which fails the whole query rather than one agent.
+ */
+export async function runAgent(agent, location, input) {
+  const t = createTranslator(input.locale);
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  let timer;
+  
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve(TIMED_OUT);
+    }, agent.timeoutMs);
+  });
+  
+  try {
+    const result = await Promise.race([
+      agent.run(location, { ...input, signal: controller.signal }),
+      timeout
+    ]);
+    const durationMs = Date.now() - startedAt;
+    
+    if (result === TIMED_OUT) {
+      const error = t('agent.timedOut', { name: agent.name, seconds: Math.round(agent.timeoutMs / 1000) });
+      return { result: { success: false, error }, status: { state: 'timeout', error, reason: 'timeout', durationMs } };
+    }
+    
+    if (!result || !result.success) {
+      const error = (result && result.error) || t('agent.noResult', { name: agent.name });
+      const reason = (result && result.reason) || 'failed';
+      return { result: result || { success: false, error }, status: { state: 'failed', error, reason, durationMs } };
+    }
+    
+    return { result, status: { state: 'ok', error: null, reason: null, durationMs } };
+  } catch (error) {
+    if (error instanceof MissingFixtureError) throw error;
+    const message = error instanceof ApiError ? apiErrorMessage(error, t) : error.message || t('agent.failed', { name: agent.name });
+    return {
+      result: { success: false, error: message },
+      status: { state: 'failed', error: message, reason: error.kind || 'failed', durationMs: Date.now() - startedAt }
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run several agents at once
+ * inputFor(agent) builds each agent's input. callbacks.onStarted(name) is called as
+ * each agent starts and callbacks.onSettled(name, result, status) as it finishes, so
+ * callers can show results as they arrive.
+ * Resolves once every agent has finished or timed out.
+ */
+export async function runAgents(agents, location, inputFor, callbacks = {}) {
+  const { onStarted, onSettled } = callbacks;
+  const results = {};
+  const statuses = {};
+  
+  await Promise.all(agents.map(async agent => {
+    if (onStarted) {
+      onStarted(agent.name);
+    }
+    const { result, status } = await runAgent(agent, location, inputFor(agent));
+    results[agent.name] = result;
+    statuses[agent.name] = status;
+    if (onSettled) {
+      onSettled(agent.name, result, status);
+    }
+  }));
+  
+  return { results, statuses };
+}
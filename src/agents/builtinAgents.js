@@ -0,0 +1,12 @@
+import { registerAgent } from './registry.js';
+import { weatherAgentDefinition } from './weatherAgent.js';
+import { placesAgentDefinition } from './placesAgent.js';
+import { itineraryAgentDefinition } from './itineraryAgent.js';
+
+/**
+ * Built-in child agents, registered in the order they run and are displayed.
+ * Import this module once (parentAgent does) before using the registry.
+ */
+registerAgent(weatherAgentDefinition);
+registerAgent(placesAgentDefinition);
+registerAgent(itineraryAgentDefinition);
@@ -0,0 +1,258 @@
+import { createClaudeMessage, geocodeCandidates } from '../utils/api.js';
+import { listAgents, comparableAgents } from './registry.js';
+import { runAgent } from './agentRunner.js';
+import { buildComparison } from './comparison.js';
+import { reportAgentFinished } from './progress.js';
+import { formatDate, formatRangeLabel } from '../utils/dates.js';
+import { resolveLocale, createTranslator, LANGUAGES } from '../i18n/index.js';
+import { MissingFixtureError } from '../utils/httpRecorder.js';
+
+// Most request/tool-call round trips one query may take before giving up
+const MAX_TOOL_ROUNDS = 6;
+
+// How many candidates the geocode tool returns
+const GEOCODE_TOOL_CANDIDATES = 3;
+
+// Built-in tool for checking place names before (or instead of) asking an agent
+const GEOCODE_TOOL = {
+  name: 'geocode',
+  description: 'Look up a place name and return the best matching places with their coordinates. Use it to check that a place exists or to tell apart places that share a name.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', description: 'Place name, e.g. "Springfield, Illinois"' }
+    },
+    required: ['location']
+  }
+};
+
+/**
+ * Claude tool definitions: geocode plus one tool per registered agent,
+ * whose input is the agent's inputSchema with the location added
+ */
+export function agentTools() {
+  return [
+    GEOCODE_TOOL,
+    ...listAgents().map(agent => ({
+      name: agent.toolName,
+      description: agent.description,
+      input_schema: {
+        ...agent.inputSchema,
+        properties: {
+          location: { type: 'string', description: 'City or place name' },
+          ...agent.inputSchema.properties
+        },
+        required: ['location', ...(agent.inputSchema.required || [])]
+      }
+    }))
+  ];
+}
+
+/**
+ * The language and units Claude should answer in
+ */
+export function localeInstruction(locale) {
+  const { language, units, timeFormat } = resolveLocale(locale);
+  const system = units === 'imperial' ? 'imperial units (°F, miles)' : 'metric units (°C, km)';
+  return `Answer in ${LANGUAGES[language].englishName}, using ${system} and the ${timeFormat === '12h' ? '12-hour' : '24-hour'} clock. Tool results are always metric.`;
+}
+
+/**
+ * System prompt: how to use the tools, today's date, the user's language and units
+ * and what the conversation was about
+ */
+function systemPrompt(session, locale, now) {
+  const lines = [
+    'You are a friendly travel assistant. Answer the question with the tools, which return live weather, attractions and trip plans from OpenStreetMap and Open-Meteo.',
+    'Call a tool for every place the question is about (several times to compare places), then answer in a few short sentences or a short list, using only facts from the tool results.',
+    'If a place cannot be found or a tool fails, say so and suggest what the user could try instead.',
+    `Today is ${formatDate(now)}.`,
+    localeInstruction(locale)
+  ];
+  if (session && session.locationName) {
+    lines.push(`The conversation so far was about ${session.locationName}; "there" and similar words refer to it.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Agent input from tool input: the tool's date ranges have no label, so add one in the
+ * user's language for the agent's messages
+ */
+function agentInputFromTool(input, locale) {
+  const { location, ...agentInput } = input;
+  if (agentInput.dateRange && agentInput.dateRange.start && !agentInput.dateRange.label) {
+    const { start, end = start } = agentInput.dateRange;
+    const { language } = resolveLocale(locale);
+    agentInput.dateRange = {
+      start,
+      end,
+      label: formatRangeLabel({ start, end }, createTranslator(locale), LANGUAGES[language].dateLocale)
+    };
+  }
+  return agentInput;
+}
+
+/**
+ * Resolve a tool's location, reusing the conversation's place when Claude refers to it by name
+ */
+async function resolveToolLocation(location, session) {
+  if (session && session.location && session.locationName.toLowerCase() === location.toLowerCase()) {
+    return session.location;
+  }
+  const candidates = await geocodeCandidates(location);
+  return candidates[0] || null;
+}
+
+/**
+ * The filters the user asked for (categories, radius, limit), which win over Claude's choices
+ */
+function requestedFilters(placesFilters) {
+  if (!placesFilters) return {};
+  const { categories, radiusKm, limit } = placesFilters;
+  return {
+    ...(categories && categories.length > 0 ? { categories } : {}),
+    ...(radiusKm ? { radiusKm } : {}),
+    ...(limit ? { limit } : {})
+  };
+}
+
+/**
+ * Execute one tool_use block. Agent results are collected per place in entries
+ * (a Map of place name to { name, geoData, results, agentStatus }).
+ * Returns the tool_result content for Claude and whether it is an error.
+ */
+async function callTool(call, entries, { session, report, locale, placesFilters }) {
+  const t = createTranslator(locale);
+  const location = String(call.input.location || '').trim();
+  if (!location) {
+    return { content: 'A location is required.', isError: true };
+  }
+  
+  try {
+    if (call.name === GEOCODE_TOOL.name) {
+      report('location-lookup', 'info', t('progress.lookingUp', { location }), { location });
+      const candidates = (await geocodeCandidates(location)).slice(0, GEOCODE_TOOL_CANDIDATES);
+      if (candidates.length === 0) {
+        report('location-not-found', 'warning', t('progress.notFound', { location }), { location });
+        return { content: `No place called "${location}" was found.`, isError: false };
+      }
+      return {
+        content: JSON.stringify(candidates.map(({ displayName, lat, lon, type, importance }) => ({ displayName, lat, lon, type, importance }))),
+        isError: false
+      };
+    }
+    
+    const agent = listAgents().find(candidate => candidate.toolName === call.name);
+    if (!agent) {
+      return { content: `Unknown tool "${call.name}".`, isError: true };
+    }
+    
+    const geoData = await resolveToolLocation(location, session);
+    if (!geoData) {
+      report('location-not-found', 'warning', t('progress.notFound', { location }), { location });
+      return { content: `No place called "${location}" was found.`, isError: true };
+    }
+    const name = geoData.displayName.split(',')[0];
+    if (!entries.has(name)) {
+      entries.set(name, { name, geoData, results: {}, agentStatus: {} });
+      report('location-resolved', 'success', t('progress.found', { place: geoData.displayName }), { location: name, source: 'claude' });
+    }
+    const entry = entries.get(name);
+    
+    report('agent-started', 'info', t('progress.claudeAsked', { agent: agent.name, location: name }), { agent: agent.name, location: name });
+    const input = agent.name === 'places'
+      ? { ...agentInputFromTool(call.input, locale), ...requestedFilters(placesFilters) }
+      : agentInputFromTool(call.input, locale);
+    const { result, status } = await runAgent(agent, name, { ...input, geoData, locale });
+    entry.results[agent.name] = result;
+    entry.agentStatus[agent.name] = status;
+    reportAgentFinished(report, t, agent.name, status, name);
+    
+    return status.state === 'ok'
+      ? { content: JSON.stringify(result), isError: false }
+      : { content: status.error, isError: true };
+  } catch (error) {
+    if (error instanceof MissingFixtureError) throw error;
+    return { content: error.message || 'The tool failed.', isError: true };
+  }
+}
+
+/**
+ * Results in the parentAgent shape: one place gives the usual per-agent results,
+ * several give a side-by-side comparison of the comparable agents
+ */
+function buildResults(entries, dateRange, locale) {
+  const used = (entry) => listAgents().filter(agent => entry.results[agent.name]);
+  
+  if (entries.length === 1) {
+    const [entry] = entries;
+    return {
+      location: entry.name,
+      dateRange,
+      agents: used(entry).map(agent => agent.name),
+      agentStatus: entry.agentStatus,
+      ...entry.results
+    };
+  }
+  
+  const agents = comparableAgents().filter(agent => entries.some(entry => entry.results[agent.name]));
+  return {
+    location: entries.map(entry => entry.name).join(' vs '),
+    dateRange,
+    agents: [],
+    agentStatus: {},
+    comparison: buildComparison(agents, entries, { locale })
+  };
+}
+
+/**
+ * Claude tool-use orchestration
+ * Lets Claude answer the query by calling the agents (and geocode) as tools, as often as
+ * it needs, and returns its final answer together with the agent results it was based on:
+ * { message, results, location } where location is the geoData of the place the answer is
+ * about (null for comparisons or when no agent ran). Throws when Claude can't be reached.
+ *
+ * options.session: the conversation so far (see session.js)
+ * options.dateRange: the dates parsed from the query, kept in the results
+ * options.placesFilters: categories, radius and limit from the query or the caller, applied to the places tool
+ * options.report: progress reporter (see progress.js)
+ * options.locale: the user's language and units (see i18n), for the answer and the agents
+ * options.now: today's date for Claude (default the current time)
+ */
+export async function orchestrateWithClaude(userInput, apiKey, options = {}) {
+  const { session = null, dateRange = null, placesFilters = null, report = () => {}, locale = null, now = new Date() } = options;
+  const tools = agentTools();
+  const messages = [{ role: 'user', content: userInput }];
+  const entries = new Map();
+  
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const response = await createClaudeMessage(apiKey, { system: systemPrompt(session, locale, now), messages, tools });
+    const calls = response.content.filter(block => block.type === 'tool_use');
+    
+    if (response.stop_reason !== 'tool_use' || calls.length === 0) {
+      const message = response.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n')
+        .trim();
+      const answered = [...entries.values()].filter(entry => Object.values(entry.results).some(result => result.success));
+      
+      return {
+        message,
+        results: answered.length > 0 ? buildResults(answered, dateRange, locale) : null,
+        location: answered.length === 1 ? answered[0].geoData : null
+      };
+    }
+    
+    // Tools requested in the same turn run concurrently
+    messages.push({ role: 'assistant', content: response.content });
+    const toolResults = await Promise.all(calls.map(async call => {
+      const { content, isError } = await callTool(call, entries, { session, report, locale, placesFilters });
+      return { type: 'tool_result', tool_use_id: call.id, content, ...(isError ? { is_error: true } : {}) };
+    }));
+    messages.push({ role: 'user', content: toolResults });
+  }
+  
+  throw new Error(`Claude didn't finish answering within ${MAX_TOOL_ROUNDS} rounds of tool calls`);
+}
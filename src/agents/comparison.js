@@ -0,0 +1,80 @@
+import { createTranslator, joinList } from '../i18n/index.js';
+
+/**
+ * Side-by-side comparison of several locations
+ * Each comparable agent (one with a compare hook, see registry.js) turns its result into
+ * metrics: { key, label, value, display, text, highlight, highlightLabel }.
+ * display is the table cell, text the phrase used in the summary, and highlight
+ * ('highest' | 'lowest') marks the metrics where one location stands out.
+ */
+
+/**
+ * Build the comparison table from the per-location agent results
+ * entries: [{ name, geoData, results, agentStatus }] in the order the user named them.
+ * Returns { agents, locations, metrics, highlights } where every location carries
+ * metrics keyed by metric key and highlights maps a metric key to the standout location.
+ * context.locale is passed on to the compare hooks for their labels and units.
+ */
+export function buildComparison(agents, entries, context = {}) {
+  const metrics = [];
+  
+  const locations = entries.map(entry => {
+    const values = {};
+    for (const agent of agents) {
+      const result = entry.results[agent.name];
+      if (!result || !result.success) continue;
+      for (const metric of agent.compare(result, context)) {
+        values[metric.key] = metric;
+        if (!metrics.some(row => row.key === metric.key)) {
+          metrics.push({ key: metric.key, label: metric.label, agent: agent.name, highlight: metric.highlight || null, highlightLabel: metric.highlightLabel || null });
+        }
+      }
+    }
+    return { ...entry, metrics: values };
+  });
+  
+  const highlights = {};
+  for (const metric of metrics.filter(row => row.highlight)) {
+    const ranked = locations
+      .filter(location => typeof location.metrics[metric.key]?.value === 'number')
+      .sort((a, b) => metric.highlight === 'highest'
+        ? b.metrics[metric.key].value - a.metrics[metric.key].value
+        : a.metrics[metric.key].value - b.metrics[metric.key].value);
+    // Only call out a location when it is ahead of every other one
+    if (ranked.length > 1 && ranked[0].metrics[metric.key].value !== ranked[1].metrics[metric.key].value) {
+      highlights[metric.key] = ranked[0].name;
+    }
+  }
+  
+  return {
+    agents: agents.map(agent => agent.name),
+    locations,
+    metrics,
+    highlights
+  };
+}
+
+/**
+ * Text summary of a comparison in the locale's language: one line per location, then the standouts
+ */
+export function describeComparison(comparison, locale) {
+  const t = createTranslator(locale);
+  const lines = comparison.locations.map(location => {
+    const facts = comparison.metrics
+      .map(metric => location.metrics[metric.key]?.text)
+      .filter(Boolean);
+    const failed = comparison.agents.filter(name => location.agentStatus[name] && location.agentStatus[name].state !== 'ok');
+    if (failed.length > 0) {
+      facts.push(t('compare.unavailable', { agents: joinList(failed, t, 'or') }));
+    }
+    return `${location.name}: ${facts.join(', ')}`;
+  });
+  
+  const standouts = comparison.metrics
+    .filter(metric => comparison.highlights[metric.key])
+    .map(metric => `${metric.highlightLabel}: ${comparison.highlights[metric.key]}`);
+  
+  return standouts.length > 0
+    ? `${lines.join('\n')}\n\n${standouts.join(' · ')}`
+    : lines.join('\n');
+}
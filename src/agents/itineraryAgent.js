@@ -0,0 +1,346 @@
+import { geocodeLocation, fetchTouristPlaces, fetchForecast, MAX_FORECAST_DAYS, ApiError, apiErrorMessage } from '../utils/api.js';
+import { MissingFixtureError } from '../utils/httpRecorder.js';
+import { rankPlaces } from '../utils/placeRanking.js';
+import { DEFAULT_RADIUS_KM } from '../utils/placeFilters.js';
+import { formatDate, addDays, parseDate, daysBetween, formatDayLabel } from '../utils/dates.js';
+import { distanceKm } from '../utils/geo.js';
+import { describeConditionsIn } from '../utils/weatherCodes.js';
+import { placeSetting, isRainy, RAINY_PROBABILITY } from '../utils/weatherAdvice.js';
+import { formatDistance } from '../utils/units.js';
+import { createTranslator, resolveLocale, LANGUAGES } from '../i18n/index.js';
+
+// Longest trip we plan for, to keep the Overpass result usable
+export const MAX_TRIP_DAYS = 7;
+
+// Trip length when an itinerary is requested without dates ("give me an itinerary for Jaipur")
+const DEFAULT_TRIP_DAYS = 2;
+
+// How many attractions fit in a day at each pace
+const PLACES_PER_DAY = { relaxed: 3, normal: 4, packed: 6 };
+
+/**
+ * Itinerary Agent (Child Agent 3)
+ * Builds a day-by-day trip plan for a location: attractions are grouped into daily
+ * routes by proximity, each route is ordered to minimise travel, and outdoor-heavy
+ * days are scheduled on the driest days of the forecast.
+ *
+ * options.days: trip length (1-7, default 1)
+ * options.startDate: first day of the trip as YYYY-MM-DD (default today)
+ * options.preferences: { categories, pace: 'relaxed' | 'normal' | 'packed' }
+ * options.geoData / options.radiusKm / options.signal: as for placesAgent
+ * options.locale: language and units of the message (distances in the plan stay in km)
+ */
+export async function itineraryAgent(location, options = {}) {
+  const locale = resolveLocale(options.locale);
+  const t = createTranslator(locale);
+  
+  try {
+    // Step 1: Geocode the location (unless the caller already resolved it)
+    const geoData = options.geoData || await geocodeLocation(location);
+    
+    if (!geoData) {
+      return {
+        success: false,
+        error: t('agent.notFound'),
+        reason: 'not-found'
+      };
+    }
+    
+    const days = Math.min(Math.max(options.days || 1, 1), MAX_TRIP_DAYS);
+    const preferences = options.preferences || {};
+    const perDay = PLACES_PER_DAY[preferences.pace] || PLACES_PER_DAY.normal;
+    const startDate = options.startDate || formatDate(new Date());
+    const radiusKm = options.radiusKm || DEFAULT_RADIUS_KM;
+    const center = { lat: geoData.lat, lon: geoData.lon };
+    
+    // Step 2: Fetch the best attractions for the whole trip, and the forecast if it's available
+    const [allPlaces, forecast] = await Promise.all([
+      fetchTouristPlaces(geoData.lat, geoData.lon, { categories: preferences.categories, radiusKm, signal: options.signal }),
+      fetchTripForecast(geoData, startDate, days, options.signal)
+    ]);
+    const places = rankPlaces(allPlaces, days * perDay);
+    
+    if (places.length === 0) {
+      return {
+        success: true,
+        message: t('itinerary.none', { location }),
+        itinerary: { location, startDate, days: [] },
+        places: [],
+        center,
+        radiusKm
+      };
+    }
+    
+    // Step 3: Group attractions into one cluster per day and order each route
+    const routes = clusterByProximity(places, days)
+      .map(cluster => orderRoute(cluster, center));
+    
+    // Step 4: Put outdoor-heavy routes on the driest days
+    const plan = scheduleRoutes(routes, startDate, days, forecast);
+    
+    // Step 5: Format response
+    const lines = plan.map(day => {
+      const stops = day.places.length > 0
+        ? t('itinerary.stops', { stops: day.places.map(p => p.name).join(' → '), distance: formatDistance(day.travelKm, locale.units) })
+        : t('itinerary.freeDay');
+      const weather = day.weather
+        ? t('itinerary.dayWeather', { conditions: describeConditionsIn(locale.language, day.weather.weatherCode), rain: day.weather.precipitationProbability })
+        : '';
+      return t('itinerary.day', { day: day.day, date: formatDayLabel(day.date, LANGUAGES[locale.language].dateLocale), weather, stops });
+    });
+    const response = `${t('itinerary.title', { days, location })}\n${lines.join('\n')}`;
+    
+    return {
+      success: true,
+      message: response,
+      itinerary: {
+        location,
+        startDate,
+        days: plan
+      },
+      places: plan.flatMap(day => day.places),
+      center,
+      radiusKm
+    };
+  } catch (error) {
+    if (error instanceof MissingFixtureError) throw error;
+    return {
+      success: false,
+      error: error instanceof ApiError ? apiErrorMessage(error, t) : t('itinerary.failed'),
+      reason: error.kind || 'failed'
+    };
+  }
+}
+
+/**
+ * Detect a trip-planning request: "plan a 3 day trip to Goa", "plan my weekend in Paris",
+ * "itinerary for Jaipur". Planning needs either the word itinerary or some dates.
+ */
+function wantsItinerary(userInput, dateRange) {
+  const lowerInput = userInput.toLowerCase();
+  return /\bitinerary\b/.test(lowerInput) ||
+    (/\bplan(?:ning)?\b/.test(lowerInput) && Boolean(dateRange));
+}
+
+/**
+ * Trip length in days from the requested dates
+ */
+function tripLength(dateRange) {
+  const days = dateRange ? daysBetween(dateRange.start, dateRange.end) + 1 : DEFAULT_TRIP_DAYS;
+  return Math.min(days, MAX_TRIP_DAYS);
+}
+
+/**
+ * Detect the preferred trip pace from the query
+ */
+function detectPace(userInput) {
+  if (/\b(?:relaxed|relaxing|slow|leisurely|easy)\b/i.test(userInput)) return 'relaxed';
+  if (/\b(?:packed|busy|intense|action-packed|as much as possible)\b/i.test(userInput)) return 'packed';
+  return 'normal';
+}
+
+/**
+ * Fetch the forecast for the trip dates; returns null when the dates are
+ * outside the forecast window or the weather service is unavailable
+ */
+async function fetchTripForecast(geoData, startDate, days, signal) {
+  const today = formatDate(new Date());
+  const endDate = formatDate(addDays(parseDate(startDate), days - 1));
+  
+  if (daysBetween(today, startDate) < 0 || daysBetween(today, endDate) >= MAX_FORECAST_DAYS) {
+    return null;
+  }
+  
+  try {
+    return await fetchForecast(geoData.lat, geoData.lon, startDate, endDate, { signal });
+  } catch (error) {
+    if (error instanceof MissingFixtureError) throw error;
+    console.warn('Planning without forecast:', error);
+    return null;
+  }
+}
+
+function distanceBetween(a, b) {
+  return distanceKm(a.lat, a.lon, b.lat, b.lon);
+}
+
+/**
+ * Split places into `count` geographically compact groups of similar size.
+ * Seeds are the top-ranked place plus the places farthest from the existing seeds;
+ * every other place joins the nearest seed that still has room.
+ */
+function clusterByProximity(places, count) {
+  const seeds = [places[0]];
+  while (seeds.length < Math.min(count, places.length)) {
+    let farthest = null;
+    let farthestDistance = -1;
+    for (const place of places) {
+      if (seeds.includes(place)) continue;
+      const nearestSeed = Math.min(...seeds.map(seed => distanceBetween(seed, place)));
+      if (nearestSeed > farthestDistance) {
+        farthest = place;
+        farthestDistance = nearestSeed;
+      }
+    }
+    seeds.push(farthest);
+  }
+  
+  const capacity = Math.ceil(places.length / seeds.length);
+  const clusters = seeds.map(seed => [seed]);
+  
+  // Closest place-to-seed pairs are assigned first
+  const pairs = places
+    .filter(place => !seeds.includes(place))
+    .flatMap(place => seeds.map((seed, index) => ({ place, index, distance: distanceBetween(seed, place) })))
+    .sort((a, b) => a.distance - b.distance);
+  
+  const assigned = new Set(seeds);
+  for (const { place, index } of pairs) {
+    if (assigned.has(place) || clusters[index].length >= capacity) continue;
+    clusters[index].push(place);
+    assigned.add(place);
+  }
+  
+  // Pad with empty days when there are fewer places than days
+  while (clusters.length < count) {
+    clusters.push([]);
+  }
+  
+  return clusters;
+}
+
+/**
+ * Total length of a route that visits the stops in order
+ */
+function routeLength(route) {
+  let total = 0;
+  for (let i = 1; i < route.length; i++) {
+    total += distanceBetween(route[i - 1], route[i]);
+  }
+  return total;
+}
+
+/**
+ * Order stops to minimise travel: nearest-neighbour from the stop closest to
+ * the city centre, then improved with 2-opt segment reversals
+ */
+function orderRoute(stops, center) {
+  if (stops.length <= 2) return [...stops];
+  
+  const remaining = [...stops];
+  const route = [];
+  let current = center;
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (distanceBetween(current, remaining[i]) < distanceBetween(current, remaining[nearestIndex])) {
+        nearestIndex = i;
+      }
+    }
+    current = remaining.splice(nearestIndex, 1)[0];
+    route.push(current);
+  }
+  
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let j = i + 1; j < route.length; j++) {
+        const candidate = [...route.slice(0, i), ...route.slice(i, j + 1).reverse(), ...route.slice(j + 1)];
+        if (routeLength(candidate) + 1e-9 < routeLength(route)) {
+          route.splice(0, route.length, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+  
+  return route;
+}
+
+/**
+ * Assign routes to trip days: the most outdoor route goes to the driest day,
+ * the most indoor route to the wettest. Days are returned in date order.
+ */
+function scheduleRoutes(routes, startDate, days, forecast) {
+  const calendar = Array.from({ length: days }, (_, i) => {
+    const date = formatDate(addDays(parseDate(startDate), i));
+    return {
+      date,
+      weather: forecast ? forecast.find(day => day.date === date) || null : null
+    };
+  });
+  
+  const outdoorShare = (route) => route.length === 0
+    ? 0
+    : route.filter(place => placeSetting(place) === 'outdoor').length / route.length -
+      route.filter(place => placeSetting(place) === 'indoor').length / route.length;
+  
+  // Unknown weather sits between dry and rainy days
+  const wetness = (entry) => entry.weather
+    ? entry.weather.precipitationProbability + entry.weather.precipitationSum * 10
+    : RAINY_PROBABILITY;
+  
+  const routesByOutdoor = [...routes].sort((a, b) => outdoorShare(b) - outdoorShare(a));
+  const daysByDryness = [...calendar].sort((a, b) => wetness(a) - wetness(b));
+  
+  const plan = daysByDryness.map((entry, i) => {
+    const route = routesByOutdoor[i] || [];
+    const rainy = isRainy(entry.weather);
+    return {
+      date: entry.date,
+      weather: entry.weather,
+      rainy,
+      places: route.map(place => ({ ...place, setting: placeSetting(place) })),
+      travelKm: Math.round(routeLength(route) * 10) / 10
+    };
+  });
+  
+  return plan
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day, i) => ({ day: i + 1, ...day }));
+}
+
+/**
+ * Registry definition for the itinerary agent
+ */
+export const itineraryAgentDefinition = {
+  name: 'itinerary',
+  toolName: 'plan_itinerary',
+  description: 'A day-by-day trip plan: attractions grouped into daily routes, with outdoor sights on dry days',
+  keywords: ['itinerary', 'itinerario', 'itinéraire'],
+  examples: [
+    'Plan a 3 day trip to Goa',
+    'Plan my weekend in Paris, something relaxed'
+  ],
+  inputSchema: {
+    type: 'object',
+    properties: {
+      days: { type: 'number', description: `Trip length in days (1-${MAX_TRIP_DAYS})` },
+      startDate: { type: 'string', description: 'First day of the trip, YYYY-MM-DD (default today)' },
+      preferences: {
+        type: 'object',
+        properties: {
+          categories: { type: 'array', items: { type: 'string' }, description: 'Kinds of places to include' },
+          pace: { type: 'string', enum: ['relaxed', 'normal', 'packed'] }
+        }
+      }
+    }
+  },
+  renderer: 'itinerary',
+  // The itinerary already includes the attractions
+  supersedes: ['places'],
+  timeoutMs: 30000,
+  matches: (userInput, context) => wantsItinerary(userInput, context.dateRange),
+  buildInput: (context) => ({
+    days: tripLength(context.dateRange),
+    startDate: context.dateRange ? context.dateRange.start : undefined,
+    radiusKm: context.placesFilters ? context.placesFilters.radiusKm : undefined,
+    preferences: {
+      categories: context.placesFilters ? context.placesFilters.categories : [],
+      pace: detectPace(context.userInput)
+    }
+  }),
+  run: itineraryAgent,
+  summarize: (result) => result.success ? result.message : result.error
+};
@@ -1,33 +1,199 @@
-import { analyzeWithClaude } from '../utils/api.js';
-import { weatherAgent } from './weatherAgent.js';
-import { placesAgent } from './placesAgent.js';
-import { geocodeLocation } from '../utils/api.js';
+import './builtinAgents.js';
+import { listAgents, getAgent, matchAgents, resolveSelection, defaultAgents, comparableAgents } from './registry.js';
+import { runAgents } from './agentRunner.js';
+import { buildComparison, describeComparison } from './comparison.js';
+import { createProgressReporter, reportAgentFinished } from './progress.js';
+import { orchestrateWithClaude } from './claudeOrchestrator.js';
+import { summarizeWithClaude } from './summary.js';
+import { geocodeCandidates, reverseGeocode } from '../utils/api.js';
+import { MissingFixtureError } from '../utils/httpRecorder.js';
+import { extractDateRange } from '../utils/dates.js';
+import { extractPlacesFilters, MAX_LIMIT, PLACE_CATEGORIES } from '../utils/placeFilters.js';
+import { distanceKm } from '../utils/geo.js';
+import { isFollowUp, updateSession } from './session.js';
+import { createTranslator, resolveLocale } from '../i18n/index.js';
+
+// A candidate at least this fraction as important as the top result counts as a plausible alternative
+const AMBIGUITY_RATIO = 0.75;
+
+// Candidates closer than this are treated as the same place (e.g. a city and its district boundary)
+const SAME_PLACE_KM = 25;
+
+// Common stop words to filter out of location candidates
+// (articles like "la" and "le" are left out, since they start place names such as La Paz and Le Havre)
+const STOP_WORDS = [
+  'the', 'a', 'an', 'and', 'or', 'what', 'where', 'when', 'how', 'is', 'are', 'was', 'were', 'there', 'here', 'this', 'that', 'go', 'going', 'to', 'in', 'at', 'near', 'around', 'visit', 'visiting', 'tell', 'me', 'about', 'i', 'am', 'i\'m', 'im', 'instead',
+  // Spanish
+  'qué', 'que', 'cómo', 'dónde', 'en', 'es', 'hay', 'hace', 'voy', 'ir', 'para', 'por', 'quiero', 'dime', 'visitar',
+  // French
+  'quel', 'quelle', 'quels', 'quelles', 'est', 'il', 'fait', 'fait-il', 'à', 'au', 'aux', 'je', 'vais', 'où', 'comment', 'pour', 'visiter',
+  // Hindi (Devanagari and romanised)
+  'में', 'का', 'की', 'के', 'है', 'हैं', 'क्या', 'कैसा', 'कैसी', 'मुझे', 'बताओ', 'बताइए',
+  'mein', 'ka', 'ki', 'ke', 'hai', 'kya', 'kaisa', 'kaisi', 'mujhe', 'batao'
+];
+
+// Hindi postpositions that follow the place name ("दिल्ली में मौसम", "Delhi ka mausam")
+const POSTPOSITIONS = ['में', 'का', 'की', 'के', 'mein', 'ka', 'ki', 'ke'];
+
+// Longest place name (in words) taken from before a postposition
+const MAX_POSTPOSITION_WORDS = 3;
+
+// Conversational filler that never names a place ("and what's it like there too?")
+const FILLER_WORDS = [
+  'also', 'too', 'then', 'again', 'same', 'city', 'it', 'its', 'it\'s', 'like', 'what\'s', 'whats', 'how\'s', 'hows',
+  'will', 'be', 'do', 'does', 'can', 'could', 'should', 'would', 'any', 'some', 'good', 'best', 'top', 'things',
+  'thing', 'for', 'of', 'on', 'my', 'we', 'us', 'you', 'please', 'show', 'give', 'list', 'now', 'with', 'get',
+  'anything', 'something', 'see'
+];
+
+// Words that make a query a comparison of the places it names ("Goa vs Shimla", "Which is better, Paris or Rome?").
+// A bare "or" is not enough: "Tea or coffee in Darjeeling?" compares nothing.
+const COMPARISON_PATTERN = /\b(?:compare|comparing|comparison|versus|vs|which|between|prefer|better|nicer|warmer|hotter|colder|cooler|wetter|drier|rainier|sunnier)\b/i;
+
+// What links the places being compared ("Goa and Shimla", "warmer than Shimla", "Goa, Shimla")
+const CONNECTOR_WORDS = ['and', 'or', 'than', 'vs', 'versus', ','];
+
+// Connectors that set places against each other; next to them "and" is part of a name
+// ("Bosnia and Herzegovina vs Croatia")
+const CONTRAST_WORDS = ['or', 'than', 'vs', 'versus'];
+
+// Comparison vocabulary that never names a place ("is Goa warmer than Shimla?")
+const COMPARISON_WORDS = [
+  'compare', 'comparing', 'comparison', 'versus', 'vs', 'which', 'one', 'better', 'nicer', 'between', 'than',
+  'warmer', 'hotter', 'colder', 'cooler', 'wetter', 'drier', 'rainier', 'sunnier', 'rainy', 'snowy', 'windy',
+  'humid', 'dry', 'more', 'less', 'not', 'should', 'holiday', 'vacation', 'week', 'weekend',
+  'winter', 'summer', 'spring', 'autumn', 'fall', 'monsoon', 'season'
+];
+
+// Queries asking for an overall verdict compare everything the comparable agents know
+const VERDICT_PATTERN = /\b(?:better|nicer|prefer|which\s+(?:one|city|place))\b/i;
+
+// Phrases about where the user is rather than a named place, longest first
+const NEAR_ME_PHRASES = [
+  'my current location', 'current location', 'my location', 'where i am', 'close to me', 'around me', 'near me', 'nearby', 'here',
+  'cerca de mí', 'cerca de mi', 'por aquí', 'aquí', 'aqui',
+  'autour de moi', 'près de moi', 'ici',
+  'मेरे आस-पास', 'मेरे आसपास', 'मेरे पास', 'यहाँ', 'यहां', 'mere paas', 'yahan'
+];
+
+// A near-me phrase as a whole word or phrase (\b doesn't know accented letters or Devanagari)
+const NEAR_ME_PATTERN = new RegExp(`(?:^|[\\s¿¡])(?:${NEAR_ME_PHRASES.join('|')})(?=$|[\\s,.!?।])`, 'i');
+
+// Longest list of places a single comparison covers
+const MAX_COMPARED_LOCATIONS = 4;
 
 /**
  * Enhanced heuristic-based intent analysis
- * Extracts location and determines user needs without requiring Claude API
+ * Picks the registered agents whose intents match the query, without requiring Claude API
+ */
+export function analyzeIntent(userInput, context = {}) {
+  return matchAgents(userInput, context);
+}
+
+/**
+ * Check whether the input contains any word that could be part of a place name,
+ * i.e. anything besides stop words, intent keywords and conversational filler
+ */
+function hasLocationWords(userInput, alsoIgnored = []) {
+  const agentKeywords = listAgents().flatMap(agent => agent.keywords);
+  const ignored = [...STOP_WORDS, ...FILLER_WORDS, ...agentKeywords, ...alsoIgnored];
+  return userInput.toLowerCase()
+    .split(/\s+/)
+    .map(w => w.replace(/[.,!?;:]/g, ''))
+    .filter(w => w.length > 0)
+    .some(w => !ignored.includes(w) && !ignored.includes(w.replace(/e?s$/, '')));
+}
+
+/**
+ * Check whether a query is about where the user is ("what's the weather here?",
+ * "museums near me") without naming a place ("I'm here in Goa" names one)
+ */
+export function isNearMeQuery(userInput) {
+  if (!NEAR_ME_PATTERN.test(userInput)) return false;
+  
+  const categoryKeywords = Object.values(PLACE_CATEGORIES).flatMap(category => category.keywords);
+  const rest = userInput.replace(new RegExp(NEAR_ME_PATTERN.source, 'gi'), ' ');
+  return !hasLocationWords(rest, categoryKeywords);
+}
+
+/**
+ * Find the places named in a comparison query ("Compare the weather in Goa and Shimla",
+ * "Which is better to visit, Paris or Rome?"). Returns the names in the order given,
+ * or an empty array when the query doesn't compare at least two places. Only names
+ * linked by "and", "or", "than", "vs" or a comma count, so "Which museums in Paris
+ * are free?" is not a comparison of Paris and "free". When the places are set against
+ * each other with "or", "than" or "vs", names joined by "and" stay whole
+ * ("Trinidad and Tobago or Jamaica"); compareLocations splits them if they aren't found.
+ */
+export function extractLocations(userInput) {
+  if (!COMPARISON_PATTERN.test(userInput)) return [];
+  
+  const agentKeywords = listAgents().flatMap(agent => agent.keywords);
+  const categoryKeywords = Object.values(PLACE_CATEGORIES).flatMap(category => category.keywords);
+  const ignored = [...STOP_WORDS, ...FILLER_WORDS, ...COMPARISON_WORDS, ...agentKeywords, ...categoryKeywords];
+  // Chains of place names joined by connectors, each name with the connector before it,
+  // e.g. [[{ name: "Goa" }, { name: "Shimla", link: "or" }], [{ name: "winter" }]]
+  const chains = [];
+  let current = [];
+  let gap = [];
+  
+  const endName = () => {
+    const name = current.join(' ');
+    current = [];
+    if (name.length < 2) return;
+    const connectors = gap.filter(word => CONNECTOR_WORDS.includes(word));
+    if (chains.length > 0 && connectors.length > 0) {
+      // "Goa, and Shimla" is a list, so "and" only counts when it is the sole connector
+      const link = connectors.find(word => word !== 'and') || 'and';
+      chains[chains.length - 1].push({ name, link });
+    } else {
+      chains.push([{ name }]);
+    }
+    gap = [];
+  };
+  
+  // Runs of words that could be part of a place name, split at ignored words and punctuation
+  for (const word of userInput.split(/\s+/)) {
+    const clean = word.replace(/[.,!?;:]/g, '');
+    const lower = clean.toLowerCase();
+    if (clean.length > 0 && !ignored.includes(lower) && !ignored.includes(lower.replace(/e?s$/, ''))) {
+      current.push(clean);
+    } else {
+      if (current.length > 0) endName();
+      gap.push(lower);
+    }
+    if (/[.,!?;:]$/.test(word)) {
+      if (current.length > 0) endName();
+      gap.push(word.endsWith(',') ? ',' : '.');
+    }
+  }
+  if (current.length > 0) endName();
+  
+  const candidates = chains
+    .map(chain => [...new Set(joinAndedNames(chain))])
+    .filter(chain => chain.length > 1);
+  const longest = candidates.reduce((best, chain) => (chain.length > best.length ? chain : best), []);
+  return longest.slice(0, MAX_COMPARED_LOCATIONS);
+}
+
+/**
+ * The names in one chain of extractLocations, with names linked by "and" joined back
+ * together when the chain also sets places against each other ("X and Y or Z")
  */
-function analyzeIntent(userInput) {
-  const lowerInput = userInput.toLowerCase();
-  
-  // Weather-related keywords
-  const weatherKeywords = [
-    'weather', 'temperature', 'temp', 'rain', 'raining', 'precipitation',
-    'sunny', 'cloudy', 'cold', 'hot', 'warm', 'cool', 'forecast', 'climate'
-  ];
-  
-  // Places-related keywords
-  const placesKeywords = [
-    'place', 'places', 'visit', 'visiting', 'attraction', 'attractions',
-    'tourist', 'tourism', 'sightseeing', 'sights', 'see', 'explore',
-    'plan', 'planning', 'trip', 'travel', 'destination', 'landmark',
-    'monument', 'museum', 'park', 'beach', 'temple', 'church', 'palace'
-  ];
-  
-  const needsWeather = weatherKeywords.some(keyword => lowerInput.includes(keyword));
-  const needsPlaces = placesKeywords.some(keyword => lowerInput.includes(keyword));
-  
-  return { needsWeather, needsPlaces };
+function joinAndedNames(chain) {
+  if (!chain.some(({ link }) => CONTRAST_WORDS.includes(link))) {
+    return chain.map(({ name }) => name);
+  }
+  
+  const names = [];
+  for (const { name, link } of chain) {
+    if (link === 'and') {
+      names[names.length - 1] += ` and ${name}`;
+    } else {
+      names.push(name);
+    }
+  }
+  return names;
 }
 
 /**
@@ -54,13 +220,10 @@ function calculateLocationSimilarity(str1, str2) {
 /**
  * Enhanced location extraction from user input
  */
-function extractLocation(userInput) {
+export function extractLocation(userInput) {
   const words = userInput.split(/\s+/);
   let potentialLocation = '';
   
-  // Common stop words to filter out
-  const stopWords = ['the', 'a', 'an', 'and', 'or', 'what', 'where', 'when', 'how', 'is', 'are', 'was', 'were', 'there', 'here', 'this', 'that', 'go', 'going', 'to', 'in', 'at', 'near', 'around', 'visit', 'visiting', 'tell', 'me', 'about', 'i', 'am', 'i\'m', 'im'];
-  
   // Pattern 1a: "going to go to [location]" - handle this first to avoid capturing "go to"
   const goingToGoToPattern = /going\s+to\s+go\s+to\s+([^,?!.]+?)(?:[,?!.]|$)/i;
   const goingToGoToMatch = userInput.match(goingToGoToPattern);
@@ -70,7 +233,7 @@ function extractLocation(userInput) {
     potentialLocation = rawLocation.split(/\s+/)
       .filter(w => {
         const clean = w.toLowerCase().replace(/[.,!?;:]/g, '');
-        return !stopWords.includes(clean) && clean.length > 0;
+        return !STOP_WORDS.includes(clean) && clean.length > 0;
       })
       .join(' ')
       .trim();
@@ -92,7 +255,7 @@ function extractLocation(userInput) {
     potentialLocation = rawLocation.split(/\s+/)
       .filter(w => {
         const clean = w.toLowerCase().replace(/[.,!?;:]/g, '');
-        return !stopWords.includes(clean) && clean.length > 0;
+        return !STOP_WORDS.includes(clean) && clean.length > 0;
       })
       .join(' ')
       .trim();
@@ -106,15 +269,30 @@ function extractLocation(userInput) {
     }
   }
   
-  // Pattern 2: "in [location]" or "at [location]"
-  const inAtPattern = /(?:in|at)\s+([^,?!.]+?)(?:[,?!.]|$)/i;
+  // Pattern 2a: Hindi "[location] में" / "[location] ka" - the place comes before the postposition
+  const agentKeywords = listAgents().flatMap(agent => agent.keywords);
+  const cleanWords = words.map(w => w.replace(/[.,!?¿¡;:।]/g, ''));
+  for (let i = 1; i < cleanWords.length; i++) {
+    if (!POSTPOSITIONS.includes(cleanWords[i].toLowerCase())) continue;
+    const placeWords = [];
+    for (let j = i - 1; j >= 0 && placeWords.length < MAX_POSTPOSITION_WORDS; j--) {
+      const clean = cleanWords[j].toLowerCase();
+      if (!clean || STOP_WORDS.includes(clean) || agentKeywords.includes(clean)) break;
+      placeWords.unshift(cleanWords[j]);
+    }
+    if (placeWords.length > 0) return placeWords.join(' ');
+  }
+  
+  // Pattern 2b: "in [location]" or "at [location]", also Spanish "en" and French "à"/"au"
+  // (whole words, not the "at" in "what")
+  const inAtPattern = /(?:^|\s)(?:in|at|en|à|au|aux)\s+([^,?!.]+?)(?:[,?!.]|$)/i;
   const inAtMatch = userInput.match(inAtPattern);
   if (inAtMatch && inAtMatch[1]) {
     potentialLocation = inAtMatch[1].trim();
     potentialLocation = potentialLocation.split(/\s+/)
       .filter(w => {
         const clean = w.toLowerCase().replace(/[.,!?;:]/g, '');
-        return !stopWords.includes(clean) && clean.length > 0;
+        return !STOP_WORDS.includes(clean) && clean.length > 0;
       })
       .join(' ')
       .trim();
@@ -129,7 +307,7 @@ function extractLocation(userInput) {
     potentialLocation = potentialLocation.split(/\s+/)
       .filter(w => {
         const clean = w.toLowerCase().replace(/[.,!?;:]/g, '');
-        return !stopWords.includes(clean) && clean.length > 0;
+        return !STOP_WORDS.includes(clean) && clean.length > 0;
       })
       .join(' ')
       .trim();
@@ -142,12 +320,14 @@ function extractLocation(userInput) {
     const word = words[i].toLowerCase().replace(/[.,!?;:]/g, '');
     if (locationIndicators.includes(word) && word !== 'to' || (word === 'to' && i > 0 && words[i-1].toLowerCase() !== 'going')) {
       if (i + 1 < words.length) {
-        // Get next few words as potential location (up to 5 words for multi-word cities)
-        const locationWords = words.slice(i + 1, i + 6)
+        // Get next few words as potential location (up to 5 words for multi-word cities),
+        // stopping at the end of the clause ("visiting Delhi, what should I see")
+        const clauseEnd = words.slice(i + 1, i + 6).findIndex(w => /[.,!?;:]$/.test(w));
+        const locationWords = words.slice(i + 1, clauseEnd >= 0 ? i + 2 + clauseEnd : i + 6)
           .map(w => w.replace(/[.,!?;:]/g, ''))
           .filter(w => {
             const clean = w.toLowerCase();
-            return !stopWords.includes(clean) && clean.length > 0;
+            return !STOP_WORDS.includes(clean) && clean.length > 0;
           });
         potentialLocation = locationWords.join(' ').trim();
         if (potentialLocation) break;
@@ -161,7 +341,7 @@ function extractLocation(userInput) {
       .map(w => w.replace(/[.,!?;:]/g, ''))
       .filter(w => {
         const clean = w.toLowerCase();
-        return w.length > 0 && !stopWords.includes(clean);
+        return w.length > 0 && !STOP_WORDS.includes(clean);
       });
     potentialLocation = lastWords.join(' ').trim();
   }
@@ -174,69 +354,402 @@ function extractLocation(userInput) {
   return potentialLocation;
 }
 
+/**
+ * Return the distinct candidates that are about as likely as the top one,
+ * or an empty array when the top candidate is a clear winner
+ */
+function findCloseCandidates(candidates) {
+  if (candidates.length < 2) return [];
+  
+  const top = candidates[0];
+  const distinct = [];
+  
+  for (const candidate of candidates) {
+    if (candidate.importance < top.importance * AMBIGUITY_RATIO) continue;
+    const duplicate = distinct.some(d => distanceKm(d.lat, d.lon, candidate.lat, candidate.lon) < SAME_PLACE_KM);
+    if (!duplicate) distinct.push(candidate);
+  }
+  
+  return distinct.length > 1 ? distinct : [];
+}
+
+/**
+ * Result asking the user to choose between several places with the same name
+ */
+function disambiguationResult(location, candidates, t) {
+  return {
+    success: false,
+    needsDisambiguation: true,
+    message: t('disambiguation.question', { location }),
+    location,
+    candidates
+  };
+}
+
+/**
+ * Remove a matched phrase (e.g. a date expression) from the user input so it
+ * doesn't end up as part of the extracted location ("Bangalore next Saturday")
+ */
+function removePhrase(userInput, phrase, replacement = ' ') {
+  const escaped = phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return userInput.replace(new RegExp(escaped, 'i'), replacement).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Answer a comparison query: resolve every named place, run the comparable agents
+ * for all of them concurrently and line the results up side by side (see comparison.js).
+ * Places that can't be found are left out as long as two others remain; with fewer
+ * than two, returns null and the query is answered for one place instead.
+ */
+async function compareLocations(userInput, names, { dateRange, placesFilters, session, locale, report, onPartialResult }) {
+  const t = createTranslator(locale);
+  const resolved = [];
+  
+  // One at a time, since geocoding requests are rate limited anyway
+  const queue = [...names];
+  while (queue.length > 0) {
+    const name = queue.shift();
+    report('location-lookup', 'info', t('progress.lookingUp', { location: name }), { location: name });
+    let candidates = [];
+    try {
+      candidates = await geocodeCandidates(name);
+    } catch (error) {
+      if (error instanceof MissingFixtureError) throw error;
+      console.warn(`Geocoding failed for "${name}":`, error);
+      report('location-lookup', 'warning', t('progress.lookupFailed', { location: name, error: error.message }), { location: name });
+    }
+    
+    // "Goa and Kerala or Shimla": no place is called "Goa and Kerala", so look up each part
+    const parts = name.split(/\s+and\s+/);
+    if (candidates.length === 0 && parts.length > 1) {
+      queue.unshift(...parts);
+      continue;
+    }
+    
+    if (candidates.length === 0) {
+      report('location-not-found', 'warning', t('progress.notFound', { location: name }), { location: name });
+      continue;
+    }
+    
+    // Comparisons take the most important match rather than asking which one was meant
+    const geoData = candidates[0];
+    const location = geoData.displayName.split(',')[0];
+    resolved.push({ name: location, geoData });
+    report('location-resolved', 'success', t('progress.found', { place: geoData.displayName }), { location, source: 'geocoder' });
+  }
+  
+  if (resolved.length < 2) {
+    report('intent', 'info', t('progress.compareFallback'));
+    return null;
+  }
+  
+  // Comparisons list more attractions than usual so the counts say something about each place
+  const context = {
+    userInput,
+    dateRange,
+    placesFilters: { ...placesFilters, limit: placesFilters.limit || MAX_LIMIT },
+    followUp: false,
+    session,
+    locale
+  };
+  
+  // "Compare the weather in ..." sticks to the weather, "which is better ..." compares everything
+  const comparable = comparableAgents();
+  const matched = analyzeIntent(userInput, context).filter(agent => comparable.includes(agent));
+  const selectedAgents = matched.length > 0 && !VERDICT_PATTERN.test(userInput) ? matched : comparable;
+  const agentNames = selectedAgents.map(agent => agent.name);
+  report('intent', 'info', t('progress.comparing', { locations: resolved.map(entry => entry.name).join(', '), agents: agentNames.join(', ') }), {
+    agents: agentNames,
+    source: selectedAgents === matched ? 'keywords' : 'comparison'
+  });
+  
+  const entries = resolved.map(entry => ({
+    ...entry,
+    results: {},
+    agentStatus: Object.fromEntries(agentNames.map(name => [name, { state: 'pending', error: null, durationMs: null }]))
+  }));
+  const label = entries.map(entry => entry.name).join(' vs ');
+  
+  const snapshot = () => ({
+    location: label,
+    dateRange,
+    agents: [],
+    agentStatus: {},
+    comparison: buildComparison(selectedAgents, entries.map(entry => ({
+      ...entry,
+      results: { ...entry.results },
+      agentStatus: { ...entry.agentStatus }
+    })), { locale })
+  });
+  
+  const reportPartial = () => {
+    if (onPartialResult) {
+      onPartialResult({ success: true, partial: true, message: '', results: snapshot() });
+    }
+  };
+  reportPartial();
+  
+  await Promise.all(entries.map(entry => runAgents(
+    selectedAgents,
+    entry.name,
+    agent => ({ ...agent.buildInput({ ...context, location: entry.name }), geoData: entry.geoData, locale }),
+    {
+      onStarted: (name) => report('agent-started', 'info', t('progress.agentWorkingOn', { agent: name, location: entry.name }), { agent: name, location: entry.name }),
+      onSettled: (name, result, status) => {
+        entry.results[name] = result;
+        entry.agentStatus[name] = status;
+        reportAgentFinished(report, t, name, status, entry.name);
+        reportPartial();
+      }
+    }
+  )));
+  
+  const results = snapshot();
+  report('done', 'success', t('progress.done'));
+  
+  return {
+    success: true,
+    message: describeComparison(results.comparison, locale),
+    results,
+    session: updateSession(session, {
+      query: userInput,
+      location: null,
+      locationName: label,
+      agents: agentNames,
+      dateRange,
+      placesFilters,
+      results
+    })
+  };
+}
+
 /**
  * Parent Tourism AI Agent
  * Orchestrates child agents based on user input analysis
  * Works with or without Claude API (free mode uses heuristics)
+ *
+ * With a Claude API key, Claude answers the query itself, calling the agents (and a
+ * geocode tool) as tools as often as it needs (see claudeOrchestrator.js); the message
+ * is then Claude's answer. If Claude can't be reached the heuristics take over. When the
+ * heuristics answer (e.g. for a place picked after disambiguation) with a working key,
+ * Claude still writes the summary from the agent results (see summary.js); otherwise
+ * each agent's summarize hook contributes weather-aware advice.
+ *
+ * options.location: a candidate previously returned in a needsDisambiguation result;
+ * when given, the query is answered for that place without geocoding again.
+ * options.session: the session returned by the previous call (see createSession);
+ * follow-ups like "and the weather there?" reuse its location, agents and dates.
+ * Successful responses carry the updated session.
+ * options.locale: { language, units, timeFormat } (see i18n); messages, summaries and
+ * errors are written in that language and units, while result data stays metric.
+ * options.position: the user's { lat, lon }, for queries about where they are ("museums
+ * near me", see isNearMeQuery). Callers ask for consent first (in the browser, the
+ * Geolocation API does); without it such queries fail with needsPosition: true.
+ * options.dateRange ({ start, end, label }) and options.placesFilters ({ categories,
+ * radiusKm, limit }, any subset) take precedence over the dates and filters in the query,
+ * e.g. for the command-line flags.
+ * options.now (a Date, default the current time) is "today" for relative dates and for
+ * Claude, so tests and recorded fixtures can pin it.
+ * When replaying recorded fixtures (see httpRecorder.js), a request that was never
+ * recorded fails the whole query with the MissingFixtureError's message instead of
+ * being answered as a lookup or agent failure.
+ *
+ * Child agents come from the registry (see registry.js) and run concurrently, each with
+ * its own timeout. results holds one entry per agent, keyed by agent name, with
+ * results.agents listing them in order and results.agentStatus[name] giving
+ * { state: 'pending' | 'ok' | 'timeout' | 'failed', error, durationMs }.
+ * options.onPartialResult(response) is called once the agents start and again as each
+ * one finishes, with the results so far, so callers can show sections as they arrive.
+ *
+ * options.onProgress(event) receives a step-by-step account of the query as
+ * { type, level: 'info' | 'success' | 'warning' | 'error', message, timestamp, ...data }.
+ * Types: 'analysis' (Claude started/failed), 'location-lookup' (a candidate
+ * name is being geocoded), 'location-not-found', 'location-ambiguous',
+ * 'location-resolved' ({ location, source }), 'intent' ({ agents, source }),
+ * 'agent-started' / 'agent-finished' ({ agent, state, durationMs }), 'summary' (Claude
+ * summary started/failed) and 'done'.
+ *
+ * Queries that compare places ("Compare the weather in Goa and Shimla", "Paris or Rome, which is better?")
+ * run the comparable agents once per place instead. Their results.comparison holds the
+ * side-by-side table built by buildComparison, and agent events also carry the location.
  */
-export async function parentAgent(userInput, claudeApiKey = null) {
+export async function parentAgent(userInput, claudeApiKey = null, options = {}) {
   try {
-    let analysis;
     let validatedLocation = '';
+    let resolvedGeo = null; // Coordinates shared with child agents so they don't geocode again
     
-    // Step 1: Try Claude API if key is provided (optional enhancement)
-    if (claudeApiKey && claudeApiKey.trim()) {
+    const report = createProgressReporter(options.onProgress);
+    const locale = resolveLocale(options.locale);
+    const t = createTranslator(locale);
+    const session = options.session || null;
+    
+    // Dates ("tomorrow", "this weekend", "12-15 March") switch the weather agent to forecast mode
+    const now = options.now || new Date();
+    const mentionedDateRange = extractDateRange(userInput, now);
+    let locationInput = mentionedDateRange ? removePhrase(userInput, mentionedDateRange.phrase) : userInput;
+    
+    // Category/radius/limit filters for places ("top 10 beaches near Goa", "museums within 3 km of Jaipur")
+    const mentionedFilters = extractPlacesFilters(locationInput);
+    if (mentionedFilters.limitPhrase) {
+      locationInput = removePhrase(locationInput, mentionedFilters.limitPhrase);
+    }
+    if (mentionedFilters.radiusPhrase) {
+      // "within 3 km of Jaipur" -> "in Jaipur" so the usual location patterns apply
+      locationInput = removePhrase(locationInput, mentionedFilters.radiusPhrase, ' in ');
+    }
+    
+    // Follow-ups keep the previous turn's dates and filters unless they mention their own
+    const categoryKeywords = Object.values(PLACE_CATEGORIES).flatMap(category => category.keywords);
+    const followUp = Boolean(session && session.location &&
+      isFollowUp(userInput, { namesLocation: hasLocationWords(locationInput, categoryKeywords) }));
+    const dateRange = options.dateRange || mentionedDateRange || (followUp ? session.dateRange : null);
+    const hasFilters = mentionedFilters.categories.length > 0 || mentionedFilters.radiusKm || mentionedFilters.limit;
+    const queryFilters = hasFilters || !followUp || !session.placesFilters
+      ? { categories: mentionedFilters.categories, radiusKm: mentionedFilters.radiusKm, limit: mentionedFilters.limit }
+      : session.placesFilters;
+    const placesFilters = { ...queryFilters, ...options.placesFilters };
+    
+    // "What's the weather here?" is answered for the user's position
+    const nearMe = !options.location && isNearMeQuery(locationInput);
+    
+    // Step 1: With an API key, Claude answers the query by calling the agents as tools
+    // (unless the user just picked a place or asked about where they are, which the
+    // heuristic path handles directly)
+    let claudeAvailable = Boolean(claudeApiKey && claudeApiKey.trim());
+    if (claudeAvailable && !options.location && !nearMe) {
       try {
-        analysis = await analyzeWithClaude(userInput, claudeApiKey);
-        // Try to validate the location extracted by Claude
-        if (analysis.location) {
-          const geoData = await geocodeLocation(analysis.location);
-          if (geoData) {
-            validatedLocation = geoData.displayName.split(',')[0];
-          }
+        report('analysis', 'info', t('progress.askingClaude'));
+        const answer = await orchestrateWithClaude(userInput, claudeApiKey, { session, dateRange, placesFilters, report, locale, now });
+        report('done', answer.results ? 'success' : 'warning', t('progress.done'));
+        
+        if (!answer.results) {
+          // Nothing could be looked up (an unknown place, or not a travel question)
+          return {
+            success: false,
+            error: answer.message || t('error.noLocation'),
+            location: ''
+          };
         }
+        
+        return {
+          success: true,
+          message: answer.message,
+          results: answer.results,
+          session: updateSession(session, {
+            query: userInput,
+            location: answer.location,
+            locationName: answer.results.location,
+            agents: answer.results.comparison ? answer.results.comparison.agents : answer.results.agents,
+            dateRange,
+            placesFilters,
+            results: answer.results
+          })
+        };
       } catch (error) {
+        // A replay without a recording is a broken fixture set, not a Claude outage
+        if (error instanceof MissingFixtureError) throw error;
         // Fallback to heuristic if Claude fails
-        console.warn('Claude analysis failed, using heuristic fallback:', error);
+        console.warn('Claude orchestration failed, using heuristic fallback:', error);
+        report('analysis', 'warning', t('progress.claudeUnavailable'));
+        claudeAvailable = false;
+      }
+    }
+    
+    // Step 2: Several places to weigh against each other ("Goa vs Shimla") are answered side by side
+    const comparedLocations = options.location || nearMe ? [] : extractLocations(locationInput);
+    if (comparedLocations.length > 1) {
+      const comparison = await compareLocations(userInput, comparedLocations, {
+        dateRange,
+        placesFilters,
+        session,
+        locale,
+        report,
+        onPartialResult: options.onPartialResult
+      });
+      if (comparison) return comparison;
+    }
+    
+    // The user already picked one of several candidates
+    if (options.location) {
+      resolvedGeo = options.location;
+      validatedLocation = options.location.displayName.split(',')[0];
+      report('location-resolved', 'success', t('progress.using', { place: options.location.displayName }), { location: validatedLocation, source: 'chosen' });
+    } else if (nearMe) {
+      const position = options.position;
+      if (!position || !Number.isFinite(position.lat) || !Number.isFinite(position.lon)) {
+        report('location-not-found', 'error', t('progress.noPosition'));
+        return {
+          success: false,
+          needsPosition: true,
+          error: t('error.noPosition'),
+          location: ''
+        };
+      }
+      
+      let place = null;
+      try {
+        report('location-lookup', 'info', t('progress.lookingUpPosition'));
+        place = await reverseGeocode(position.lat, position.lon);
+      } catch (error) {
+        if (error instanceof MissingFixtureError) throw error;
+        console.warn('Reverse geocoding failed:', error);
+        report('location-lookup', 'warning', t('progress.positionLookupFailed', { error: error.message }));
       }
+      // The agents only need coordinates, so an unnamed position still gets answers
+      resolvedGeo = place || { lat: position.lat, lon: position.lon, displayName: t('location.current'), name: t('location.current') };
+      validatedLocation = resolvedGeo.displayName.split(',')[0];
+      report('location-resolved', 'success', t('progress.usingPosition', { place: resolvedGeo.displayName }), { location: validatedLocation, source: 'position' });
+    } else if (session && session.location && !hasLocationWords(locationInput)) {
+      // No new place mentioned ("what's the weather there?") - stay with the previous location
+      resolvedGeo = session.location;
+      validatedLocation = session.locationName;
+      report('location-resolved', 'success', t('progress.fromConversation', { location: validatedLocation }), { location: validatedLocation, source: 'session' });
     }
     
-    // Step 2: Use heuristic analysis (primary method, works without API key)
+    // Step 3: Use heuristic analysis (primary method, works without API key)
     if (!validatedLocation) {
       // Extract location using heuristics
-      const potentialLocation = extractLocation(userInput);
+      const potentialLocation = extractLocation(locationInput);
       
       if (!potentialLocation || potentialLocation.length < 2) {
+        report('location-not-found', 'error', t('progress.noLocation'));
         return {
           success: false,
-          error: "I couldn't find a location in your query. Please include a city or place name.",
+          error: t('error.noLocation'),
           location: ''
         };
       }
       
       // Try multiple variations of the location name for better matching
-      const locationVariations = [
+      // (deduplicated, since each distinct variation costs a rate-limited Nominatim request)
+      const locationVariations = [...new Set([
         potentialLocation,
         potentialLocation.split(',')[0], // Remove any trailing parts
         potentialLocation.split(' ').slice(0, 3).join(' ') // First 3 words for multi-word cities
-      ];
+      ])];
       
-      let geoData = null;
+      let candidates = [];
       for (const location of locationVariations) {
         if (!location || location.length < 2) continue;
         try {
-          geoData = await geocodeLocation(location);
-          if (geoData) break;
+          report('location-lookup', 'info', t('progress.lookingUp', { location }), { location });
+          candidates = await geocodeCandidates(location);
+          if (candidates.length > 0) break;
         } catch (error) {
+          if (error instanceof MissingFixtureError) throw error;
           console.warn(`Geocoding failed for "${location}":`, error);
+          report('location-lookup', 'warning', t('progress.lookupFailed', { location, error: error.message }), { location });
           continue;
         }
       }
       
+      const geoData = candidates[0] || null;
+      
       if (!geoData) {
+        report('location-not-found', 'error', t('progress.notFound', { location: potentialLocation }), { location: potentialLocation });
         return {
           success: false,
-          error: `I'm sorry, but I don't recognize "${potentialLocation}" as a valid location. It's possible this place doesn't exist in my database, or there might be a spelling error. Could you please double-check the location name and try again? You might want to try using the city's official name or a more common spelling.`,
+          error: t('error.unknownLocation', { location: potentialLocation }),
           location: potentialLocation
         };
       }
@@ -249,75 +762,125 @@ export async function parentAgent(userInput, claudeApiKey = null) {
       if (inputLocation.length < 3) {
         const similarity = calculateLocationSimilarity(inputLocation, returnedLocation);
         if (similarity < 0.7) {
+          report('location-not-found', 'error', t('progress.mismatch', { location: potentialLocation, place: geoData.displayName }), { location: potentialLocation });
           return {
             success: false,
-            error: `I'm sorry, but I don't recognize "${potentialLocation}" as a valid location. It's possible this place doesn't exist in my database, or there might be a spelling error. Could you please double-check the location name and try again? You might want to try using the city's official name or a more common spelling.`,
+            error: t('error.unknownLocation', { location: potentialLocation }),
             location: potentialLocation
           };
         }
       }
       
-      validatedLocation = geoData.displayName.split(',')[0];
-      
-      // Use heuristic intent analysis if Claude didn't work
-      if (!analysis) {
-        const intent = analyzeIntent(userInput);
-        analysis = {
-          needsWeather: intent.needsWeather,
-          needsPlaces: intent.needsPlaces,
-          location: validatedLocation
-        };
+      // Several equally plausible places share this name - let the user choose
+      const closeCandidates = findCloseCandidates(candidates);
+      if (closeCandidates.length > 0) {
+        report('location-ambiguous', 'warning', t('progress.ambiguous', { count: closeCandidates.length, location: potentialLocation }), { location: potentialLocation });
+        return disambiguationResult(potentialLocation, closeCandidates, t);
       }
+      
+      resolvedGeo = geoData;
+      validatedLocation = geoData.displayName.split(',')[0];
+      report('location-resolved', 'success', t('progress.found', { place: geoData.displayName }), { location: validatedLocation, source: 'geocoder' });
     }
     
-    // Override location with validated one
-    analysis.location = validatedLocation;
+    // What the agents need to know about the query
+    const context = { userInput, dateRange, placesFilters, followUp, session, locale, location: validatedLocation };
     
-    // Step 3: Determine which agents to call
-    const results = {
-      weather: null,
-      places: null,
-      location: validatedLocation
-    };
+    // Heuristic intent analysis
+    let selectedAgents = analyzeIntent(userInput, context);
+    let intentSource = 'keywords';
     
-    // Step 4: Call appropriate child agents
-    if (analysis.needsWeather) {
-      results.weather = await weatherAgent(validatedLocation);
+    // "What about Mysore instead?" asks the previous question about a new place
+    if (selectedAgents.length === 0 && followUp && session.agents) {
+      selectedAgents = resolveSelection(session.agents.map(getAgent).filter(Boolean));
+      intentSource = 'follow-up';
     }
     
-    if (analysis.needsPlaces) {
-      results.places = await placesAgent(validatedLocation);
+    // If nothing is explicitly requested, default to places
+    if (selectedAgents.length === 0) {
+      selectedAgents = defaultAgents();
+      intentSource = 'default';
     }
     
-    // If neither is explicitly requested, default to places
-    if (!analysis.needsWeather && !analysis.needsPlaces) {
-      results.places = await placesAgent(validatedLocation);
-    }
+    const agentNames = selectedAgents.map(agent => agent.name);
+    report('intent', 'info', t('progress.asking', { agents: agentNames.join(', ') }), { agents: agentNames, source: intentSource });
     
-    // Step 5: Format combined response
-    let response = '';
-    const parts = [];
+    // Step 4: Call the selected child agents concurrently
+    const results = {
+      location: validatedLocation,
+      dateRange,
+      agents: agentNames,
+      agentStatus: Object.fromEntries(selectedAgents.map(agent => [agent.name, { state: 'pending', error: null, durationMs: null }]))
+    };
     
-    if (results.weather && results.weather.success) {
-      parts.push(results.weather.message);
-    }
+    const reportPartial = () => {
+      if (options.onPartialResult) {
+        options.onPartialResult({
+          success: true,
+          partial: true,
+          message: '',
+          results: { ...results, agentStatus: { ...results.agentStatus } }
+        });
+      }
+    };
+    reportPartial();
     
-    if (results.places && results.places.success) {
-      if (results.places.places && results.places.places.length > 0) {
-        parts.push(`Here are some tourist attractions in ${validatedLocation}:`);
-      } else {
-        parts.push(results.places.message);
+    await runAgents(
+      selectedAgents,
+      validatedLocation,
+      agent => ({ ...agent.buildInput(context), geoData: resolvedGeo, locale }),
+      {
+        onStarted: (name) => report('agent-started', 'info', t('progress.agentWorking', { agent: name }), { agent: name }),
+        onSettled: (name, result, status) => {
+          results[name] = result;
+          results.agentStatus[name] = status;
+          reportAgentFinished(report, t, name, status);
+          reportPartial();
+        }
       }
-    }
+    );
+    
+    // Step 5: Format combined response - the agents' own summaries, each aware of the others' results
+    const parts = selectedAgents
+      .map(agent => {
+        const result = results[agent.name];
+        const status = results.agentStatus[agent.name];
+        const summary = agent.summarize ? agent.summarize(result, { ...context, results }) : (result.message || result.error);
+        // Mention agents that timed out or failed even if they have nothing to summarise
+        return summary || (status.state !== 'ok' ? status.error : null);
+      })
+      .filter(Boolean);
     
-    response = parts.join('\n\n');
+    let response = parts.join('\n\n');
+    
+    // With a working Claude key, Claude turns the results into one recommendation
+    if (claudeAvailable) {
+      try {
+        report('summary', 'info', t('progress.writingSummary'));
+        response = await summarizeWithClaude(userInput, results, claudeApiKey, locale);
+      } catch (error) {
+        if (error instanceof MissingFixtureError) throw error;
+        console.warn('Claude summary failed, using the template summary:', error);
+        report('summary', 'warning', t('progress.summaryFailed'));
+      }
+    }
+    report('done', 'success', t('progress.done'));
     
     return {
       success: true,
       message: response,
-      results: results
+      results: results,
+      session: updateSession(session, {
+        query: userInput,
+        location: resolvedGeo,
+        locationName: validatedLocation,
+        agents: results.agents,
+        dateRange,
+        placesFilters,
+        results
+      })
     };
-    
+  
   } catch (error) {
     return {
       success: false,
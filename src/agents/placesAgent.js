@@ -1,46 +1,193 @@
-import { geocodeLocation, fetchTouristPlaces } from '../utils/api.js';
+import { geocodeLocation, fetchTouristPlaces, ApiError, apiErrorMessage } from '../utils/api.js';
+import { MissingFixtureError } from '../utils/httpRecorder.js';
+import { rankPlaces } from '../utils/placeRanking.js';
+import { describePlacesFilters, DEFAULT_RADIUS_KM, PLACE_CATEGORIES } from '../utils/placeFilters.js';
+import { describeConditions, placeSetting } from '../utils/weatherAdvice.js';
+import { createTranslator, joinList } from '../i18n/index.js';
+
+// How many of the highest-ranked places to return by default
+const DEFAULT_LIMIT = 10;
 
 /**
  * Places Agent (Child Agent 2)
- * Fetches tourist attractions for a given location
+ * Fetches tourist attractions for a given location, ranked by relevance.
+ * Pass already-resolved coordinates as options.geoData to skip geocoding.
+ * options.categories, options.radiusKm and options.limit narrow the search
+ * (see extractPlacesFilters); options.signal (AbortSignal) cancels the search.
+ * options.locale sets the language of the message; distances stay in km.
  */
-export async function placesAgent(location) {
+export async function placesAgent(location, options = {}) {
+  const t = createTranslator(options.locale);
+  
   try {
-    // Step 1: Geocode the location
-    const geoData = await geocodeLocation(location);
+    // Step 1: Geocode the location (unless the caller already resolved it)
+    const geoData = options.geoData || await geocodeLocation(location);
     
     if (!geoData) {
       return {
         success: false,
-        error: 'Location not found'
+        error: t('agent.notFound'),
+        reason: 'not-found'
       };
     }
     
-    // Step 2: Fetch tourist places
-    const places = await fetchTouristPlaces(geoData.lat, geoData.lon);
+    // Step 2: Fetch tourist places and keep the most relevant ones
+    const places = rankPlaces(
+      await fetchTouristPlaces(geoData.lat, geoData.lon, {
+        categories: options.categories,
+        radiusKm: options.radiusKm,
+        signal: options.signal
+      }),
+      options.limit || DEFAULT_LIMIT
+    );
+    const description = describePlacesFilters(options, location, options.locale);
+    // Search area, so the UI can show it on a map
+    const area = {
+      center: { lat: geoData.lat, lon: geoData.lon },
+      radiusKm: options.radiusKm || DEFAULT_RADIUS_KM
+    };
     
     if (places.length === 0) {
       return {
         success: true,
-        message: `No tourist attractions found near ${location}`,
-        places: []
+        message: t('places.none', { description }),
+        places: [],
+        description,
+        ...area
       };
     }
     
     // Step 3: Format response
     const placesList = places.map(p => p.name).join(', ');
-    const response = `Here are some tourist attractions in ${location}: ${placesList}`;
+    const response = t('places.found', { description, names: placesList });
     
     return {
       success: true,
       message: response,
-      places: places
+      places: places,
+      description,
+      ...area
     };
   } catch (error) {
+    if (error instanceof MissingFixtureError) throw error;
     return {
       success: false,
-      error: error.message || 'Failed to fetch tourist places'
+      error: error instanceof ApiError ? apiErrorMessage(error, t) : t('places.failed'),
+      reason: error.kind || 'failed'
     };
   }
 }
 
+// How many places the summary recommends by name
+const SUMMARY_PICKS = 5;
+
+// How many of the most common kinds of place a comparison lists
+const COMPARED_TYPES = 3;
+
+/**
+ * "A", "A and B", "A, B and C" in the translator's language
+ */
+function listNames(places, t) {
+  return joinList(places.map(place => place.name), t);
+}
+
+/**
+ * Summary of a places result: the top picks, and which of them suit the weather
+ * when the weather agent answered too (context.results.weather)
+ */
+function summarizePlaces(result, context = {}) {
+  if (!result.success) return null;
+  if (!result.places || result.places.length === 0) return result.message;
+  
+  const t = createTranslator(context.locale);
+  const picks = result.places.slice(0, SUMMARY_PICKS);
+  const summary = t('places.top', { description: result.description, names: listNames(picks, t) });
+  
+  const weather = context.results && context.results.weather;
+  if (!weather || !weather.success || !weather.data) return summary;
+  
+  const conditions = describeConditions(weather.data);
+  const indoor = picks.filter(place => placeSetting(place) === 'indoor');
+  const outdoor = picks.filter(place => placeSetting(place) === 'outdoor');
+  
+  const names = { indoor: listNames(indoor, t), outdoor: listNames(outdoor, t) };
+  
+  if (conditions.rainy && indoor.length > 0) {
+    return `${summary} ${t(outdoor.length > 0 ? 'places.rainyLater' : 'places.rainy', names)}`;
+  }
+  if (conditions.hot && outdoor.length > 0) {
+    return `${summary} ${t(indoor.length > 0 ? 'places.hotMidday' : 'places.hot', names)}`;
+  }
+  if (!conditions.rainy && !conditions.cold && outdoor.length > 0) {
+    return `${summary} ${t('places.pleasant', names)}`;
+  }
+  return summary;
+}
+
+/**
+ * Comparison metrics for a places result: how many attractions were found and what kinds
+ */
+function comparePlaces(result, context = {}) {
+  const t = createTranslator(context.locale);
+  const counts = {};
+  for (const place of result.places) {
+    const type = (place.type || 'attraction').replace(/_/g, ' ');
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  const types = Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .slice(0, COMPARED_TYPES);
+  const count = result.places.length;
+  
+  return [
+    { key: 'attractions', label: t('compare.attractions'), value: count, display: String(count), text: count === 1 ? t('compare.attractionText') : t('compare.attractionsText', { count }), highlight: 'highest', highlightLabel: t('compare.mostAttractions') },
+    { key: 'placeTypes', label: t('compare.placeTypes'), value: types, display: types.join(', ') || '—', text: types.length > 0 ? t('compare.placeTypesText', { types: types.join(', ') }) : null }
+  ];
+}
+
+/**
+ * Registry definition for the places agent
+ */
+export const placesAgentDefinition = {
+  name: 'places',
+  toolName: 'find_places',
+  description: 'Tourist attractions near the location, optionally filtered by category, radius and count',
+  keywords: [
+    'place', 'places', 'visit', 'visiting', 'attraction', 'attractions',
+    'tourist', 'tourism', 'sightseeing', 'sights', 'see', 'explore',
+    'plan', 'planning', 'trip', 'trips', 'travel', 'destination', 'destinations',
+    'landmark', 'landmarks', 'monument', 'monuments', 'museum', 'museums', 'park', 'parks',
+    'beach', 'beaches', 'temple', 'temples', 'church', 'churches', 'palace', 'palaces',
+    // Spanish, French and Hindi
+    'lugares', 'visitar', 'turismo', 'turísticos', 'viaje', 'atracciones',
+    'lieux', 'visiter', 'tourisme', 'touristiques', 'voyage',
+    'घूमने', 'जगह', 'जगहें', 'पर्यटन', 'यात्रा', 'ghumne', 'jagah'
+  ],
+  examples: [
+    'What are the places I can visit in Bangalore?',
+    'Top 10 beaches near Goa',
+    'Museums within 3 km of Jaipur'
+  ],
+  inputSchema: {
+    type: 'object',
+    properties: {
+      categories: {
+        type: 'array',
+        description: 'Kinds of places to look for',
+        items: { type: 'string', enum: Object.keys(PLACE_CATEGORIES) }
+      },
+      radiusKm: { type: 'number', description: 'Search radius in km (default 10)' },
+      limit: { type: 'number', description: 'Number of places to return (default 10)' }
+    }
+  },
+  renderer: 'places',
+  isDefault: true,
+  // Overpass queries are allowed 25 s server-side
+  timeoutMs: 30000,
+  // Asking for a kind of place ("forts", "waterfalls") is a places query
+  matches: (userInput, context) => Boolean(context.placesFilters && context.placesFilters.categories.length > 0),
+  buildInput: (context) => ({ ...context.placesFilters }),
+  run: placesAgent,
+  summarize: summarizePlaces,
+  compare: comparePlaces
+};
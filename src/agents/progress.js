@@ -0,0 +1,35 @@
+/**
+ * Progress events
+ * The parent agent reports each step of a query as
+ * { type, level: 'info' | 'success' | 'warning' | 'error', message, timestamp, ...data }
+ * (see parentAgent for the event types).
+ */
+
+/**
+ * Build the progress reporter for one query; a no-op when no callback is given
+ */
+export function createProgressReporter(onProgress) {
+  return (type, level, message, data = {}) => {
+    if (onProgress) {
+      onProgress({ type, level, message, timestamp: Date.now(), ...data });
+    }
+  };
+}
+
+/**
+ * Report that an agent finished, timed out or failed (for one of the places of a comparison when location is given),
+ * in the language of the translator t
+ */
+export function reportAgentFinished(report, t, name, status, location = null) {
+  const agent = location ? t('progress.agentAt', { agent: name, location }) : t('progress.agent', { agent: name });
+  const seconds = (status.durationMs / 1000).toFixed(1);
+  const message = status.state === 'ok'
+    ? t('progress.agentFinished', { agent, seconds })
+    : t(status.state === 'timeout' ? 'progress.agentTimedOut' : 'progress.agentFailed', { agent, error: status.error });
+  report(
+    'agent-finished',
+    status.state === 'ok' ? 'success' : 'error',
+    message,
+    { agent: name, location, state: status.state, durationMs: status.durationMs }
+  );
+}
@@ -0,0 +1,154 @@
+/**
+ * Agent Registry
+ * Child agents describe themselves here so the parent agent can pick, run and
+ * summarise them generically. A definition looks like:
+ *
+ * {
+ *   name: 'weather',                       // unique id, also the key in parentAgent results
+ *   description: 'Current weather ...',    // used in the Claude prompt and tool definition
+ *   toolName: 'get_weather',               // name of the Claude tool backed by this agent (default: name)
+ *   keywords: ['weather', 'rain'],         // heuristic intent matching
+ *   examples: ["What's the temperature in Bangalore?"],
+ *   inputSchema: { type: 'object', properties: { ... } },  // JSON Schema of the agent input (and tool input)
+ *   renderer: 'weather',                   // id of the UI component that displays the result
+ *   isDefault: false,                      // run when no agent matches the query
+ *   supersedes: [],                        // names of agents this one replaces when both match
+ *   timeoutMs: 15000,                      // how long the agent may run before it is cancelled
+ *   matches(userInput, context) {},        // optional, extra matching on top of the keywords
+ *   buildInput(context) {},                // optional, derives the agent input from the parsed query
+ *   run(location, input) {},               // input also carries geoData (resolved coordinates), the locale and an AbortSignal
+ *   summarize(result, context) {},         // optional, text for the combined answer (context.results has every agent's result)
+ *   compare(result, context) {}            // optional, metrics for comparison queries (see comparison.js)
+ * }
+ *
+ * input.locale and context.locale are { language, units, timeFormat } (see i18n); messages
+ * are written in that language and units, while result data stays metric.
+ */
+
+// Names that would collide with the other fields of parentAgent results
+const RESERVED_NAMES = ['location', 'dateRange', 'agents', 'agentStatus', 'comparison'];
+
+// Tool names the Claude orchestrator provides itself
+const RESERVED_TOOL_NAMES = ['geocode'];
+
+// Used for agents that don't set timeoutMs
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Registration order is also the order agents run and are displayed in
+const agents = [];
+
+/**
+ * Register (or replace) an agent definition
+ */
+export function registerAgent(definition) {
+  if (!definition || !definition.name || typeof definition.run !== 'function') {
+    throw new Error('An agent definition needs a name and a run function');
+  }
+  if (RESERVED_NAMES.includes(definition.name)) {
+    throw new Error(`"${definition.name}" is a reserved agent name`);
+  }
+  
+  const agent = {
+    description: '',
+    keywords: [],
+    examples: [],
+    inputSchema: { type: 'object', properties: {} },
+    renderer: definition.name,
+    toolName: definition.name,
+    isDefault: false,
+    supersedes: [],
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    buildInput: () => ({}),
+    ...definition
+  };
+  
+  if (RESERVED_TOOL_NAMES.includes(agent.toolName)) {
+    throw new Error(`"${agent.toolName}" is a reserved tool name`);
+  }
+  
+  const index = agents.findIndex(existing => existing.name === agent.name);
+  if (index >= 0) {
+    agents[index] = agent;
+  } else {
+    agents.push(agent);
+  }
+  
+  return agent;
+}
+
+/**
+ * Remove an agent from the registry
+ */
+export function unregisterAgent(name) {
+  const index = agents.findIndex(agent => agent.name === name);
+  if (index >= 0) {
+    agents.splice(index, 1);
+  }
+}
+
+/**
+ * Look up an agent definition by name
+ */
+export function getAgent(name) {
+  return agents.find(agent => agent.name === name) || null;
+}
+
+/**
+ * All registered agents, in registration order
+ */
+export function listAgents() {
+  return [...agents];
+}
+
+/**
+ * Keyword-based intent matching shared by all agents
+ * Keywords match whole words or phrases only, so "hot" doesn't match "hotels".
+ */
+function matchesKeywords(agent, userInput) {
+  const lowerInput = userInput.toLowerCase();
+  return agent.keywords.some(keyword => containsWord(lowerInput, keyword.toLowerCase()));
+}
+
+/**
+ * Whether a word or phrase appears in the text with no letters, marks or digits
+ * directly around it (marks count as part of the word, for Devanagari vowel signs)
+ */
+function containsWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escaped}(?![\\p{L}\\p{M}\\p{N}])`, 'u').test(text);
+}
+
+/**
+ * Drop agents that another selected agent supersedes, and keep registration order
+ */
+export function resolveSelection(selected) {
+  const names = selected.map(agent => agent.name);
+  return agents.filter(agent =>
+    names.includes(agent.name) &&
+    !selected.some(other => other.supersedes.includes(agent.name))
+  );
+}
+
+/**
+ * Pick the agents whose intents match the query (empty if none do)
+ */
+export function matchAgents(userInput, context = {}) {
+  const matched = agents.filter(agent =>
+    matchesKeywords(agent, userInput) || Boolean(agent.matches && agent.matches(userInput, context))
+  );
+  return resolveSelection(matched);
+}
+
+/**
+ * Agents that can take part in a comparison of several locations
+ */
+export function comparableAgents() {
+  return agents.filter(agent => typeof agent.compare === 'function');
+}
+
+/**
+ * Agents to run when nothing in the query matches
+ */
+export function defaultAgents() {
+  return agents.filter(agent => agent.isDefault);
+}
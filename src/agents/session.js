@@ -0,0 +1,54 @@
+// How many past turns a session keeps
+const MAX_HISTORY = 20;
+
+// Phrases that refer back to the previous turn ("what about Mysore instead?", "and the weather there?")
+const FOLLOW_UP_PATTERN = /\b(?:what|how)\s+about\b|\binstead\b|\bthat\s+(?:place|city|town)\b|\bsame\s+(?:place|city|town)\b|^\s*and\b/i;
+
+// Words that only refer back when the query names no place of its own
+// ("what's it like there?", but not "Is there a museum in Paris?")
+const WEAK_FOLLOW_UP_PATTERN = /\bthere\b|\balso\b/i;
+
+/**
+ * Create an empty conversation session
+ * A session remembers the last resolved location, agents, date range, place filters and results
+ * so follow-up queries can be resolved against them.
+ */
+export function createSession() {
+  return {
+    location: null,
+    locationName: '',
+    agents: null,
+    dateRange: null,
+    placesFilters: null,
+    results: null,
+    history: []
+  };
+}
+
+/**
+ * Check whether a query reads like a follow-up to the previous turn
+ * options.namesLocation: whether the query mentions a place (see hasLocationWords in parentAgent.js)
+ */
+export function isFollowUp(userInput, { namesLocation = false } = {}) {
+  return FOLLOW_UP_PATTERN.test(userInput) || (!namesLocation && WEAK_FOLLOW_UP_PATTERN.test(userInput));
+}
+
+/**
+ * Return a new session that records a successfully answered turn
+ */
+export function updateSession(session, { query, location, locationName, agents, dateRange, placesFilters, results }) {
+  const previous = session || createSession();
+  
+  return {
+    location,
+    locationName,
+    agents,
+    dateRange,
+    placesFilters,
+    results,
+    history: [
+      ...previous.history,
+      { query, locationName, timestamp: Date.now() }
+    ].slice(-MAX_HISTORY)
+  };
+}
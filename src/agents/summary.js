@@ -0,0 +1,66 @@
+import { createClaudeMessage } from '../utils/api.js';
+import { localeInstruction } from './claudeOrchestrator.js';
+
+// How many attractions and itinerary stops per day are passed to Claude
+const SUMMARY_PLACES = 8;
+
+/**
+ * The facts Claude may use: weather, attractions and trip plan, without coordinates and OSM details
+ */
+function summaryFacts(results) {
+  const facts = { location: results.location };
+  
+  for (const name of results.agents) {
+    const result = results[name];
+    if (!result || !result.success) {
+      facts[name] = { unavailable: results.agentStatus[name]?.error || 'No result' };
+    } else if (result.data) {
+      facts[name] = result.data;
+    } else if (result.itinerary) {
+      facts[name] = result.itinerary.days.map(day => ({
+        date: day.date,
+        rainy: day.rainy,
+        weather: day.weather,
+        places: day.places.slice(0, SUMMARY_PLACES).map(place => ({ name: place.name, type: place.type, setting: place.setting }))
+      }));
+    } else if (result.places) {
+      facts[name] = {
+        description: result.description,
+        places: result.places.slice(0, SUMMARY_PLACES).map(({ name: placeName, type, distanceKm, openingHours }) => ({ name: placeName, type, distanceKm, openingHours }))
+      };
+    } else {
+      facts[name] = result.message;
+    }
+  }
+  
+  return facts;
+}
+
+/**
+ * Natural language answer from the agent results, written by Claude
+ * Turns the structured results into a short, weather-aware recommendation.
+ * Throws when Claude can't be reached or returns no text.
+ * locale: the user's language and units (see i18n)
+ */
+export async function summarizeWithClaude(userInput, results, apiKey, locale = null) {
+  const response = await createClaudeMessage(apiKey, {
+    system: 'You are a friendly travel assistant. Answer the traveller\'s question in 2-4 sentences, as a recommendation that takes the weather into account (e.g. which sights to visit when). Use only the facts given, mention places by name and say plainly if some information is unavailable. ' + localeInstruction(locale),
+    messages: [
+      {
+        role: 'user',
+        content: `Question: ${userInput}\n\nFacts (JSON):\n${JSON.stringify(summaryFacts(results))}`
+      }
+    ],
+    maxTokens: 400
+  });
+  
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+  if (!text) {
+    throw new Error('Claude returned an empty summary');
+  }
+  return text;
+}
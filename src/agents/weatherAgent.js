@@ -1,27 +1,54 @@
-import { geocodeLocation, fetchWeather } from '../utils/api.js';
+import { geocodeLocation, fetchWeather, fetchForecast, MAX_FORECAST_DAYS, ApiError, apiErrorMessage } from '../utils/api.js';
+import { MissingFixtureError } from '../utils/httpRecorder.js';
+import { formatDate, addDays, daysBetween, formatDayLabel, formatRangeLabel } from '../utils/dates.js';
+import { describeConditionsIn } from '../utils/weatherCodes.js';
+import { describeConditions, isRainy } from '../utils/weatherAdvice.js';
+import { formatTemperature, convertTemperature, temperatureUnit } from '../utils/units.js';
+import { createTranslator, resolveLocale, LANGUAGES } from '../i18n/index.js';
+
+// Units of the raw values in weather data
+const DATA_UNITS = { temperature: '°C', precipitation: 'mm', windSpeed: 'km/h', precipitationProbability: '%' };
 
 /**
  * Weather Agent (Child Agent 1)
- * Fetches current weather information for a given location
+ * Fetches current weather information for a given location,
+ * or a per-day forecast when a date range is supplied in options.dateRange.
+ * Pass already-resolved coordinates as options.geoData to skip geocoding,
+ * and an AbortSignal as options.signal to cancel the weather requests.
+ * Data values are metric (see data.units); options.locale sets the language
+ * and units of the message.
  */
-export async function weatherAgent(location) {
+export async function weatherAgent(location, options = {}) {
+  const locale = resolveLocale(options.locale);
+  const t = createTranslator(locale);
+  
   try {
-    // Step 1: Geocode the location
-    const geoData = await geocodeLocation(location);
+    // Step 1: Geocode the location (unless the caller already resolved it)
+    const geoData = options.geoData || await geocodeLocation(location);
     
     if (!geoData) {
       return {
         success: false,
-        error: 'Location not found'
+        error: t('agent.notFound'),
+        reason: 'not-found'
       };
     }
     
+    const cityName = geoData.displayName.split(',')[0]; // Get city name from display name
+    
+    if (options.dateRange) {
+      return await forecastForRange(geoData, cityName, options.dateRange, options.signal, locale);
+    }
+    
     // Step 2: Fetch weather data
-    const weatherData = await fetchWeather(geoData.lat, geoData.lon);
+    const weatherData = await fetchWeather(geoData.lat, geoData.lon, { signal: options.signal });
     
     // Step 3: Format response
-    const cityName = geoData.displayName.split(',')[0]; // Get city name from display name
-    const response = `In ${cityName} it's currently ${weatherData.temperature}°C with a chance of ${weatherData.precipitationProbability}% to rain`;
+    const response = t('weather.current', {
+      city: cityName,
+      temperature: formatTemperature(weatherData.temperature, locale.units),
+      rain: weatherData.precipitationProbability
+    });
     
     return {
       success: true,
@@ -29,14 +56,170 @@ export async function weatherAgent(location) {
       data: {
         city: cityName,
         temperature: weatherData.temperature,
-        precipitationProbability: weatherData.precipitationProbability
+        precipitationProbability: weatherData.precipitationProbability,
+        units: DATA_UNITS
       }
     };
   } catch (error) {
+    if (error instanceof MissingFixtureError) throw error;
+    return {
+      success: false,
+      error: error instanceof ApiError ? apiErrorMessage(error, t) : t('weather.failed'),
+      reason: error.kind || 'failed'
+    };
+  }
+}
+
+/**
+ * Fetch and format a per-day forecast for the requested date range
+ */
+async function forecastForRange(geoData, cityName, dateRange, signal, locale) {
+  const t = createTranslator(locale);
+  const { dateLocale } = LANGUAGES[locale.language];
+  const today = formatDate(new Date());
+  const label = formatRangeLabel(dateRange, t, dateLocale);
+  
+  if (daysBetween(today, dateRange.end) < 0) {
+    return {
+      success: false,
+      error: t('weather.pastDates', { label, city: cityName })
+    };
+  }
+  
+  // Clamp the range to what Open-Meteo can forecast
+  const start = daysBetween(today, dateRange.start) < 0 ? today : dateRange.start;
+  const lastForecastDay = formatDate(addDays(new Date(), MAX_FORECAST_DAYS - 1));
+  const end = daysBetween(dateRange.end, lastForecastDay) < 0 ? lastForecastDay : dateRange.end;
+  
+  if (daysBetween(start, end) < 0) {
     return {
       success: false,
-      error: error.message || 'Failed to fetch weather information'
+      error: t('weather.tooFar', { days: MAX_FORECAST_DAYS, label, city: cityName })
     };
   }
+  
+  const forecast = await fetchForecast(geoData.lat, geoData.lon, start, end, { signal });
+  
+  const days = forecast.map(day => t('weather.forecastDay', {
+    day: formatDayLabel(day.date, dateLocale),
+    min: convertTemperature(day.temperatureMin, locale.units),
+    max: formatTemperature(day.temperatureMax, locale.units),
+    conditions: describeConditionsIn(locale.language, day.weatherCode),
+    rain: day.precipitationProbability
+  }));
+  const response = `${t('weather.forecast', { city: cityName, label })}\n${days.join('\n')}`;
+  
+  return {
+    success: true,
+    message: response,
+    data: {
+      city: cityName,
+      range: { start, end, label },
+      forecast,
+      units: DATA_UNITS
+    }
+  };
+}
+
+/**
+ * Summary of a weather result with advice for sightseeing in it
+ */
+function summarizeWeather(result, context = {}) {
+  if (!result.success) return result.error;
+  
+  const locale = resolveLocale(context.locale);
+  const t = createTranslator(locale);
+  const { data } = result;
+  const conditions = describeConditions(data);
+  
+  if (data.forecast) {
+    const advice = [];
+    if (data.forecast.length > 1) {
+      const driest = data.forecast.reduce((best, day) => day.precipitationProbability < best.precipitationProbability ? day : best);
+      advice.push(t('advice.bestDay', { day: formatDayLabel(driest.date, LANGUAGES[locale.language].dateLocale), rain: driest.precipitationProbability }));
+    }
+    if (conditions.rainy) {
+      advice.push(t('advice.rainyDays'));
+    } else if (data.forecast.some(isRainy)) {
+      advice.push(t('advice.umbrellaDays'));
+    }
+    return advice.length > 0 ? `${result.message}\n\n${advice.join(' ')}` : result.message;
+  }
+  
+  let advice = t('advice.pleasant');
+  if (conditions.rainy) {
+    advice = t('advice.rainy');
+  } else if (conditions.hot) {
+    advice = t('advice.hot');
+  } else if (conditions.cold) {
+    advice = t('advice.cold');
+  }
+  return `${result.message}. ${advice}`;
 }
 
+/**
+ * Comparison metrics for a weather result: the temperature and the chance of rain,
+ * averaged over the days of a forecast
+ */
+function compareWeather(result, context = {}) {
+  const { units } = resolveLocale(context.locale);
+  const t = createTranslator(context.locale);
+  const { data } = result;
+  let temperature = data.temperature;
+  let display = formatTemperature(data.temperature, units);
+  let rainChance = data.precipitationProbability;
+  
+  if (data.forecast) {
+    const average = (values) => Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    temperature = average(data.forecast.map(day => day.temperatureMax));
+    const min = convertTemperature(Math.min(...data.forecast.map(day => day.temperatureMin)), units);
+    const max = convertTemperature(Math.max(...data.forecast.map(day => day.temperatureMax)), units);
+    display = `${min}–${max}${temperatureUnit(units)}`;
+    rainChance = average(data.forecast.map(day => day.precipitationProbability));
+  }
+  
+  return [
+    { key: 'temperature', label: t('compare.temperature'), value: temperature, display, text: display, highlight: 'highest', highlightLabel: t('compare.warmest') },
+    { key: 'rainChance', label: t('compare.rainChance'), value: rainChance, display: `${rainChance}%`, text: t('compare.rainText', { rain: rainChance }), highlight: 'lowest', highlightLabel: t('compare.driest') }
+  ];
+}
+
+/**
+ * Registry definition for the weather agent
+ */
+export const weatherAgentDefinition = {
+  name: 'weather',
+  toolName: 'get_weather',
+  description: 'Current temperature and chance of rain, or a day-by-day forecast when the query mentions dates',
+  keywords: [
+    'weather', 'temperature', 'temp', 'rain', 'rainy', 'raining', 'precipitation',
+    'sunny', 'cloudy', 'cold', 'hot', 'warm', 'cool', 'forecast', 'climate',
+    // Spanish, French and Hindi
+    'tiempo', 'clima', 'temperatura', 'lluvia', 'llover', 'llueve', 'pronóstico', 'calor', 'frío',
+    'météo', 'quel temps', 'température', 'pluie', 'pleuvoir', 'pleut', 'prévisions', 'chaud', 'froid',
+    'मौसम', 'तापमान', 'बारिश', 'गर्मी', 'ठंड', 'mausam', 'barish'
+  ],
+  examples: [
+    "I'm going to Bangalore, what is the temperature there?",
+    'Will it rain in Goa this weekend?'
+  ],
+  inputSchema: {
+    type: 'object',
+    properties: {
+      dateRange: {
+        type: 'object',
+        description: 'Dates to forecast; omit for the current weather',
+        properties: {
+          start: { type: 'string', description: 'First day, YYYY-MM-DD' },
+          end: { type: 'string', description: 'Last day, YYYY-MM-DD' }
+        }
+      }
+    }
+  },
+  renderer: 'weather',
+  timeoutMs: 10000,
+  buildInput: (context) => ({ dateRange: context.dateRange }),
+  run: weatherAgent,
+  summarize: summarizeWeather,
+  compare: compareWeather
+};
@@ -0,0 +1,73 @@
+import ResultView from './ResultView.jsx';
+import LocationChooser from './LocationChooser.jsx';
+import ProgressTimeline from './ProgressTimeline.jsx';
+import { createTranslator } from '../i18n/index.js';
+
+// Collapsed record of the steps taken to answer a query
+function StepsDetails({ steps, locale }) {
+  if (!steps || steps.length === 0) return null;
+  const t = createTranslator(locale);
+  return (
+    <details className="mt-2 px-2 text-gray-500">
+      <summary className="text-xs cursor-pointer hover:text-indigo-600">{t('ui.showSteps', { count: steps.length })}</summary>
+      <div className="mt-2 bg-white rounded-lg shadow-sm p-4">
+        <ProgressTimeline events={steps} />
+      </div>
+    </details>
+  );
+}
+
+function AssistantReply({ message, onChooseLocation, disabled, ...tripProps }) {
+  if (message.error) {
+    return (
+      <div className="bg-red-50 border-l-4 border-red-500 rounded-lg shadow-md p-6">
+        <div className="flex items-start">
+          <div className="flex-shrink-0">
+            <svg className="h-5 w-5 text-red-500 mt-0.5" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+            </svg>
+          </div>
+          <div className="ml-3 flex-1">
+            <p className="text-base text-red-700 leading-relaxed">{message.error}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (message.disambiguation) {
+    return (
+      <LocationChooser
+        message={message.disambiguation.message}
+        candidates={message.disambiguation.candidates}
+        onChoose={(candidate) => onChooseLocation(message.query, candidate)}
+        disabled={disabled}
+        locale={message.locale}
+      />
+    );
+  }
+
+  return <ResultView response={message.response} locale={message.locale} trip={message.trip} {...tripProps} />;
+}
+
+// Extra props (onSaveTrip, favouriteIds, onToggleFavourite) are passed on to ResultView
+function ChatMessage({ message, onChooseLocation, disabled, ...tripProps }) {
+  if (message.role === 'user') {
+    return (
+      <div className="flex justify-end">
+        <div className="max-w-[80%] bg-indigo-600 text-white rounded-lg rounded-br-none px-4 py-3 shadow-md">
+          {message.text}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <AssistantReply message={message} onChooseLocation={onChooseLocation} disabled={disabled} {...tripProps} />
+      <StepsDetails steps={message.steps} locale={message.locale} />
+    </div>
+  );
+}
+
+export default ChatMessage;
@@ -0,0 +1,63 @@
+import { createTranslator } from '../i18n/index.js';
+
+// Cell for a place whose agent hasn't answered yet, or couldn't
+function StatusCell({ status, t }) {
+  if (status?.state === 'pending') {
+    return <div className="inline-block animate-spin rounded-full h-4 w-4 border-b-2 border-indigo-600"></div>;
+  }
+  return <span className="text-amber-700" title={status?.error || ''}>{t('ui.unavailable')}</span>;
+}
+
+function ComparisonTable({ comparison, locale }) {
+  const t = createTranslator(locale);
+  // One row per metric, or a placeholder row for agents that have no metrics yet
+  const rows = comparison.agents.flatMap(agent => {
+    const metrics = comparison.metrics.filter(metric => metric.agent === agent);
+    return metrics.length > 0 ? metrics : [{ key: agent, label: agent, agent, placeholder: true }];
+  });
+
+  return (
+    <div className="border-l-4 border-indigo-500 bg-indigo-50 rounded-lg p-4 overflow-x-auto">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
+        <span className="mr-2">⚖️</span>
+        {t('ui.comparison')}
+      </h3>
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr>
+            <th className="py-2 pr-4"></th>
+            {comparison.locations.map(location => (
+              <th key={location.name} className="py-2 pr-4 font-semibold text-gray-800" title={location.geoData.displayName}>
+                {location.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="border-t border-indigo-100">
+              <th className="py-2 pr-4 font-medium text-gray-600 capitalize">{row.label}</th>
+              {comparison.locations.map(location => {
+                const metric = location.metrics[row.key];
+                const standout = comparison.highlights[row.key] === location.name;
+                return (
+                  <td
+                    key={location.name}
+                    className={`py-2 pr-4 ${standout ? 'font-semibold text-green-700' : 'text-gray-700'}`}
+                    title={standout ? row.highlightLabel : undefined}
+                  >
+                    {metric && !row.placeholder
+                      ? metric.display
+                      : <StatusCell status={location.agentStatus[row.agent]} t={t} />}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ComparisonTable;
@@ -0,0 +1,80 @@
+import { formatDayLabel } from '../utils/dates.js';
+import { describeWeatherCode, describeConditionsIn } from '../utils/weatherCodes.js';
+import { formatDistance, convertTemperature, temperatureUnit } from '../utils/units.js';
+import { createTranslator, resolveLocale, LANGUAGES } from '../i18n/index.js';
+
+// Badge message keys and colours per place setting
+const SETTING_BADGES = {
+  indoor: { label: 'ui.indoor', className: 'bg-purple-100 text-purple-700' },
+  outdoor: { label: 'ui.outdoor', className: 'bg-green-100 text-green-700' },
+  either: { label: 'ui.anyWeather', className: 'bg-gray-200 text-gray-600' }
+};
+
+function ItineraryCard({ itinerary, selectedId, onSelect, locale }) {
+  const { days } = itinerary.itinerary;
+  const { language, units } = resolveLocale(locale);
+  const t = createTranslator(locale);
+
+  return (
+    <div className="border-l-4 border-orange-500 bg-orange-50 rounded-lg p-4">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
+        <span className="mr-2">🗓️</span>
+        {t('ui.itinerary', { days: days.length })}
+      </h3>
+      {days.length === 0 ? (
+        <p className="text-gray-700">{itinerary.message}</p>
+      ) : (
+        <ol className="space-y-4">
+          {days.map((day) => {
+            const icon = day.weather ? describeWeatherCode(day.weather.weatherCode).icon : null;
+            return (
+              <li key={day.date} className="bg-white rounded-lg shadow-sm p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <span className="font-semibold text-gray-800">
+                    {t('ui.day', { day: day.day })} · {formatDayLabel(day.date, LANGUAGES[language].dateLocale)}
+                  </span>
+                  {icon && (
+                    <span className="text-sm text-gray-600" title={describeConditionsIn(language, day.weather.weatherCode)}>
+                      {icon} {convertTemperature(day.weather.temperatureMin, units)}–{convertTemperature(day.weather.temperatureMax, units)}{temperatureUnit(units)} · {t('ui.rain', { rain: day.weather.precipitationProbability })}
+                    </span>
+                  )}
+                </div>
+                {day.rainy && (
+                  <p className="text-xs text-blue-700 mb-2">{t('ui.rainyDay')}</p>
+                )}
+                {day.places.length > 0 ? (
+                  <>
+                    <ol className="space-y-1">
+                      {day.places.map((place, index) => (
+                        <li
+                          key={place.id}
+                          onClick={() => onSelect?.(place.id)}
+                          className={`flex items-center gap-2 rounded px-2 py-1 cursor-pointer ${
+                            place.id === selectedId ? 'bg-indigo-100 ring-2 ring-indigo-400' : 'hover:bg-orange-100'
+                          }`}
+                        >
+                          <span className="w-5 h-5 flex-shrink-0 rounded-full bg-orange-500 text-white text-xs flex items-center justify-center">
+                            {index + 1}
+                          </span>
+                          <span className="text-gray-700">{place.name}</span>
+                          <span className={`text-xs px-2 py-0.5 rounded ${SETTING_BADGES[place.setting].className}`}>
+                            {t(SETTING_BADGES[place.setting].label)}
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                    <p className="text-xs text-gray-500 mt-2">{t('ui.betweenStops', { distance: formatDistance(day.travelKm, units) })}</p>
+                  </>
+                ) : (
+                  <p className="text-sm text-gray-600">{t('ui.freeDay')}</p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default ItineraryCard;
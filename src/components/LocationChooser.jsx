@@ -0,0 +1,36 @@
+import { createTranslator } from '../i18n/index.js';
+
+function LocationChooser({ message, candidates, onChoose, disabled, locale }) {
+  const t = createTranslator(locale);
+  return (
+    <div className="bg-yellow-50 border-l-4 border-yellow-500 rounded-lg p-4">
+      <h3 className="text-lg font-semibold text-gray-800 mb-1">{t('ui.didYouMean')}</h3>
+      <p className="text-gray-700 mb-4">{message}</p>
+      <ul className="space-y-2">
+        {candidates.map((candidate) => (
+          <li key={`${candidate.lat},${candidate.lon}`}>
+            <button
+              type="button"
+              onClick={() => onChoose(candidate)}
+              disabled={disabled}
+              className="w-full text-left px-4 py-3 bg-white rounded-lg border border-gray-200 hover:border-indigo-500 hover:bg-indigo-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <span className="font-medium text-gray-800">{candidate.name}</span>
+              <span className="ml-2 text-sm text-gray-600">
+                {[candidate.state, candidate.country].filter(Boolean).join(', ')}
+              </span>
+              {candidate.type && (
+                <span className="ml-2 text-xs text-gray-500 bg-gray-200 px-2 py-1 rounded">
+                  {candidate.type}
+                </span>
+              )}
+              <span className="block text-xs text-gray-500 mt-1">{candidate.displayName}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default LocationChooser;
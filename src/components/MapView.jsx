@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { mapTiles } from '../config.js';
+import { createTranslator } from '../i18n/index.js';
+
+const MARKER_STYLE = { radius: 7, color: '#15803d', weight: 2, fillColor: '#22c55e', fillOpacity: 0.8 };
+const SELECTED_MARKER_STYLE = { radius: 11, color: '#4338ca', weight: 3, fillColor: '#6366f1', fillOpacity: 0.9 };
+
+// Popups are raw HTML, and place names come from OpenStreetMap
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function MapView({ center, radiusKm, places, selectedId, onSelect, locale }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+  const markersRef = useRef({});
+  const centreLabel = createTranslator(locale)('ui.cityCentre');
+
+  // Create the map once
+  useEffect(() => {
+    const map = L.map(containerRef.current, { scrollWheelZoom: false });
+    L.tileLayer(mapTiles.url, {
+      attribution: mapTiles.attribution,
+      maxZoom: mapTiles.maxZoom
+    }).addTo(map);
+    mapRef.current = map;
+    layerRef.current = L.layerGroup().addTo(map);
+
+    return () => {
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // Draw the search area, city centre and attraction markers
+  useEffect(() => {
+    const map = mapRef.current;
+    const layer = layerRef.current;
+    layer.clearLayers();
+    markersRef.current = {};
+
+    const circle = L.circle([center.lat, center.lon], {
+      radius: radiusKm * 1000,
+      color: '#6366f1',
+      weight: 1,
+      fillOpacity: 0.05
+    }).addTo(layer);
+    L.circleMarker([center.lat, center.lon], { radius: 4, color: '#1f2937', fillOpacity: 1 })
+      .bindTooltip(centreLabel)
+      .addTo(layer);
+
+    places.forEach((place) => {
+      const marker = L.circleMarker([place.lat, place.lon], MARKER_STYLE)
+        .bindPopup(`<strong>${escapeHtml(place.name)}</strong><br/>${escapeHtml(place.type)}`)
+        .on('click', () => onSelect(place.id))
+        .addTo(layer);
+      markersRef.current[place.id] = marker;
+    });
+
+    map.fitBounds(circle.getBounds(), { padding: [10, 10] });
+  }, [center.lat, center.lon, radiusKm, places, onSelect, centreLabel]);
+
+  // Highlight the selected attraction
+  useEffect(() => {
+    Object.entries(markersRef.current).forEach(([id, marker]) => {
+      if (id === selectedId) {
+        marker.setStyle(SELECTED_MARKER_STYLE).bringToFront().openPopup();
+      } else {
+        marker.setStyle(MARKER_STYLE);
+      }
+    });
+  }, [selectedId, places]);
+
+  return <div ref={containerRef} className="h-80 w-full rounded-lg shadow-sm z-0" />;
+}
+
+export default MapView;
@@ -0,0 +1,114 @@
+import { useEffect, useRef } from 'react';
+import { formatDistance, formatOpeningHours } from '../utils/units.js';
+import { createTranslator, resolveLocale } from '../i18n/index.js';
+
+// Turn an OSM wikipedia tag ("en:Lalbagh") into an article URL; anything but a language code before the colon means English
+function wikipediaUrl(tag) {
+  const match = tag.match(/^([a-z-]{2,12}):(.+)$/);
+  const [lang, title] = match ? [match[1], match[2]] : ['en', tag];
+  return `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(title.trim().replace(/ /g, '_'))}`;
+}
+
+// Link OSM website tags only when they are http(s); bare hosts ("example.com") get https://
+function websiteUrl(website) {
+  if (!website) return null;
+  const text = website.trim();
+  const hasScheme = /^[a-z][a-z\d+.-]*:/i.test(text) && !/^[^:/]+:\d/.test(text);
+  try {
+    const url = new URL(hasScheme ? text : `https://${text.replace(/^\/+/, '')}`);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// OSM wheelchair tag values: yes, limited, no (anything else is shown as tagged)
+const WHEELCHAIR_LABELS = { yes: 'ui.wheelchair', limited: 'ui.wheelchairLimited', no: 'ui.wheelchairNo' };
+
+function wheelchairLabel(value, t) {
+  return WHEELCHAIR_LABELS[value] ? t(WHEELCHAIR_LABELS[value]) : t('ui.wheelchairValue', { value });
+}
+
+function PlacesCard({ places, selectedId, onSelect, locale, favouriteIds = [], onToggleFavourite }) {
+  const itemRefs = useRef({});
+  const { units, timeFormat } = resolveLocale(locale);
+  const t = createTranslator(locale);
+
+  // Bring the attraction picked on the map into view
+  useEffect(() => {
+    itemRefs.current[selectedId]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [selectedId]);
+
+  return (
+    <div className="border-l-4 border-green-500 bg-green-50 rounded-lg p-4">
+      <h3 className="text-lg font-semibold text-gray-800 mb-3 flex items-center">
+        <span className="mr-2">📍</span>
+        {t('ui.attractions')}
+      </h3>
+      {places.description && places.places?.length > 0 && (
+        <p className="text-sm text-gray-600 mb-3">{t('ui.showing', { count: places.places.length, description: places.description })}</p>
+      )}
+      {places.places && places.places.length > 0 ? (
+        <ul className="space-y-3">
+          {places.places.map((place, index) => (
+            <li
+              key={place.id || index}
+              ref={(element) => { itemRefs.current[place.id] = element; }}
+              onClick={() => onSelect?.(place.id)}
+              className={`flex items-start rounded-lg px-2 py-1 cursor-pointer transition-colors ${
+                place.id === selectedId ? 'bg-indigo-100 ring-2 ring-indigo-400' : 'hover:bg-green-100'
+              }`}
+            >
+              <span className="text-green-600 mr-2">•</span>
+              <div className="flex-1">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-gray-700 font-medium">{place.name}</span>
+                  {onToggleFavourite && (
+                    <button
+                      type="button"
+                      onClick={(e) => { e.stopPropagation(); onToggleFavourite(place); }}
+                      title={favouriteIds.includes(place.id) ? t('ui.removeFavourite') : t('ui.addFavourite')}
+                      className="text-yellow-500 hover:text-yellow-600"
+                    >
+                      {favouriteIds.includes(place.id) ? '★' : '☆'}
+                    </button>
+                  )}
+                  <span className="text-xs text-gray-500 bg-gray-200 px-2 py-1 rounded">
+                    {place.type}
+                  </span>
+                  {place.distanceKm !== undefined && (
+                    <span className="text-xs text-gray-500">{t('ui.fromCentre', { distance: formatDistance(place.distanceKm, units) })}</span>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-gray-600">
+                  {place.openingHours && <span>🕒 {formatOpeningHours(place.openingHours, timeFormat)}</span>}
+                  {place.fee && <span>🎟️ {place.fee === 'no' ? t('ui.freeEntry') : place.fee === 'yes' ? t('ui.entryFee') : place.fee}</span>}
+                  {place.wheelchair && <span>♿ {wheelchairLabel(place.wheelchair, t)}</span>}
+                  {websiteUrl(place.website) && (
+                    <a onClick={(e) => e.stopPropagation()} href={websiteUrl(place.website)} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                      {t('ui.website')}
+                    </a>
+                  )}
+                  {place.wikipedia && (
+                    <a onClick={(e) => e.stopPropagation()} href={wikipediaUrl(place.wikipedia)} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                      Wikipedia
+                    </a>
+                  )}
+                  {!place.wikipedia && place.wikidata && (
+                    <a onClick={(e) => e.stopPropagation()} href={`https://www.wikidata.org/wiki/${place.wikidata}`} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">
+                      Wikidata
+                    </a>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-700">{places.message}</p>
+      )}
+    </div>
+  );
+}
+
+export default PlacesCard;
@@ -0,0 +1,30 @@
+const LEVEL_STYLES = {
+  info: { icon: '•', className: 'text-gray-600' },
+  success: { icon: '✓', className: 'text-green-700' },
+  warning: { icon: '!', className: 'text-amber-700' },
+  error: { icon: '✗', className: 'text-red-700' }
+};
+
+function ProgressTimeline({ events }) {
+  if (!events || events.length === 0) return null;
+  const startedAt = events[0].timestamp;
+
+  return (
+    <ol className="space-y-1 text-sm">
+      {events.map((event, index) => {
+        const style = LEVEL_STYLES[event.level] || LEVEL_STYLES.info;
+        return (
+          <li key={index} className={`flex items-start ${style.className}`}>
+            <span className="w-5 flex-shrink-0 font-bold">{style.icon}</span>
+            <span className="flex-1">{event.message}</span>
+            <span className="ml-3 text-xs text-gray-400 tabular-nums">
+              +{((event.timestamp - startedAt) / 1000).toFixed(1)} s
+            </span>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default ProgressTimeline;
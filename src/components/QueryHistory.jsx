@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { createTranslator, LANGUAGES, resolveLocale } from '../i18n/index.js';
+
+// Recent queries with the place they were answered for, to run again or share
+function QueryHistory({ entries, linkFor, onRun, onClear, disabled, locale }) {
+  const [copiedId, setCopiedId] = useState(null);
+  const t = createTranslator(locale);
+  const { dateLocale } = LANGUAGES[resolveLocale(locale).language];
+
+  if (entries.length === 0) return null;
+
+  const copyLink = async (entry) => {
+    try {
+      await navigator.clipboard.writeText(linkFor(entry));
+      setCopiedId(entry.id);
+    } catch {
+      // Clipboard access denied - show the link so it can be copied by hand
+      window.prompt(t('ui.copyThisLink'), linkFor(entry));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6 text-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="text-lg font-semibold text-gray-800">{t('ui.recentQueries')}</h2>
+        <button type="button" onClick={onClear} className="text-indigo-600 hover:text-indigo-800">
+          {t('ui.clearHistory')}
+        </button>
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {entries.map((entry) => (
+          <li key={entry.id} className="py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+            <span className="text-gray-800">{entry.query}</span>
+            <span className="text-gray-500">
+              {entry.locationName && `${entry.locationName} · `}{new Date(entry.timestamp).toLocaleString(dateLocale)}
+            </span>
+            <span className="flex gap-3 ml-auto">
+              <button
+                type="button"
+                onClick={() => onRun(entry)}
+                disabled={disabled}
+                className="text-indigo-600 hover:underline disabled:opacity-50"
+              >
+                {t('ui.runAgain')}
+              </button>
+              <button type="button" onClick={() => copyLink(entry)} className="text-indigo-600 hover:underline">
+                {copiedId === entry.id ? t('ui.linkCopied') : t('ui.copyLink')}
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default QueryHistory;
@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import MapView from './MapView.jsx';
+import ComparisonTable from './ComparisonTable.jsx';
+import SaveTripForm from './SaveTripForm.jsx';
+import { getRenderer } from './agentRenderers.jsx';
+import { getAgent } from '../agents/registry.js';
+import { createTranslator, LANGUAGES, resolveLocale } from '../i18n/index.js';
+import { responseLocation } from '../utils/trips.js';
+
+// Placeholder for an agent that is still running
+function PendingSection({ name, t }) {
+  return (
+    <div className="border-l-4 border-gray-300 bg-gray-50 rounded-lg p-4 flex items-center text-gray-600">
+      <div className="inline-block animate-spin rounded-full h-5 w-5 border-b-2 border-indigo-600 mr-3"></div>
+      {t('ui.waiting', { name })}
+    </div>
+  );
+}
+
+// Message keys of the headings for the failure reasons reported by the agents (see ApiError)
+const FAILURE_LABELS = {
+  timeout: 'ui.timedOut',
+  'rate-limited': 'ui.rateLimited',
+  'upstream-down': 'ui.serviceDown',
+  'not-found': 'ui.notFound'
+};
+
+// Notice for an agent that timed out or failed
+function FailedSection({ name, status, t }) {
+  return (
+    <div className="border-l-4 border-amber-500 bg-amber-50 rounded-lg p-4 text-amber-800">
+      <span className="font-semibold">{t(FAILURE_LABELS[status.reason] || 'ui.unavailable')}:</span>{' '}
+      {status.error || t('ui.agentFailed', { name })}
+    </div>
+  );
+}
+
+// trip: the saved trip being shown, if any; onSaveTrip, favouriteIds and onToggleFavourite
+// let the user keep the answer as a trip and star attractions (see App)
+function ResultView({ response, locale, trip, onSaveTrip, favouriteIds, onToggleFavourite }) {
+  const [selectedPlaceId, setSelectedPlaceId] = useState(null);
+  const t = createTranslator(locale);
+  const { results } = response;
+  const agentNames = results?.agents || [];
+  // The map follows the first agent result that has a search area (the itinerary or the places search)
+  const mapAgent = agentNames.find(name => results[name] && results[name].success && results[name].center);
+  const mapSource = mapAgent ? results[mapAgent] : null;
+  const canSave = onSaveTrip && !trip && !response.partial && responseLocation(response);
+  const toggleFavourite = onToggleFavourite && ((place) => onToggleFavourite(place, results.location));
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+      <h2 className="text-2xl font-bold text-gray-800 mb-4">
+        {t('ui.resultsFor', { location: results?.location || t('ui.yourQuery') })}
+      </h2>
+      {trip && (
+        <p className="text-sm text-gray-500 -mt-4">
+          {t('ui.savedTrip', { time: new Date(trip.refreshedAt).toLocaleString(LANGUAGES[resolveLocale(locale).language].dateLocale) })}
+        </p>
+      )}
+
+      {/* Several places side by side */}
+      {results?.comparison && <ComparisonTable comparison={results.comparison} locale={locale} />}
+
+      {agentNames.map((name) => {
+        const result = results[name];
+        const status = results.agentStatus?.[name];
+        if (status?.state === 'pending') return <PendingSection key={name} name={name} t={t} />;
+        if (status && status.state !== 'ok') return <FailedSection key={name} name={name} status={status} t={t} />;
+        if (!result || !result.success) return null;
+        const Renderer = getRenderer(getAgent(name)?.renderer || name);
+
+        return (
+          <div key={name} className="space-y-6">
+            {/* Map of the search area and attractions */}
+            {name === mapAgent && (
+              <MapView
+                center={mapSource.center}
+                radiusKm={mapSource.radiusKm}
+                places={mapSource.places}
+                selectedId={selectedPlaceId}
+                onSelect={setSelectedPlaceId}
+                locale={locale}
+              />
+            )}
+            <Renderer
+              result={result}
+              selectedId={selectedPlaceId}
+              onSelect={setSelectedPlaceId}
+              locale={locale}
+              favouriteIds={favouriteIds}
+              onToggleFavourite={toggleFavourite}
+            />
+          </div>
+        );
+      })}
+
+      {/* Combined Message */}
+      {response.message && (
+        <div className="mt-4 p-4 bg-gray-50 rounded-lg">
+          <h3 className="text-sm font-semibold text-gray-600 mb-2">{t('ui.summary')}</h3>
+          <p className="text-gray-700 whitespace-pre-line">{response.message}</p>
+        </div>
+      )}
+
+      {canSave && <SaveTripForm response={response} locale={locale} onSave={onSaveTrip} />}
+    </div>
+  );
+}
+
+export default ResultView;
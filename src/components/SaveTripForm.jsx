@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { createTranslator } from '../i18n/index.js';
+import { responsePlaces } from '../utils/trips.js';
+
+// Save an answer as a named trip, keeping the attractions the user ticks
+function SaveTripForm({ response, locale, onSave }) {
+  const t = createTranslator(locale);
+  const places = responsePlaces(response);
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState(response.results?.location || '');
+  const [chosen, setChosen] = useState(() => new Set(places.map((place) => place.id)));
+  const [savedAs, setSavedAs] = useState(null);
+
+  const toggle = (id) => {
+    setChosen((previous) => {
+      const next = new Set(previous);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trip = await onSave(response, { name, placeIds: [...chosen], locale });
+    if (trip) {
+      setSavedAs(trip.name);
+      setOpen(false);
+    }
+  };
+
+  if (!open) {
+    return (
+      <div className="flex items-center gap-3 text-sm">
+        <button
+          type="button"
+          onClick={() => { setOpen(true); setSavedAs(null); }}
+          className="px-3 py-1 border border-indigo-600 text-indigo-600 rounded-lg hover:bg-indigo-50"
+        >
+          ⭐ {t('ui.saveTrip')}
+        </button>
+        {savedAs && <span className="text-green-700">{t('ui.tripSaved', { name: savedAs })}</span>}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-indigo-200 bg-indigo-50 rounded-lg p-4 space-y-3 text-sm">
+      <label className="block">
+        <span className="text-gray-700 font-medium">{t('ui.tripName')}</span>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+        />
+      </label>
+      {places.length > 0 && (
+        <fieldset>
+          <legend className="text-gray-700 font-medium mb-1">{t('ui.tripPlaces')}</legend>
+          <div className="max-h-48 overflow-y-auto space-y-1">
+            {places.map((place) => (
+              <label key={place.id} className="flex items-center gap-2 text-gray-700">
+                <input type="checkbox" checked={chosen.has(place.id)} onChange={() => toggle(place.id)} />
+                {place.name}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+      <div className="flex gap-2">
+        <button type="submit" className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">
+          {t('ui.save')}
+        </button>
+        <button type="button" onClick={() => setOpen(false)} className="px-4 py-2 text-gray-600 hover:text-gray-800">
+          {t('ui.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SaveTripForm;
@@ -0,0 +1,143 @@
+import { useRef } from 'react';
+import { exportTrips, placesToGpx, placesToGeoJson } from '../utils/trips.js';
+import { createTranslator, LANGUAGES, resolveLocale } from '../i18n/index.js';
+
+// Offer text as a file download
+function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name for a trip ("Goa weekend!" -> "goa-weekend")
+function slug(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'trip';
+}
+
+// Buttons exporting some places as GPX and GeoJSON
+function PlaceExports({ places, name }) {
+  if (places.length === 0) return null;
+  const linkClass = 'text-indigo-600 hover:underline';
+  return (
+    <>
+      <button type="button" className={linkClass} onClick={() => download(`${slug(name)}.gpx`, placesToGpx(places, name), 'application/gpx+xml')}>
+        GPX
+      </button>
+      <button type="button" className={linkClass} onClick={() => download(`${slug(name)}.geojson`, placesToGeoJson(places, name), 'application/geo+json')}>
+        GeoJSON
+      </button>
+    </>
+  );
+}
+
+function TripsPanel({ trips, favourites, busyId, error, onOpen, onRefresh, onDelete, onImport, onRemoveFavourite, locale }) {
+  const fileRef = useRef(null);
+  const t = createTranslator(locale);
+  const { dateLocale } = LANGUAGES[resolveLocale(locale).language];
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) {
+      await onImport(await file.text());
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-6 text-sm">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-gray-800">{t('ui.savedTrips')}</h2>
+        <div className="flex gap-3">
+          <button type="button" onClick={() => fileRef.current.click()} className="text-indigo-600 hover:text-indigo-800">
+            {t('ui.importJson')}
+          </button>
+          {(trips.length > 0 || favourites.length > 0) && (
+            <button
+              type="button"
+              onClick={() => download('trips.json', exportTrips(trips, favourites), 'application/json')}
+              className="text-indigo-600 hover:text-indigo-800"
+            >
+              {t('ui.exportAll')}
+            </button>
+          )}
+          <input ref={fileRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {error && <p className="text-red-600 mb-3">{error}</p>}
+
+      {trips.length === 0 ? (
+        <p className="text-gray-500">{t('ui.noTrips')}</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {trips.map((trip) => (
+            <li key={trip.id} className="py-2 flex flex-wrap items-center gap-x-3 gap-y-1">
+              <button type="button" onClick={() => onOpen(trip)} className="font-medium text-gray-800 hover:text-indigo-600">
+                {trip.name}
+              </button>
+              <span className="text-gray-500">
+                {t('ui.tripDetails', {
+                  location: trip.locationName,
+                  count: trip.places.length,
+                  time: new Date(trip.refreshedAt).toLocaleString(dateLocale)
+                })}
+              </span>
+              <span className="flex gap-3 ml-auto">
+                <button
+                  type="button"
+                  onClick={() => onRefresh(trip)}
+                  disabled={busyId === trip.id}
+                  className="text-indigo-600 hover:underline disabled:opacity-50"
+                >
+                  {busyId === trip.id ? t('ui.refreshing') : t('ui.refresh')}
+                </button>
+                <button
+                  type="button"
+                  className="text-indigo-600 hover:underline"
+                  onClick={() => download(`${slug(trip.name)}.json`, exportTrips([trip]), 'application/json')}
+                >
+                  JSON
+                </button>
+                <PlaceExports places={trip.places} name={trip.name} />
+                <button type="button" onClick={() => onDelete(trip)} className="text-red-600 hover:underline">
+                  {t('ui.delete')}
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {favourites.length > 0 && (
+        <div className="mt-4">
+          <div className="flex items-center gap-3 mb-2">
+            <h3 className="font-semibold text-gray-800">{t('ui.favouritePlaces')}</h3>
+            <PlaceExports places={favourites} name={t('ui.favouritePlaces')} />
+          </div>
+          <ul className="flex flex-wrap gap-2">
+            {favourites.map((place) => (
+              <li key={place.id} className="flex items-center gap-1 bg-yellow-50 border border-yellow-200 rounded-full px-3 py-1">
+                <span className="text-gray-800">{place.name}</span>
+                {place.locationName && <span className="text-gray-500">· {place.locationName}</span>}
+                <button
+                  type="button"
+                  onClick={() => onRemoveFavourite(place)}
+                  title={t('ui.removeFavourite')}
+                  className="ml-1 text-gray-400 hover:text-red-600"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TripsPanel;
@@ -0,0 +1,65 @@
+import { formatDayLabel } from '../utils/dates.js';
+import { describeWeatherCode, describeConditionsIn } from '../utils/weatherCodes.js';
+import { formatTemperature, convertTemperature, formatPrecipitation, formatSpeed } from '../utils/units.js';
+import { createTranslator, resolveLocale, LANGUAGES } from '../i18n/index.js';
+
+function WeatherCard({ weather, locale }) {
+  const { language, units } = resolveLocale(locale);
+  const t = createTranslator(locale);
+
+  return (
+    <div className="border-l-4 border-blue-500 bg-blue-50 rounded-lg p-4">
+      <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center">
+        <span className="mr-2">🌤️</span>
+        {t('ui.weather')}
+      </h3>
+      {weather.data?.forecast ? (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            {t('ui.forecastFor', { city: weather.data.city, label: weather.data.range.label })}
+          </p>
+          <div className="flex gap-3 overflow-x-auto pb-2">
+            {weather.data.forecast.map((day) => {
+              const { icon } = describeWeatherCode(day.weatherCode);
+              const label = describeConditionsIn(language, day.weatherCode);
+              return (
+                <div key={day.date} className="flex-shrink-0 w-32 bg-white rounded-lg shadow-sm p-3 text-center">
+                  <div className="text-sm font-semibold text-gray-700">{formatDayLabel(day.date, LANGUAGES[language].dateLocale)}</div>
+                  <div className="text-3xl my-1" title={label}>{icon}</div>
+                  <div className="text-xs text-gray-500 mb-1 first-letter:uppercase">{label}</div>
+                  <div className="font-semibold text-gray-800">
+                    {convertTemperature(day.temperatureMax, units)}° <span className="text-gray-500 font-normal">/ {formatTemperature(day.temperatureMin, units)}</span>
+                  </div>
+                  <div className="text-xs text-gray-600 mt-1">💧 {formatPrecipitation(day.precipitationSum, units)} ({day.precipitationProbability}%)</div>
+                  <div className="text-xs text-gray-600">💨 {formatSpeed(day.windSpeedMax, units)}</div>
+                </div>
+              );
+            })}
+          </div>
+        </>
+      ) : (
+        <p className="text-gray-700 text-lg">
+          {weather.message}
+        </p>
+      )}
+      {weather.data && !weather.data.forecast && (
+        <div className="mt-3 grid grid-cols-2 gap-4">
+          <div>
+            <span className="text-sm text-gray-600">{t('ui.temperature')}</span>
+            <span className="ml-2 font-semibold text-gray-800">
+              {formatTemperature(weather.data.temperature, units)}
+            </span>
+          </div>
+          <div>
+            <span className="text-sm text-gray-600">{t('ui.rainChance')}</span>
+            <span className="ml-2 font-semibold text-gray-800">
+              {weather.data.precipitationProbability}%
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WeatherCard;
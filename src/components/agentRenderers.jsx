@@ -0,0 +1,46 @@
+import WeatherCard from './WeatherCard.jsx';
+import PlacesCard from './PlacesCard.jsx';
+import ItineraryCard from './ItineraryCard.jsx';
+
+// Fallback for agents without a dedicated card: show the agent's own message
+function GenericResultCard({ result }) {
+  return (
+    <div className="border-l-4 border-gray-400 bg-gray-50 rounded-lg p-4">
+      <p className="text-gray-700 whitespace-pre-line">{result.message}</p>
+    </div>
+  );
+}
+
+// Result cards by renderer id (see the renderer field of agent definitions);
+// locale is the language, units and time format the reply was written in, and
+// onToggleFavourite(place) (when given) stars an attraction listed in favouriteIds
+const renderers = {
+  weather: ({ result, locale }) => <WeatherCard weather={result} locale={locale} />,
+  places: ({ result, selectedId, onSelect, locale, favouriteIds, onToggleFavourite }) => (
+    <PlacesCard
+      places={result}
+      selectedId={selectedId}
+      onSelect={onSelect}
+      locale={locale}
+      favouriteIds={favouriteIds}
+      onToggleFavourite={onToggleFavourite}
+    />
+  ),
+  itinerary: ({ result, selectedId, onSelect, locale }) => (
+    <ItineraryCard itinerary={result} selectedId={selectedId} onSelect={onSelect} locale={locale} />
+  )
+};
+
+/**
+ * Register the card that displays results of a custom agent
+ */
+export function registerRenderer(id, component) {
+  renderers[id] = component;
+}
+
+/**
+ * Card component for a renderer id
+ */
+export function getRenderer(id) {
+  return renderers[id] || GenericResultCard;
+}
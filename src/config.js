@@ -0,0 +1,89 @@
+/**
+ * App configuration
+ * Values come from Vite environment variables (VITE_*) so deployments can
+ * override them in a .env file without code changes.
+ */
+// import.meta.env only exists in Vite builds; in Node (the agent server, scripts) the same
+// variables are read from process.env
+const env = import.meta.env || (typeof process !== 'undefined' ? process.env : {});
+
+/**
+ * Map tile source
+ * Point VITE_MAP_TILE_URL at a local tile server (e.g. http://localhost:8080/tile/{z}/{x}/{y}.png)
+ * to use the map in offline environments.
+ */
+export const mapTiles = {
+  url: env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: env.VITE_MAP_TILE_ATTRIBUTION || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: Number(env.VITE_MAP_TILE_MAX_ZOOM) || 19
+};
+
+// Parse a comma-separated list of URLs, falling back to the defaults when unset
+function urlList(value, defaults) {
+  const urls = (value || '').split(',').map(url => url.trim()).filter(Boolean);
+  return urls.length > 0 ? urls : defaults;
+}
+
+// Parse a non-negative number, falling back to the default when unset or invalid
+function numberSetting(value, defaultValue) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : defaultValue;
+}
+
+/**
+ * API endpoints, tried in order: the first is the primary, the rest are mirrors
+ * used when it is rate limiting, timing out or down. Override them with
+ * comma-separated lists in VITE_OVERPASS_URLS, VITE_NOMINATIM_URLS, VITE_OPEN_METEO_URLS
+ * and VITE_PHOTON_URLS.
+ */
+export const endpoints = {
+  overpass: urlList(env.VITE_OVERPASS_URLS, [
+    'https://overpass-api.de/api/interpreter',
+    'https://overpass.kumi.systems/api/interpreter'
+  ]),
+  nominatim: urlList(env.VITE_NOMINATIM_URLS, ['https://nominatim.openstreetmap.org']),
+  openMeteo: urlList(env.VITE_OPEN_METEO_URLS, ['https://api.open-meteo.com']),
+  photon: urlList(env.VITE_PHOTON_URLS, ['https://photon.komoot.io'])
+};
+
+/**
+ * Data providers for each capability (see src/providers)
+ * geocoding: 'nominatim' | 'photon' | 'fixtures'; weather: 'open-meteo' | 'fixtures';
+ * places: 'overpass' | 'fixtures'. 'fixtures' answers from built-in sample data, offline.
+ */
+export const providers = {
+  geocoding: env.VITE_GEOCODING_PROVIDER || 'nominatim',
+  weather: env.VITE_WEATHER_PROVIDER || 'open-meteo',
+  places: env.VITE_PLACES_PROVIDER || 'overpass'
+};
+
+/**
+ * Retry policy for API requests
+ * Each endpoint is retried up to `retries` times with exponential backoff
+ * (baseDelayMs, 2x, 4x, ... capped at maxDelayMs) before moving on to the next mirror.
+ * A Retry-After header replaces the backoff; if it asks for more than maxDelayMs
+ * the next mirror is tried straight away.
+ */
+export const httpRetry = {
+  retries: numberSetting(env.VITE_HTTP_RETRIES, 2),
+  baseDelayMs: numberSetting(env.VITE_HTTP_RETRY_DELAY_MS, 500),
+  maxDelayMs: numberSetting(env.VITE_HTTP_MAX_RETRY_DELAY_MS, 8000)
+};
+
+/**
+ * User-Agent sent to Nominatim, whose usage policy asks for one that
+ * identifies the application (ideally with a contact address). Browsers don't let
+ * pages set it, so it only takes effect when the agents run on the agent server.
+ */
+export const userAgent = env.VITE_HTTP_USER_AGENT || 'TourismApp/1.0';
+
+/**
+ * Where the app runs its agents: 'server' sends queries to the agent server
+ * (server/index.js, which holds the Claude API key), 'browser' runs them in the page
+ * with heuristics only, e.g. for static hosting. VITE_AGENT_SERVER_URL points the app
+ * at a server on another origin (default: same origin, proxied by Vite in development).
+ */
+export const agentServer = {
+  mode: env.VITE_AGENT_MODE || 'server',
+  url: (env.VITE_AGENT_SERVER_URL || '').replace(/\/$/, '')
+};
@@ -0,0 +1,265 @@
+/**
+ * English messages (the reference set: other languages fall back to these)
+ * {name} placeholders are filled in by translate().
+ */
+export default {
+  // Weather agent
+  'weather.current': "In {city} it's currently {temperature} with a chance of {rain}% to rain",
+  'weather.forecast': 'Forecast for {city} ({label}):',
+  'weather.forecastDay': '{day}: {min}–{max}, {conditions}, {rain}% chance of rain',
+  'weather.pastDates': 'The dates you asked about ({label}) have already passed, so there is no forecast for {city}.',
+  'weather.tooFar': "Forecasts are only available up to {days} days ahead, so I can't predict the weather in {city} for {label} yet.",
+  'agent.notFound': 'Location not found',
+  
+  // Sightseeing advice
+  'advice.bestDay': 'The best day for outdoor sightseeing is {day} ({rain}% chance of rain).',
+  'advice.rainyDays': 'Rain is likely on most days, so keep a few indoor sights in the plan.',
+  'advice.umbrellaDays': 'Pack an umbrella for the wetter days.',
+  'advice.pleasant': 'Pleasant weather for exploring outdoors.',
+  'advice.rainy': 'Rain is likely, so carry an umbrella and keep some indoor sights in reserve.',
+  'advice.hot': "It's hot, so plan outdoor sightseeing for the morning or evening.",
+  'advice.cold': "It's chilly, so bring a warm layer.",
+  
+  // Weather conditions (English uses the detailed WMO labels instead)
+  'conditions.clear': 'clear',
+  'conditions.cloudy': 'cloudy',
+  'conditions.fog': 'fog',
+  'conditions.drizzle': 'drizzle',
+  'conditions.rain': 'rain',
+  'conditions.snow': 'snow',
+  'conditions.showers': 'showers',
+  'conditions.thunderstorm': 'thunderstorms',
+  'conditions.unknown': 'unknown conditions',
+  
+  // Places agent
+  'places.found': 'Here are some {description}: {names}',
+  'places.none': "I couldn't find any {description}",
+  'places.in': '{what} in {location}',
+  'places.within': '{what} within {radius} of {location}',
+  'places.attractions': 'tourist attractions',
+  'places.top': 'Top {description}: {names}.',
+  'places.rainy': 'With rain about, start with the indoor sights: {indoor}.',
+  'places.rainyLater': 'With rain about, start with the indoor sights: {indoor}, and save {outdoor} for a dry spell.',
+  'places.hot': 'Visit {outdoor} early in the day.',
+  'places.hotMidday': 'Visit {outdoor} early in the day, and spend the hottest hours at {indoor}.',
+  'places.pleasant': 'The weather suits the outdoor sights, such as {outdoor}.',
+  'category.museum': 'museums',
+  'category.gallery': 'galleries',
+  'category.beach': 'beaches',
+  'category.park': 'parks',
+  'category.temple': 'temples',
+  'category.church': 'churches',
+  'category.mosque': 'mosques',
+  'category.palace': 'palaces',
+  'category.fort': 'forts',
+  'category.monument': 'monuments',
+  'category.zoo': 'zoos',
+  'category.viewpoint': 'viewpoints',
+  'category.waterfall': 'waterfalls',
+  'category.lake': 'lakes',
+  'list.and': ' and ',
+  'list.or': ' or ',
+  
+  // Itinerary agent
+  'itinerary.none': "I couldn't find enough attractions near {location} to plan a trip.",
+  'itinerary.title': "Here's a {days}-day plan for {location}:",
+  'itinerary.day': 'Day {day} ({date}{weather}): {stops}',
+  'itinerary.dayWeather': ' · {conditions}, {rain}% rain',
+  'itinerary.stops': '{stops} ({distance} between stops)',
+  'itinerary.freeDay': 'Free day to explore at your own pace',
+  
+  // Comparisons
+  'compare.temperature': 'Temperature',
+  'compare.warmest': 'Warmest',
+  'compare.rainChance': 'Chance of rain',
+  'compare.rainText': '{rain}% chance of rain',
+  'compare.driest': 'Driest',
+  'compare.attractions': 'Attractions',
+  'compare.attractionText': '1 attraction',
+  'compare.attractionsText': '{count} attractions',
+  'compare.mostAttractions': 'Most attractions',
+  'compare.placeTypes': 'Mostly',
+  'compare.placeTypesText': 'mostly {types}',
+  'compare.unavailable': 'no {agents} information available',
+  
+  // Parent agent
+  'error.noLocation': "I couldn't find a location in your query. Please include a city or place name.",
+  'error.unknownLocation': 'I\'m sorry, but I don\'t recognize "{location}" as a valid location. It\'s possible this place doesn\'t exist in my database, or there might be a spelling error. Could you please double-check the location name and try again? You might want to try using the city\'s official name or a more common spelling.',
+  'disambiguation.question': 'I found several places called "{location}". Which one did you mean?',
+  'error.noPosition': 'I need your location to answer that. Please allow location access, or name a place instead.',
+  'location.current': 'Your location',
+  
+  // Agent and service errors
+  'agent.failed': 'The {name} agent failed.',
+  'agent.noResult': 'The {name} agent returned no result.',
+  'agent.timedOut': "The {name} agent didn't respond within {seconds} seconds.",
+  'weather.failed': 'Failed to fetch weather information',
+  'places.failed': 'Failed to fetch tourist places',
+  'itinerary.failed': 'Failed to plan the trip',
+  'service.nominatim': 'The OpenStreetMap geocoder (Nominatim)',
+  'service.photon': 'The Photon geocoder',
+  'service.open-meteo': 'The Open-Meteo weather service',
+  'service.overpass': 'The OpenStreetMap places service (Overpass)',
+  'service.fixtures': 'The fixture data',
+  'apiError.rate-limited': '{service} is limiting requests right now. Please try again in a minute.',
+  'apiError.timeout': '{service} took too long to respond. Please try again, or narrow the search.',
+  'apiError.upstream-down': '{service} is unavailable right now. Please try again later.',
+  'apiError.not-found': '{service} has no data for this request.',
+  'apiError.bad-request': '{service} rejected the request.',
+  'apiError.aborted': 'The request to {serviceLower} was cancelled.',
+  
+  // Dates
+  'date.today': 'today',
+  'date.tomorrow': 'tomorrow',
+  'date.dayAfterTomorrow': 'day after tomorrow',
+  'date.nextDays': 'next {days} days',
+  'date.thisWeekend': 'this weekend',
+  'date.nextWeekend': 'next weekend',
+  'date.thisWeek': 'this week',
+  'date.nextWeek': 'next week',
+  'date.range': '{start} – {end}',
+  
+  // Result cards
+  'ui.resultsFor': 'Results for {location}',
+  'ui.yourQuery': 'your query',
+  'ui.summary': 'Summary',
+  'ui.waiting': 'Waiting for the {name} agent...',
+  'ui.agentFailed': 'The {name} agent failed.',
+  'ui.unavailable': 'Unavailable',
+  'ui.timedOut': 'Timed out',
+  'ui.rateLimited': 'Rate limited',
+  'ui.serviceDown': 'Service unavailable',
+  'ui.notFound': 'Not found',
+  'ui.weather': 'Weather Information',
+  'ui.forecastFor': 'Forecast for {city} ({label})',
+  'ui.temperature': 'Temperature:',
+  'ui.rainChance': 'Rain Chance:',
+  'ui.attractions': 'Tourist Attractions',
+  'ui.showing': 'Showing {count} {description}',
+  'ui.fromCentre': '{distance} from centre',
+  'ui.freeEntry': 'Free entry',
+  'ui.entryFee': 'Entry fee',
+  'ui.wheelchair': 'Wheelchair accessible',
+  'ui.itinerary': '{days}-Day Itinerary',
+  'ui.day': 'Day {day}',
+  'ui.rain': '{rain}% rain',
+  'ui.rainyDay': 'Rain is likely, so this day favours indoor sights.',
+  'ui.betweenStops': '{distance} between stops',
+  'ui.freeDay': 'Free day to explore at your own pace.',
+  'ui.indoor': 'indoor',
+  'ui.outdoor': 'outdoor',
+  'ui.anyWeather': 'any weather',
+  'ui.comparison': 'Side-by-side Comparison',
+  
+  // Saved trips
+  'ui.saveTrip': 'Save as a trip',
+  'ui.tripName': 'Trip name',
+  'ui.tripPlaces': 'Attractions to keep',
+  'ui.save': 'Save',
+  'ui.cancel': 'Cancel',
+  'ui.tripSaved': 'Saved to your trips as "{name}".',
+  'ui.addFavourite': 'Add to favourites',
+  'ui.removeFavourite': 'Remove from favourites',
+  'ui.savedTrip': 'Saved trip · weather from {time}',
+  
+  // Progress steps
+  'progress.askingClaude': 'Asking Claude, which looks things up with the agents',
+  'progress.claudeUnavailable': 'Claude is unavailable, falling back to heuristics',
+  'progress.done': 'Done',
+  'progress.lookingUp': 'Looking up "{location}"',
+  'progress.lookupFailed': 'Lookup of "{location}" failed: {error}',
+  'progress.notFound': 'No place called "{location}" was found',
+  'progress.found': 'Found {place}',
+  'progress.using': 'Using {place}',
+  'progress.mismatch': '"{location}" doesn\'t match {place}',
+  'progress.ambiguous': 'Found {count} places called "{location}"',
+  'progress.noLocation': 'No location found in the query',
+  'progress.fromConversation': 'Staying with {location} from the conversation',
+  'progress.askingPosition': 'Asking for your location',
+  'progress.noPosition': 'The query is about your location, which was not shared',
+  'progress.lookingUpPosition': 'Looking up the place at your location',
+  'progress.positionLookupFailed': 'Could not name your location: {error}',
+  'progress.usingPosition': 'Using your location ({place})',
+  'progress.compareFallback': 'Fewer than two of the places were found, answering for one place',
+  'progress.comparing': 'Comparing {locations} with the agents: {agents}',
+  'progress.asking': 'Asking the agents: {agents}',
+  'progress.agentWorking': 'The {agent} agent is working',
+  'progress.agentWorkingOn': 'The {agent} agent is working on {location}',
+  'progress.claudeAsked': 'Claude asked the {agent} agent about {location}',
+  'progress.agent': 'The {agent} agent',
+  'progress.agentAt': 'The {agent} agent ({location})',
+  'progress.agentFinished': '{agent} finished in {seconds} s',
+  'progress.agentTimedOut': '{agent} timed out: {error}',
+  'progress.agentFailed': '{agent} failed: {error}',
+  'progress.writingSummary': 'Claude is writing the summary',
+  'progress.summaryFailed': 'Claude could not write the summary, using the built-in one',
+  'position.denied': 'You did not allow access to your location',
+  'position.unavailable': 'Your location is not available right now',
+  'position.timeout': 'Finding your location took too long',
+  'position.unsupported': 'Your browser cannot share your location',
+  
+  // App
+  'ui.title': 'Multi-Agent Tourism System',
+  'ui.tagline': 'Ask about weather and places to visit in any location',
+  'ui.serverDown': 'The agent server is not reachable. Start it with npm run server.',
+  'ui.claudeAnswers': 'Claude answers your questions, looking things up with the weather, places and itinerary agents.',
+  'ui.heuristicAnswers': 'Answers come from smart heuristics. Set ANTHROPIC_API_KEY on the agent server to let Claude answer.',
+  'ui.language': 'Language',
+  'ui.units': 'Units',
+  'ui.metric': 'Metric (°C, km)',
+  'ui.imperial': 'Imperial (°F, mi)',
+  'ui.time': 'Time',
+  'ui.24h': '24-hour',
+  'ui.12h': '12-hour',
+  'ui.conversation': 'Conversation',
+  'ui.talkingAbout': '· talking about {location}',
+  'ui.newConversation': 'New conversation',
+  'ui.processing': 'Processing your request...',
+  'ui.askFollowUp': 'Ask a follow-up',
+  'ui.enterQuery': 'Enter your query',
+  'ui.followUpPlaceholder': "e.g., And what's the weather there? / What about Mysore instead?",
+  'ui.queryPlaceholder': "e.g., I'm going to Bangalore, what is the temperature there? And what are the places I can visit?",
+  'ui.sending': 'Processing...',
+  'ui.send': 'Send',
+  'ui.examples': 'Example Queries',
+  'ui.example1': "I'm going to go to Bangalore, let's plan my trip.",
+  'ui.example2': "I'm going to go to Bangalore, what is the temperature there?",
+  'ui.example3': "I'm going to go to Bangalore, what is the temperature there? And what are the places I can visit?",
+  'ui.genericError': 'An error occurred',
+  'ui.requestFailed': 'Failed to process your request',
+  'error.serverUnreachable': 'The agent server could not be reached. Please check that it is running (npm run server).',
+  'error.serverStopped': 'The agent server stopped before answering. Please try again.',
+  'ui.showSteps': 'Show steps ({count})',
+  'ui.didYouMean': 'Did you mean…',
+  'ui.cityCentre': 'City centre',
+  'ui.website': 'Website',
+  'ui.wheelchairLimited': 'Limited wheelchair access',
+  'ui.wheelchairNo': 'Not wheelchair accessible',
+  'ui.wheelchairValue': 'Wheelchair: {value}',
+  
+  // Query history
+  'ui.recentQueries': 'Recent queries',
+  'ui.clearHistory': 'Clear history',
+  'ui.runAgain': 'Run again',
+  'ui.copyLink': 'Copy link',
+  'ui.linkCopied': 'Link copied',
+  'ui.copyThisLink': 'Copy this link',
+  
+  // Saved trips panel
+  'ui.savedTrips': 'Saved trips',
+  'ui.importJson': 'Import JSON',
+  'ui.exportAll': 'Export all',
+  'ui.noTrips': 'Save an answer as a trip to keep its weather and attractions here.',
+  'ui.tripDetails': '{location} · {count} attractions · updated {time}',
+  'ui.refresh': 'Refresh',
+  'ui.refreshing': 'Refreshing...',
+  'ui.delete': 'Delete',
+  'ui.favouritePlaces': 'Favourite places',
+  'ui.confirmDeleteTrip': 'Delete the trip "{name}"?',
+  'ui.tripsLoadFailed': 'Saved trips could not be loaded: {error}',
+  'ui.tripSaveFailed': 'The trip could not be saved: {error}',
+  'ui.tripRefreshFailed': '"{name}" could not be refreshed: {error}',
+  'ui.tripsImportFailed': 'The trips could not be imported: {error}',
+  'ui.tripDeleteFailed': '"{name}" could not be deleted: {error}',
+  'ui.favouriteFailed': 'Your favourites could not be updated: {error}'
+};
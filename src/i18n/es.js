@@ -0,0 +1,264 @@
+/**
+ * Spanish messages
+ */
+export default {
+  // Weather agent
+  'weather.current': 'En {city} hace ahora {temperature}, con un {rain}% de probabilidad de lluvia',
+  'weather.forecast': 'Previsión para {city} ({label}):',
+  'weather.forecastDay': '{day}: {min}–{max}, {conditions}, {rain}% de probabilidad de lluvia',
+  'weather.pastDates': 'Las fechas que indicaste ({label}) ya han pasado, así que no hay previsión para {city}.',
+  'weather.tooFar': 'Solo hay previsiones hasta {days} días vista, así que aún no puedo predecir el tiempo en {city} para {label}.',
+  'agent.notFound': 'No se encontró el lugar',
+  
+  // Sightseeing advice
+  'advice.bestDay': 'El mejor día para visitar lugares al aire libre es {day} ({rain}% de probabilidad de lluvia).',
+  'advice.rainyDays': 'Es probable que llueva casi todos los días, así que incluye algunas visitas bajo techo.',
+  'advice.umbrellaDays': 'Lleva paraguas para los días más húmedos.',
+  'advice.pleasant': 'Buen tiempo para explorar al aire libre.',
+  'advice.rainy': 'Es probable que llueva, así que lleva paraguas y ten a mano algunas visitas bajo techo.',
+  'advice.hot': 'Hace calor, así que deja las visitas al aire libre para la mañana o la tarde.',
+  'advice.cold': 'Hace frío, así que lleva algo de abrigo.',
+  
+  // Weather conditions
+  'conditions.clear': 'despejado',
+  'conditions.cloudy': 'nublado',
+  'conditions.fog': 'niebla',
+  'conditions.drizzle': 'llovizna',
+  'conditions.rain': 'lluvia',
+  'conditions.snow': 'nieve',
+  'conditions.showers': 'chubascos',
+  'conditions.thunderstorm': 'tormentas',
+  'conditions.unknown': 'condiciones desconocidas',
+  
+  // Places agent
+  'places.found': 'Estos son algunos {description}: {names}',
+  'places.none': 'No encontré {description}',
+  'places.in': '{what} en {location}',
+  'places.within': '{what} a menos de {radius} de {location}',
+  'places.attractions': 'lugares de interés',
+  'places.top': 'Lo más destacado ({description}): {names}.',
+  'places.rainy': 'Con lluvia a la vista, empieza por las visitas bajo techo: {indoor}.',
+  'places.rainyLater': 'Con lluvia a la vista, empieza por las visitas bajo techo: {indoor}, y deja {outdoor} para un rato seco.',
+  'places.hot': 'Visita {outdoor} a primera hora.',
+  'places.hotMidday': 'Visita {outdoor} a primera hora y pasa las horas de más calor en {indoor}.',
+  'places.pleasant': 'El tiempo acompaña para las visitas al aire libre, como {outdoor}.',
+  'category.museum': 'museos',
+  'category.gallery': 'galerías',
+  'category.beach': 'playas',
+  'category.park': 'parques',
+  'category.temple': 'templos',
+  'category.church': 'iglesias',
+  'category.mosque': 'mezquitas',
+  'category.palace': 'palacios',
+  'category.fort': 'fuertes',
+  'category.monument': 'monumentos',
+  'category.zoo': 'zoológicos',
+  'category.viewpoint': 'miradores',
+  'category.waterfall': 'cascadas',
+  'category.lake': 'lagos',
+  'list.and': ' y ',
+  'list.or': ' o ',
+  
+  // Itinerary agent
+  'itinerary.none': 'No encontré suficientes lugares de interés cerca de {location} para planificar un viaje.',
+  'itinerary.title': 'Este es un plan de {days} días para {location}:',
+  'itinerary.day': 'Día {day} ({date}{weather}): {stops}',
+  'itinerary.dayWeather': ' · {conditions}, {rain}% de lluvia',
+  'itinerary.stops': '{stops} ({distance} entre paradas)',
+  'itinerary.freeDay': 'Día libre para explorar a tu ritmo',
+  
+  // Comparisons
+  'compare.temperature': 'Temperatura',
+  'compare.warmest': 'Más cálido',
+  'compare.rainChance': 'Probabilidad de lluvia',
+  'compare.rainText': '{rain}% de probabilidad de lluvia',
+  'compare.driest': 'Más seco',
+  'compare.attractions': 'Lugares de interés',
+  'compare.attractionText': '1 lugar de interés',
+  'compare.attractionsText': '{count} lugares de interés',
+  'compare.mostAttractions': 'Más lugares de interés',
+  'compare.placeTypes': 'Sobre todo',
+  'compare.placeTypesText': 'sobre todo {types}',
+  'compare.unavailable': 'sin información de {agents}',
+  
+  // Parent agent
+  'error.noLocation': 'No encontré ningún lugar en tu consulta. Incluye el nombre de una ciudad o un lugar.',
+  'error.unknownLocation': 'Lo siento, no reconozco "{location}" como un lugar válido. Puede que no esté en mi base de datos o que haya un error ortográfico. ¿Puedes revisar el nombre e intentarlo de nuevo? Prueba con el nombre oficial de la ciudad o una grafía más común.',
+  'disambiguation.question': 'Encontré varios lugares llamados "{location}". ¿A cuál te refieres?',
+  'error.noPosition': 'Necesito tu ubicación para responder. Permite el acceso a la ubicación o indica el nombre de un lugar.',
+  'location.current': 'Tu ubicación',
+  
+  // Agent and service errors
+  'agent.failed': 'El agente {name} ha fallado.',
+  'agent.noResult': 'El agente {name} no devolvió ningún resultado.',
+  'agent.timedOut': 'El agente {name} no respondió en {seconds} segundos.',
+  'weather.failed': 'No se pudo obtener la información del tiempo',
+  'places.failed': 'No se pudieron obtener los lugares de interés',
+  'itinerary.failed': 'No se pudo planificar el viaje',
+  'service.nominatim': 'El geocodificador de OpenStreetMap (Nominatim)',
+  'service.photon': 'El geocodificador Photon',
+  'service.open-meteo': 'El servicio meteorológico Open-Meteo',
+  'service.overpass': 'El servicio de lugares de OpenStreetMap (Overpass)',
+  'service.fixtures': 'El conjunto de datos de prueba',
+  'apiError.rate-limited': '{service} está limitando las solicitudes en este momento. Inténtalo de nuevo dentro de un minuto.',
+  'apiError.timeout': '{service} tardó demasiado en responder. Inténtalo de nuevo o acota la búsqueda.',
+  'apiError.upstream-down': '{service} no está disponible en este momento. Inténtalo de nuevo más tarde.',
+  'apiError.not-found': '{service} no tiene datos para esta solicitud.',
+  'apiError.bad-request': '{service} rechazó la solicitud.',
+  'apiError.aborted': 'Se canceló la solicitud ({serviceLower}).',
+  
+  // Dates
+  'date.today': 'hoy',
+  'date.tomorrow': 'mañana',
+  'date.dayAfterTomorrow': 'pasado mañana',
+  'date.nextDays': 'próximos {days} días',
+  'date.thisWeekend': 'este fin de semana',
+  'date.nextWeekend': 'el próximo fin de semana',
+  'date.thisWeek': 'esta semana',
+  'date.nextWeek': 'la próxima semana',
+  'date.range': '{start} – {end}',
+  
+  // Result cards
+  'ui.resultsFor': 'Resultados para {location}',
+  'ui.yourQuery': 'tu consulta',
+  'ui.summary': 'Resumen',
+  'ui.waiting': 'Esperando al agente {name}...',
+  'ui.agentFailed': 'El agente {name} ha fallado.',
+  'ui.unavailable': 'No disponible',
+  'ui.timedOut': 'Tiempo agotado',
+  'ui.rateLimited': 'Demasiadas solicitudes',
+  'ui.serviceDown': 'Servicio no disponible',
+  'ui.notFound': 'No encontrado',
+  'ui.weather': 'El tiempo',
+  'ui.forecastFor': 'Previsión para {city} ({label})',
+  'ui.temperature': 'Temperatura:',
+  'ui.rainChance': 'Probabilidad de lluvia:',
+  'ui.attractions': 'Lugares de interés',
+  'ui.showing': 'Mostrando {count} {description}',
+  'ui.fromCentre': 'a {distance} del centro',
+  'ui.freeEntry': 'Entrada gratuita',
+  'ui.entryFee': 'Entrada de pago',
+  'ui.wheelchair': 'Accesible en silla de ruedas',
+  'ui.itinerary': 'Itinerario de {days} días',
+  'ui.day': 'Día {day}',
+  'ui.rain': '{rain}% de lluvia',
+  'ui.rainyDay': 'Es probable que llueva, así que este día prioriza las visitas bajo techo.',
+  'ui.betweenStops': '{distance} entre paradas',
+  'ui.freeDay': 'Día libre para explorar a tu ritmo.',
+  'ui.indoor': 'bajo techo',
+  'ui.outdoor': 'al aire libre',
+  'ui.anyWeather': 'con cualquier tiempo',
+  'ui.comparison': 'Comparación',
+  
+  // Saved trips
+  'ui.saveTrip': 'Guardar como viaje',
+  'ui.tripName': 'Nombre del viaje',
+  'ui.tripPlaces': 'Lugares que guardar',
+  'ui.save': 'Guardar',
+  'ui.cancel': 'Cancelar',
+  'ui.tripSaved': 'Guardado en tus viajes como «{name}».',
+  'ui.addFavourite': 'Añadir a favoritos',
+  'ui.removeFavourite': 'Quitar de favoritos',
+  'ui.savedTrip': 'Viaje guardado · tiempo del {time}',
+  
+  // Progress steps
+  'progress.askingClaude': 'Preguntando a Claude, que consulta a los agentes',
+  'progress.claudeUnavailable': 'Claude no está disponible, se usan las heurísticas',
+  'progress.done': 'Listo',
+  'progress.lookingUp': 'Buscando "{location}"',
+  'progress.lookupFailed': 'La búsqueda de "{location}" falló: {error}',
+  'progress.notFound': 'No se encontró ningún lugar llamado "{location}"',
+  'progress.found': 'Encontrado: {place}',
+  'progress.using': 'Usando {place}',
+  'progress.mismatch': '"{location}" no coincide con {place}',
+  'progress.ambiguous': 'Se encontraron {count} lugares llamados "{location}"',
+  'progress.noLocation': 'No se encontró ningún lugar en la consulta',
+  'progress.fromConversation': 'Seguimos con {location} de la conversación',
+  'progress.askingPosition': 'Pidiendo tu ubicación',
+  'progress.noPosition': 'La consulta es sobre tu ubicación, que no se ha compartido',
+  'progress.lookingUpPosition': 'Buscando el lugar donde estás',
+  'progress.positionLookupFailed': 'No se pudo identificar tu ubicación: {error}',
+  'progress.usingPosition': 'Usando tu ubicación ({place})',
+  'progress.compareFallback': 'Se encontraron menos de dos lugares, se responde para uno solo',
+  'progress.comparing': 'Comparando {locations} con los agentes: {agents}',
+  'progress.asking': 'Consultando a los agentes: {agents}',
+  'progress.agentWorking': 'El agente {agent} está trabajando',
+  'progress.agentWorkingOn': 'El agente {agent} está trabajando en {location}',
+  'progress.claudeAsked': 'Claude consultó al agente {agent} sobre {location}',
+  'progress.agent': 'El agente {agent}',
+  'progress.agentAt': 'El agente {agent} ({location})',
+  'progress.agentFinished': '{agent} terminó en {seconds} s',
+  'progress.agentTimedOut': '{agent} agotó el tiempo: {error}',
+  'progress.agentFailed': '{agent} falló: {error}',
+  'progress.writingSummary': 'Claude está escribiendo el resumen',
+  'progress.summaryFailed': 'Claude no pudo escribir el resumen, se usa el integrado',
+  'position.denied': 'No has permitido el acceso a tu ubicación',
+  'position.unavailable': 'Tu ubicación no está disponible ahora mismo',
+  'position.timeout': 'Encontrar tu ubicación tardó demasiado',
+  'position.unsupported': 'Tu navegador no puede compartir tu ubicación',
+  
+  // App
+  'ui.title': 'Sistema turístico multiagente',
+  'ui.tagline': 'Pregunta por el tiempo y los lugares que visitar en cualquier sitio',
+  'ui.serverDown': 'No se puede contactar con el servidor de agentes. Inícialo con npm run server.',
+  'ui.claudeAnswers': 'Claude responde a tus preguntas consultando a los agentes del tiempo, lugares e itinerarios.',
+  'ui.heuristicAnswers': 'Las respuestas provienen de heurísticas. Configura ANTHROPIC_API_KEY en el servidor de agentes para que responda Claude.',
+  'ui.language': 'Idioma',
+  'ui.units': 'Unidades',
+  'ui.metric': 'Métricas (°C, km)',
+  'ui.imperial': 'Imperiales (°F, mi)',
+  'ui.time': 'Hora',
+  'ui.24h': '24 horas',
+  'ui.12h': '12 horas',
+  'ui.conversation': 'Conversación',
+  'ui.talkingAbout': '· hablando de {location}',
+  'ui.newConversation': 'Nueva conversación',
+  'ui.processing': 'Procesando tu consulta...',
+  'ui.askFollowUp': 'Haz otra pregunta',
+  'ui.enterQuery': 'Escribe tu consulta',
+  'ui.followUpPlaceholder': 'p. ej., ¿Y qué tiempo hace allí? / ¿Y Mysore?',
+  'ui.queryPlaceholder': 'p. ej., ¿Qué tiempo hace en Bangalore y qué lugares hay para visitar?',
+  'ui.sending': 'Procesando...',
+  'ui.send': 'Enviar',
+  'ui.examples': 'Ejemplos de consultas',
+  'ui.example1': 'Voy a ir a Bangalore, planifiquemos mi viaje.',
+  'ui.example2': 'Voy a ir a Bangalore, ¿qué temperatura hace allí?',
+  'ui.example3': '¿Qué tiempo hace en Bangalore y qué lugares hay para visitar?',
+  'ui.genericError': 'Se ha producido un error',
+  'ui.requestFailed': 'No se pudo procesar tu consulta',
+  'error.serverUnreachable': 'No se pudo contactar con el servidor de agentes. Comprueba que está en marcha (npm run server).',
+  'error.serverStopped': 'El servidor de agentes se detuvo antes de responder. Inténtalo de nuevo.',
+  'ui.showSteps': 'Ver pasos ({count})',
+  'ui.didYouMean': '¿Te refieres a…?',
+  'ui.cityCentre': 'Centro de la ciudad',
+  'ui.website': 'Sitio web',
+  'ui.wheelchairLimited': 'Acceso limitado en silla de ruedas',
+  'ui.wheelchairNo': 'No accesible en silla de ruedas',
+  'ui.wheelchairValue': 'Silla de ruedas: {value}',
+  
+  // Query history
+  'ui.recentQueries': 'Consultas recientes',
+  'ui.clearHistory': 'Borrar historial',
+  'ui.runAgain': 'Repetir',
+  'ui.copyLink': 'Copiar enlace',
+  'ui.linkCopied': 'Enlace copiado',
+  'ui.copyThisLink': 'Copia este enlace',
+  
+  // Saved trips panel
+  'ui.savedTrips': 'Viajes guardados',
+  'ui.importJson': 'Importar JSON',
+  'ui.exportAll': 'Exportar todo',
+  'ui.noTrips': 'Guarda una respuesta como viaje para conservar aquí su tiempo y sus lugares.',
+  'ui.tripDetails': '{location} · {count} lugares · actualizado el {time}',
+  'ui.refresh': 'Actualizar',
+  'ui.refreshing': 'Actualizando...',
+  'ui.delete': 'Eliminar',
+  'ui.favouritePlaces': 'Lugares favoritos',
+  'ui.confirmDeleteTrip': '¿Eliminar el viaje «{name}»?',
+  'ui.tripsLoadFailed': 'No se pudieron cargar los viajes guardados: {error}',
+  'ui.tripSaveFailed': 'No se pudo guardar el viaje: {error}',
+  'ui.tripRefreshFailed': 'No se pudo actualizar «{name}»: {error}',
+  'ui.tripsImportFailed': 'No se pudieron importar los viajes: {error}',
+  'ui.tripDeleteFailed': 'No se pudo eliminar «{name}»: {error}',
+  'ui.favouriteFailed': 'No se pudieron actualizar tus favoritos: {error}'
+};
@@ -0,0 +1,264 @@
+/**
+ * French messages
+ */
+export default {
+  // Weather agent
+  'weather.current': 'À {city}, il fait actuellement {temperature}, avec {rain} % de risque de pluie',
+  'weather.forecast': 'Prévisions pour {city} ({label}) :',
+  'weather.forecastDay': '{day} : {min}–{max}, {conditions}, {rain} % de risque de pluie',
+  'weather.pastDates': 'Les dates demandées ({label}) sont déjà passées, il n\'y a donc pas de prévisions pour {city}.',
+  'weather.tooFar': 'Les prévisions ne vont que jusqu\'à {days} jours, je ne peux donc pas encore prévoir le temps à {city} pour {label}.',
+  'agent.notFound': 'Lieu introuvable',
+  
+  // Sightseeing advice
+  'advice.bestDay': 'Le meilleur jour pour les visites en plein air est {day} ({rain} % de risque de pluie).',
+  'advice.rainyDays': 'La pluie est probable la plupart des jours, prévoyez donc quelques visites à l\'intérieur.',
+  'advice.umbrellaDays': 'Prenez un parapluie pour les jours les plus humides.',
+  'advice.pleasant': 'Un temps agréable pour explorer en plein air.',
+  'advice.rainy': 'La pluie est probable : prenez un parapluie et gardez quelques visites à l\'intérieur en réserve.',
+  'advice.hot': 'Il fait chaud : prévoyez les visites en plein air le matin ou en soirée.',
+  'advice.cold': 'Il fait frais : prévoyez une couche chaude.',
+  
+  // Weather conditions
+  'conditions.clear': 'dégagé',
+  'conditions.cloudy': 'nuageux',
+  'conditions.fog': 'brouillard',
+  'conditions.drizzle': 'bruine',
+  'conditions.rain': 'pluie',
+  'conditions.snow': 'neige',
+  'conditions.showers': 'averses',
+  'conditions.thunderstorm': 'orages',
+  'conditions.unknown': 'conditions inconnues',
+  
+  // Places agent
+  'places.found': 'Voici quelques {description} : {names}',
+  'places.none': 'Je n\'ai trouvé aucun résultat pour : {description}',
+  'places.in': '{what} à {location}',
+  'places.within': '{what} à moins de {radius} de {location}',
+  'places.attractions': 'sites touristiques',
+  'places.top': 'À ne pas manquer ({description}) : {names}.',
+  'places.rainy': 'Avec la pluie, commencez par les visites à l\'intérieur : {indoor}.',
+  'places.rainyLater': 'Avec la pluie, commencez par les visites à l\'intérieur : {indoor}, et gardez {outdoor} pour une éclaircie.',
+  'places.hot': 'Visitez {outdoor} tôt dans la journée.',
+  'places.hotMidday': 'Visitez {outdoor} tôt dans la journée et passez les heures les plus chaudes à {indoor}.',
+  'places.pleasant': 'Le temps se prête aux visites en plein air, comme {outdoor}.',
+  'category.museum': 'musées',
+  'category.gallery': 'galeries',
+  'category.beach': 'plages',
+  'category.park': 'parcs',
+  'category.temple': 'temples',
+  'category.church': 'églises',
+  'category.mosque': 'mosquées',
+  'category.palace': 'palais',
+  'category.fort': 'forts',
+  'category.monument': 'monuments',
+  'category.zoo': 'zoos',
+  'category.viewpoint': 'points de vue',
+  'category.waterfall': 'cascades',
+  'category.lake': 'lacs',
+  'list.and': ' et ',
+  'list.or': ' ou ',
+  
+  // Itinerary agent
+  'itinerary.none': 'Je n\'ai pas trouvé assez de sites près de {location} pour planifier un voyage.',
+  'itinerary.title': 'Voici un programme de {days} jours pour {location} :',
+  'itinerary.day': 'Jour {day} ({date}{weather}) : {stops}',
+  'itinerary.dayWeather': ' · {conditions}, {rain} % de pluie',
+  'itinerary.stops': '{stops} ({distance} entre les étapes)',
+  'itinerary.freeDay': 'Journée libre pour explorer à votre rythme',
+  
+  // Comparisons
+  'compare.temperature': 'Température',
+  'compare.warmest': 'Le plus chaud',
+  'compare.rainChance': 'Risque de pluie',
+  'compare.rainText': '{rain} % de risque de pluie',
+  'compare.driest': 'Le plus sec',
+  'compare.attractions': 'Sites',
+  'compare.attractionText': '1 site',
+  'compare.attractionsText': '{count} sites',
+  'compare.mostAttractions': 'Le plus de sites',
+  'compare.placeTypes': 'Surtout',
+  'compare.placeTypesText': 'surtout {types}',
+  'compare.unavailable': 'pas d\'informations {agents} disponibles',
+  
+  // Parent agent
+  'error.noLocation': 'Je n\'ai trouvé aucun lieu dans votre demande. Indiquez le nom d\'une ville ou d\'un lieu.',
+  'error.unknownLocation': 'Désolé, je ne reconnais pas « {location} » comme un lieu valide. Ce lieu n\'existe peut-être pas dans ma base de données, ou il y a une faute d\'orthographe. Pouvez-vous vérifier le nom et réessayer ? Essayez le nom officiel de la ville ou une orthographe plus courante.',
+  'disambiguation.question': 'J\'ai trouvé plusieurs lieux appelés « {location} ». Lequel vouliez-vous dire ?',
+  'error.noPosition': 'J\'ai besoin de votre position pour répondre. Autorisez l\'accès à la localisation ou indiquez un lieu.',
+  'location.current': 'Votre position',
+  
+  // Agent and service errors
+  'agent.failed': 'L\'agent {name} a échoué.',
+  'agent.noResult': 'L\'agent {name} n\'a renvoyé aucun résultat.',
+  'agent.timedOut': 'L\'agent {name} n\'a pas répondu en {seconds} secondes.',
+  'weather.failed': 'Impossible de récupérer la météo',
+  'places.failed': 'Impossible de récupérer les sites touristiques',
+  'itinerary.failed': 'Impossible de planifier le voyage',
+  'service.nominatim': 'Le géocodeur OpenStreetMap (Nominatim)',
+  'service.photon': 'Le géocodeur Photon',
+  'service.open-meteo': 'Le service météo Open-Meteo',
+  'service.overpass': 'Le service de lieux OpenStreetMap (Overpass)',
+  'service.fixtures': 'Le jeu de données de test',
+  'apiError.rate-limited': '{service} limite les requêtes en ce moment. Réessayez dans une minute.',
+  'apiError.timeout': '{service} a mis trop de temps à répondre. Réessayez, ou affinez la recherche.',
+  'apiError.upstream-down': '{service} n\'est pas disponible pour le moment. Réessayez plus tard.',
+  'apiError.not-found': '{service} n\'a pas de données pour cette demande.',
+  'apiError.bad-request': '{service} a refusé la demande.',
+  'apiError.aborted': 'La requête a été annulée ({serviceLower}).',
+  
+  // Dates
+  'date.today': 'aujourd\'hui',
+  'date.tomorrow': 'demain',
+  'date.dayAfterTomorrow': 'après-demain',
+  'date.nextDays': '{days} prochains jours',
+  'date.thisWeekend': 'ce week-end',
+  'date.nextWeekend': 'le week-end prochain',
+  'date.thisWeek': 'cette semaine',
+  'date.nextWeek': 'la semaine prochaine',
+  'date.range': '{start} – {end}',
+  
+  // Result cards
+  'ui.resultsFor': 'Résultats pour {location}',
+  'ui.yourQuery': 'votre demande',
+  'ui.summary': 'Résumé',
+  'ui.waiting': 'En attente de l\'agent {name}...',
+  'ui.agentFailed': 'L\'agent {name} a échoué.',
+  'ui.unavailable': 'Indisponible',
+  'ui.timedOut': 'Délai dépassé',
+  'ui.rateLimited': 'Trop de requêtes',
+  'ui.serviceDown': 'Service indisponible',
+  'ui.notFound': 'Introuvable',
+  'ui.weather': 'Météo',
+  'ui.forecastFor': 'Prévisions pour {city} ({label})',
+  'ui.temperature': 'Température :',
+  'ui.rainChance': 'Risque de pluie :',
+  'ui.attractions': 'Sites touristiques',
+  'ui.showing': '{count} {description}',
+  'ui.fromCentre': 'à {distance} du centre',
+  'ui.freeEntry': 'Entrée gratuite',
+  'ui.entryFee': 'Entrée payante',
+  'ui.wheelchair': 'Accessible en fauteuil roulant',
+  'ui.itinerary': 'Programme de {days} jours',
+  'ui.day': 'Jour {day}',
+  'ui.rain': '{rain} % de pluie',
+  'ui.rainyDay': 'La pluie est probable, ce jour privilégie donc les visites à l\'intérieur.',
+  'ui.betweenStops': '{distance} entre les étapes',
+  'ui.freeDay': 'Journée libre pour explorer à votre rythme.',
+  'ui.indoor': 'intérieur',
+  'ui.outdoor': 'plein air',
+  'ui.anyWeather': 'par tous les temps',
+  'ui.comparison': 'Comparaison',
+  
+  // Saved trips
+  'ui.saveTrip': 'Enregistrer comme voyage',
+  'ui.tripName': 'Nom du voyage',
+  'ui.tripPlaces': 'Sites à garder',
+  'ui.save': 'Enregistrer',
+  'ui.cancel': 'Annuler',
+  'ui.tripSaved': 'Enregistré dans vos voyages sous « {name} ».',
+  'ui.addFavourite': 'Ajouter aux favoris',
+  'ui.removeFavourite': 'Retirer des favoris',
+  'ui.savedTrip': 'Voyage enregistré · météo du {time}',
+  
+  // Progress steps
+  'progress.askingClaude': 'Interrogation de Claude, qui consulte les agents',
+  'progress.claudeUnavailable': 'Claude est indisponible, utilisation des heuristiques',
+  'progress.done': 'Terminé',
+  'progress.lookingUp': 'Recherche de « {location} »',
+  'progress.lookupFailed': 'La recherche de « {location} » a échoué : {error}',
+  'progress.notFound': 'Aucun lieu appelé « {location} » n\'a été trouvé',
+  'progress.found': 'Trouvé : {place}',
+  'progress.using': 'Utilisation de {place}',
+  'progress.mismatch': '« {location} » ne correspond pas à {place}',
+  'progress.ambiguous': '{count} lieux appelés « {location} » trouvés',
+  'progress.noLocation': 'Aucun lieu trouvé dans la demande',
+  'progress.fromConversation': 'On reste sur {location} de la conversation',
+  'progress.askingPosition': 'Demande de votre position',
+  'progress.noPosition': 'La demande porte sur votre position, qui n\'a pas été partagée',
+  'progress.lookingUpPosition': 'Recherche du lieu où vous êtes',
+  'progress.positionLookupFailed': 'Impossible de nommer votre position : {error}',
+  'progress.usingPosition': 'Utilisation de votre position ({place})',
+  'progress.compareFallback': 'Moins de deux lieux trouvés, réponse pour un seul lieu',
+  'progress.comparing': 'Comparaison de {locations} avec les agents : {agents}',
+  'progress.asking': 'Agents consultés : {agents}',
+  'progress.agentWorking': 'L\'agent {agent} travaille',
+  'progress.agentWorkingOn': 'L\'agent {agent} travaille sur {location}',
+  'progress.claudeAsked': 'Claude a consulté l\'agent {agent} sur {location}',
+  'progress.agent': 'L\'agent {agent}',
+  'progress.agentAt': 'L\'agent {agent} ({location})',
+  'progress.agentFinished': '{agent} a terminé en {seconds} s',
+  'progress.agentTimedOut': '{agent} a dépassé le délai : {error}',
+  'progress.agentFailed': '{agent} a échoué : {error}',
+  'progress.writingSummary': 'Claude rédige le résumé',
+  'progress.summaryFailed': 'Claude n\'a pas pu rédiger le résumé, utilisation du résumé intégré',
+  'position.denied': 'Vous n\'avez pas autorisé l\'accès à votre position',
+  'position.unavailable': 'Votre position n\'est pas disponible pour le moment',
+  'position.timeout': 'La recherche de votre position a pris trop de temps',
+  'position.unsupported': 'Votre navigateur ne peut pas partager votre position',
+  
+  // App
+  'ui.title': 'Système touristique multi-agents',
+  'ui.tagline': 'Demandez la météo et les lieux à visiter, où que ce soit',
+  'ui.serverDown': 'Le serveur d\'agents est injoignable. Lancez-le avec npm run server.',
+  'ui.claudeAnswers': 'Claude répond à vos questions en consultant les agents météo, lieux et itinéraire.',
+  'ui.heuristicAnswers': 'Les réponses viennent d\'heuristiques. Définissez ANTHROPIC_API_KEY sur le serveur d\'agents pour que Claude réponde.',
+  'ui.language': 'Langue',
+  'ui.units': 'Unités',
+  'ui.metric': 'Métriques (°C, km)',
+  'ui.imperial': 'Impériales (°F, mi)',
+  'ui.time': 'Heure',
+  'ui.24h': '24 heures',
+  'ui.12h': '12 heures',
+  'ui.conversation': 'Conversation',
+  'ui.talkingAbout': '· à propos de {location}',
+  'ui.newConversation': 'Nouvelle conversation',
+  'ui.processing': 'Traitement de votre demande...',
+  'ui.askFollowUp': 'Posez une autre question',
+  'ui.enterQuery': 'Saisissez votre demande',
+  'ui.followUpPlaceholder': 'ex. : Et quel temps fait-il là-bas ? / Et Mysore ?',
+  'ui.queryPlaceholder': 'ex. : Je vais à Bangalore, quelle température fait-il là-bas ? Et quels lieux puis-je visiter ?',
+  'ui.sending': 'Traitement...',
+  'ui.send': 'Envoyer',
+  'ui.examples': 'Exemples de demandes',
+  'ui.example1': 'Je vais à Bangalore, planifions mon voyage.',
+  'ui.example2': 'Je vais à Bangalore, quelle température fait-il là-bas ?',
+  'ui.example3': 'Je vais à Bangalore, quelle température fait-il là-bas ? Et quels lieux puis-je visiter ?',
+  'ui.genericError': 'Une erreur est survenue',
+  'ui.requestFailed': 'Impossible de traiter votre demande',
+  'error.serverUnreachable': 'Impossible de joindre le serveur d\'agents. Vérifiez qu\'il est lancé (npm run server).',
+  'error.serverStopped': 'Le serveur d\'agents s\'est arrêté avant de répondre. Veuillez réessayer.',
+  'ui.showSteps': 'Voir les étapes ({count})',
+  'ui.didYouMean': 'Vouliez-vous dire…',
+  'ui.cityCentre': 'Centre-ville',
+  'ui.website': 'Site web',
+  'ui.wheelchairLimited': 'Accès limité en fauteuil roulant',
+  'ui.wheelchairNo': 'Non accessible en fauteuil roulant',
+  'ui.wheelchairValue': 'Fauteuil roulant : {value}',
+  
+  // Query history
+  'ui.recentQueries': 'Demandes récentes',
+  'ui.clearHistory': 'Effacer l\'historique',
+  'ui.runAgain': 'Relancer',
+  'ui.copyLink': 'Copier le lien',
+  'ui.linkCopied': 'Lien copié',
+  'ui.copyThisLink': 'Copiez ce lien',
+  
+  // Saved trips panel
+  'ui.savedTrips': 'Voyages enregistrés',
+  'ui.importJson': 'Importer un JSON',
+  'ui.exportAll': 'Tout exporter',
+  'ui.noTrips': 'Enregistrez une réponse comme voyage pour garder ici sa météo et ses lieux.',
+  'ui.tripDetails': '{location} · {count} lieux · mis à jour le {time}',
+  'ui.refresh': 'Actualiser',
+  'ui.refreshing': 'Actualisation...',
+  'ui.delete': 'Supprimer',
+  'ui.favouritePlaces': 'Lieux favoris',
+  'ui.confirmDeleteTrip': 'Supprimer le voyage « {name} » ?',
+  'ui.tripsLoadFailed': 'Impossible de charger les voyages enregistrés : {error}',
+  'ui.tripSaveFailed': 'Impossible d\'enregistrer le voyage : {error}',
+  'ui.tripRefreshFailed': 'Impossible d\'actualiser « {name} » : {error}',
+  'ui.tripsImportFailed': 'Impossible d\'importer les voyages : {error}',
+  'ui.tripDeleteFailed': 'Impossible de supprimer « {name} » : {error}',
+  'ui.favouriteFailed': 'Impossible de mettre à jour vos favoris : {error}'
+};
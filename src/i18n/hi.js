@@ -0,0 +1,264 @@
+/**
+ * Hindi messages
+ */
+export default {
+  // Weather agent
+  'weather.current': '{city} में अभी तापमान {temperature} है और बारिश की संभावना {rain}% है',
+  'weather.forecast': '{city} का पूर्वानुमान ({label}):',
+  'weather.forecastDay': '{day}: {min}–{max}, {conditions}, बारिश की संभावना {rain}%',
+  'weather.pastDates': 'आपकी पूछी गई तारीखें ({label}) बीत चुकी हैं, इसलिए {city} का कोई पूर्वानुमान नहीं है।',
+  'weather.tooFar': 'पूर्वानुमान केवल {days} दिन आगे तक उपलब्ध है, इसलिए मैं अभी {label} के लिए {city} के मौसम का अनुमान नहीं लगा सकता।',
+  'agent.notFound': 'स्थान नहीं मिला',
+  
+  // Sightseeing advice
+  'advice.bestDay': 'बाहर घूमने के लिए सबसे अच्छा दिन {day} है (बारिश की संभावना {rain}%)।',
+  'advice.rainyDays': 'ज़्यादातर दिनों में बारिश की संभावना है, इसलिए योजना में कुछ इनडोर जगहें रखें।',
+  'advice.umbrellaDays': 'बारिश वाले दिनों के लिए छाता साथ रखें।',
+  'advice.pleasant': 'बाहर घूमने के लिए सुहावना मौसम है।',
+  'advice.rainy': 'बारिश की संभावना है, इसलिए छाता साथ रखें और कुछ इनडोर जगहें भी सोच कर रखें।',
+  'advice.hot': 'गर्मी है, इसलिए बाहर घूमना सुबह या शाम को रखें।',
+  'advice.cold': 'ठंड है, इसलिए गर्म कपड़े साथ रखें।',
+  
+  // Weather conditions
+  'conditions.clear': 'साफ़ आसमान',
+  'conditions.cloudy': 'बादल',
+  'conditions.fog': 'कोहरा',
+  'conditions.drizzle': 'बूंदाबांदी',
+  'conditions.rain': 'बारिश',
+  'conditions.snow': 'बर्फ़',
+  'conditions.showers': 'बौछारें',
+  'conditions.thunderstorm': 'आंधी-तूफ़ान',
+  'conditions.unknown': 'अज्ञात मौसम',
+  
+  // Places agent
+  'places.found': 'कुछ {description}: {names}',
+  'places.none': 'मुझे कोई {description} नहीं मिले',
+  'places.in': '{location} में {what}',
+  'places.within': '{location} से {radius} के भीतर {what}',
+  'places.attractions': 'पर्यटन स्थल',
+  'places.top': 'प्रमुख {description}: {names}।',
+  'places.rainy': 'बारिश के आसार हैं, इसलिए इनडोर जगहों से शुरुआत करें: {indoor}।',
+  'places.rainyLater': 'बारिश के आसार हैं, इसलिए इनडोर जगहों से शुरुआत करें: {indoor}, और {outdoor} को मौसम खुलने के लिए रखें।',
+  'places.hot': '{outdoor} सुबह जल्दी जाएँ।',
+  'places.hotMidday': '{outdoor} सुबह जल्दी जाएँ, और सबसे गर्म समय {indoor} में बिताएँ।',
+  'places.pleasant': 'मौसम बाहर की जगहों के लिए अच्छा है, जैसे {outdoor}।',
+  'category.museum': 'संग्रहालय',
+  'category.gallery': 'कला दीर्घाएँ',
+  'category.beach': 'समुद्र तट',
+  'category.park': 'पार्क',
+  'category.temple': 'मंदिर',
+  'category.church': 'चर्च',
+  'category.mosque': 'मस्जिदें',
+  'category.palace': 'महल',
+  'category.fort': 'किले',
+  'category.monument': 'स्मारक',
+  'category.zoo': 'चिड़ियाघर',
+  'category.viewpoint': 'व्यू पॉइंट',
+  'category.waterfall': 'झरने',
+  'category.lake': 'झीलें',
+  'list.and': ' और ',
+  'list.or': ' या ',
+  
+  // Itinerary agent
+  'itinerary.none': '{location} के पास यात्रा की योजना बनाने लायक पर्याप्त पर्यटन स्थल नहीं मिले।',
+  'itinerary.title': '{location} के लिए {days} दिन की योजना:',
+  'itinerary.day': 'दिन {day} ({date}{weather}): {stops}',
+  'itinerary.dayWeather': ' · {conditions}, बारिश {rain}%',
+  'itinerary.stops': '{stops} (पड़ावों के बीच {distance})',
+  'itinerary.freeDay': 'अपनी रफ़्तार से घूमने के लिए खाली दिन',
+  
+  // Comparisons
+  'compare.temperature': 'तापमान',
+  'compare.warmest': 'सबसे गर्म',
+  'compare.rainChance': 'बारिश की संभावना',
+  'compare.rainText': 'बारिश की संभावना {rain}%',
+  'compare.driest': 'सबसे सूखा',
+  'compare.attractions': 'पर्यटन स्थल',
+  'compare.attractionText': '1 पर्यटन स्थल',
+  'compare.attractionsText': '{count} पर्यटन स्थल',
+  'compare.mostAttractions': 'सबसे ज़्यादा पर्यटन स्थल',
+  'compare.placeTypes': 'मुख्य रूप से',
+  'compare.placeTypesText': 'मुख्य रूप से {types}',
+  'compare.unavailable': '{agents} की जानकारी उपलब्ध नहीं',
+  
+  // Parent agent
+  'error.noLocation': 'आपके सवाल में मुझे कोई स्थान नहीं मिला। कृपया किसी शहर या जगह का नाम लिखें।',
+  'error.unknownLocation': 'माफ़ कीजिए, मैं "{location}" को किसी मान्य स्थान के रूप में नहीं पहचानता। हो सकता है यह जगह मेरे डेटाबेस में न हो या वर्तनी में कोई गलती हो। कृपया नाम जाँच कर फिर से कोशिश करें, शहर का आधिकारिक नाम या ज़्यादा प्रचलित वर्तनी आज़माएँ।',
+  'disambiguation.question': 'मुझे "{location}" नाम की कई जगहें मिलीं। आपका मतलब किससे था?',
+  'error.noPosition': 'इसका जवाब देने के लिए मुझे आपका स्थान चाहिए। कृपया लोकेशन की अनुमति दें या किसी जगह का नाम लिखें।',
+  'location.current': 'आपका स्थान',
+  
+  // Agent and service errors
+  'agent.failed': '{name} एजेंट विफल रहा।',
+  'agent.noResult': '{name} एजेंट ने कोई परिणाम नहीं दिया।',
+  'agent.timedOut': '{name} एजेंट ने {seconds} सेकंड में जवाब नहीं दिया।',
+  'weather.failed': 'मौसम की जानकारी नहीं मिल सकी',
+  'places.failed': 'पर्यटन स्थलों की जानकारी नहीं मिल सकी',
+  'itinerary.failed': 'यात्रा की योजना नहीं बन सकी',
+  'service.nominatim': 'OpenStreetMap जियोकोडर (Nominatim)',
+  'service.photon': 'Photon जियोकोडर',
+  'service.open-meteo': 'Open-Meteo मौसम सेवा',
+  'service.overpass': 'OpenStreetMap स्थान सेवा (Overpass)',
+  'service.fixtures': 'परीक्षण डेटा',
+  'apiError.rate-limited': '{service} अभी अनुरोधों को सीमित कर रही है। कृपया एक मिनट बाद फिर कोशिश करें।',
+  'apiError.timeout': '{service} ने जवाब देने में बहुत देर लगाई। कृपया फिर कोशिश करें, या खोज को सीमित करें।',
+  'apiError.upstream-down': '{service} अभी उपलब्ध नहीं है। कृपया बाद में फिर कोशिश करें।',
+  'apiError.not-found': '{service} के पास इस अनुरोध के लिए कोई डेटा नहीं है।',
+  'apiError.bad-request': '{service} ने अनुरोध अस्वीकार कर दिया।',
+  'apiError.aborted': 'अनुरोध रद्द कर दिया गया ({serviceLower})।',
+  
+  // Dates
+  'date.today': 'आज',
+  'date.tomorrow': 'कल',
+  'date.dayAfterTomorrow': 'परसों',
+  'date.nextDays': 'अगले {days} दिन',
+  'date.thisWeekend': 'इस सप्ताहांत',
+  'date.nextWeekend': 'अगले सप्ताहांत',
+  'date.thisWeek': 'इस सप्ताह',
+  'date.nextWeek': 'अगले सप्ताह',
+  'date.range': '{start} – {end}',
+  
+  // Result cards
+  'ui.resultsFor': '{location} के परिणाम',
+  'ui.yourQuery': 'आपका सवाल',
+  'ui.summary': 'सारांश',
+  'ui.waiting': '{name} एजेंट का इंतज़ार...',
+  'ui.agentFailed': '{name} एजेंट विफल रहा।',
+  'ui.unavailable': 'उपलब्ध नहीं',
+  'ui.timedOut': 'समय समाप्त',
+  'ui.rateLimited': 'बहुत ज़्यादा अनुरोध',
+  'ui.serviceDown': 'सेवा उपलब्ध नहीं',
+  'ui.notFound': 'नहीं मिला',
+  'ui.weather': 'मौसम की जानकारी',
+  'ui.forecastFor': '{city} का पूर्वानुमान ({label})',
+  'ui.temperature': 'तापमान:',
+  'ui.rainChance': 'बारिश की संभावना:',
+  'ui.attractions': 'पर्यटन स्थल',
+  'ui.showing': '{count} {description}',
+  'ui.fromCentre': 'केंद्र से {distance}',
+  'ui.freeEntry': 'प्रवेश निःशुल्क',
+  'ui.entryFee': 'प्रवेश शुल्क',
+  'ui.wheelchair': 'व्हीलचेयर सुलभ',
+  'ui.itinerary': '{days} दिन की यात्रा योजना',
+  'ui.day': 'दिन {day}',
+  'ui.rain': 'बारिश {rain}%',
+  'ui.rainyDay': 'बारिश की संभावना है, इसलिए इस दिन इनडोर जगहें रखी गई हैं।',
+  'ui.betweenStops': 'पड़ावों के बीच {distance}',
+  'ui.freeDay': 'अपनी रफ़्तार से घूमने के लिए खाली दिन।',
+  'ui.indoor': 'इनडोर',
+  'ui.outdoor': 'आउटडोर',
+  'ui.anyWeather': 'हर मौसम में',
+  'ui.comparison': 'तुलना',
+  
+  // Saved trips
+  'ui.saveTrip': 'यात्रा के रूप में सहेजें',
+  'ui.tripName': 'यात्रा का नाम',
+  'ui.tripPlaces': 'रखने के लिए पर्यटन स्थल',
+  'ui.save': 'सहेजें',
+  'ui.cancel': 'रद्द करें',
+  'ui.tripSaved': '"{name}" नाम से आपकी यात्राओं में सहेजा गया।',
+  'ui.addFavourite': 'पसंदीदा में जोड़ें',
+  'ui.removeFavourite': 'पसंदीदा से हटाएँ',
+  'ui.savedTrip': 'सहेजी गई यात्रा · {time} का मौसम',
+  
+  // Progress steps
+  'progress.askingClaude': 'Claude से पूछा जा रहा है, जो एजेंटों से जानकारी लेता है',
+  'progress.claudeUnavailable': 'Claude उपलब्ध नहीं है, नियमों के आधार पर जवाब दिया जा रहा है',
+  'progress.done': 'पूरा हुआ',
+  'progress.lookingUp': '"{location}" खोजा जा रहा है',
+  'progress.lookupFailed': '"{location}" की खोज विफल रही: {error}',
+  'progress.notFound': '"{location}" नाम की कोई जगह नहीं मिली',
+  'progress.found': 'मिला: {place}',
+  'progress.using': '{place} का उपयोग',
+  'progress.mismatch': '"{location}" {place} से मेल नहीं खाता',
+  'progress.ambiguous': '"{location}" नाम की {count} जगहें मिलीं',
+  'progress.noLocation': 'सवाल में कोई स्थान नहीं मिला',
+  'progress.fromConversation': 'बातचीत से {location} ही रखा गया',
+  'progress.askingPosition': 'आपका स्थान माँगा जा रहा है',
+  'progress.noPosition': 'सवाल आपके स्थान के बारे में है, जो साझा नहीं किया गया',
+  'progress.lookingUpPosition': 'आपके स्थान की जगह खोजी जा रही है',
+  'progress.positionLookupFailed': 'आपके स्थान का नाम नहीं मिल सका: {error}',
+  'progress.usingPosition': 'आपके स्थान का उपयोग ({place})',
+  'progress.compareFallback': 'दो से कम जगहें मिलीं, एक जगह के लिए जवाब दिया जा रहा है',
+  'progress.comparing': '{locations} की तुलना इन एजेंटों से: {agents}',
+  'progress.asking': 'इन एजेंटों से पूछा जा रहा है: {agents}',
+  'progress.agentWorking': '{agent} एजेंट काम कर रहा है',
+  'progress.agentWorkingOn': '{agent} एजेंट {location} पर काम कर रहा है',
+  'progress.claudeAsked': 'Claude ने {agent} एजेंट से {location} के बारे में पूछा',
+  'progress.agent': '{agent} एजेंट',
+  'progress.agentAt': '{agent} एजेंट ({location})',
+  'progress.agentFinished': '{agent} {seconds} सेकंड में पूरा हुआ',
+  'progress.agentTimedOut': '{agent} का समय समाप्त: {error}',
+  'progress.agentFailed': '{agent} विफल रहा: {error}',
+  'progress.writingSummary': 'Claude सारांश लिख रहा है',
+  'progress.summaryFailed': 'Claude सारांश नहीं लिख सका, अंतर्निहित सारांश का उपयोग',
+  'position.denied': 'आपने अपने स्थान की अनुमति नहीं दी',
+  'position.unavailable': 'आपका स्थान अभी उपलब्ध नहीं है',
+  'position.timeout': 'आपका स्थान खोजने में बहुत समय लगा',
+  'position.unsupported': 'आपका ब्राउज़र आपका स्थान साझा नहीं कर सकता',
+  
+  // App
+  'ui.title': 'मल्टी-एजेंट पर्यटन प्रणाली',
+  'ui.tagline': 'किसी भी जगह के मौसम और घूमने की जगहों के बारे में पूछें',
+  'ui.serverDown': 'एजेंट सर्वर से संपर्क नहीं हो पा रहा। इसे npm run server से शुरू करें।',
+  'ui.claudeAnswers': 'Claude मौसम, जगहों और यात्रा योजना के एजेंटों से जानकारी लेकर आपके सवालों का जवाब देता है।',
+  'ui.heuristicAnswers': 'जवाब नियमों के आधार पर बनते हैं। Claude से जवाब पाने के लिए एजेंट सर्वर पर ANTHROPIC_API_KEY सेट करें।',
+  'ui.language': 'भाषा',
+  'ui.units': 'इकाइयाँ',
+  'ui.metric': 'मीट्रिक (°C, km)',
+  'ui.imperial': 'इंपीरियल (°F, mi)',
+  'ui.time': 'समय',
+  'ui.24h': '24 घंटे',
+  'ui.12h': '12 घंटे',
+  'ui.conversation': 'बातचीत',
+  'ui.talkingAbout': '· {location} के बारे में',
+  'ui.newConversation': 'नई बातचीत',
+  'ui.processing': 'आपका अनुरोध संसाधित हो रहा है...',
+  'ui.askFollowUp': 'आगे का सवाल पूछें',
+  'ui.enterQuery': 'अपना सवाल लिखें',
+  'ui.followUpPlaceholder': 'जैसे, और वहाँ मौसम कैसा है? / Mysore के बारे में क्या?',
+  'ui.queryPlaceholder': 'जैसे, Bangalore में मौसम कैसा है और घूमने की जगहें कौन सी हैं?',
+  'ui.sending': 'संसाधित हो रहा है...',
+  'ui.send': 'भेजें',
+  'ui.examples': 'उदाहरण सवाल',
+  'ui.example1': 'Bangalore में घूमने की जगहें',
+  'ui.example2': 'Bangalore में मौसम कैसा है?',
+  'ui.example3': 'Bangalore में मौसम कैसा है और घूमने की जगहें कौन सी हैं?',
+  'ui.genericError': 'कोई त्रुटि हुई',
+  'ui.requestFailed': 'आपका अनुरोध संसाधित नहीं हो सका',
+  'error.serverUnreachable': 'एजेंट सर्वर से संपर्क नहीं हो सका। कृपया जाँचें कि वह चल रहा है (npm run server)।',
+  'error.serverStopped': 'एजेंट सर्वर जवाब देने से पहले रुक गया। कृपया फिर से कोशिश करें।',
+  'ui.showSteps': 'चरण देखें ({count})',
+  'ui.didYouMean': 'क्या आपका मतलब था…',
+  'ui.cityCentre': 'शहर का केंद्र',
+  'ui.website': 'वेबसाइट',
+  'ui.wheelchairLimited': 'व्हीलचेयर के लिए सीमित पहुँच',
+  'ui.wheelchairNo': 'व्हीलचेयर सुलभ नहीं',
+  'ui.wheelchairValue': 'व्हीलचेयर: {value}',
+  
+  // Query history
+  'ui.recentQueries': 'हाल के सवाल',
+  'ui.clearHistory': 'इतिहास मिटाएँ',
+  'ui.runAgain': 'फिर से चलाएँ',
+  'ui.copyLink': 'लिंक कॉपी करें',
+  'ui.linkCopied': 'लिंक कॉपी हुआ',
+  'ui.copyThisLink': 'यह लिंक कॉपी करें',
+  
+  // Saved trips panel
+  'ui.savedTrips': 'सहेजी गई यात्राएँ',
+  'ui.importJson': 'JSON आयात करें',
+  'ui.exportAll': 'सब निर्यात करें',
+  'ui.noTrips': 'किसी जवाब को यात्रा के रूप में सहेजें, ताकि उसका मौसम और पर्यटन स्थल यहाँ रहें।',
+  'ui.tripDetails': '{location} · {count} पर्यटन स्थल · {time} को अपडेट',
+  'ui.refresh': 'ताज़ा करें',
+  'ui.refreshing': 'ताज़ा हो रहा है...',
+  'ui.delete': 'हटाएँ',
+  'ui.favouritePlaces': 'पसंदीदा जगहें',
+  'ui.confirmDeleteTrip': 'यात्रा "{name}" हटाएँ?',
+  'ui.tripsLoadFailed': 'सहेजी गई यात्राएँ लोड नहीं हो सकीं: {error}',
+  'ui.tripSaveFailed': 'यात्रा सहेजी नहीं जा सकी: {error}',
+  'ui.tripRefreshFailed': '"{name}" ताज़ा नहीं हो सकी: {error}',
+  'ui.tripsImportFailed': 'यात्राएँ आयात नहीं हो सकीं: {error}',
+  'ui.tripDeleteFailed': '"{name}" हटाई नहीं जा सकी: {error}',
+  'ui.favouriteFailed': 'आपके पसंदीदा अपडेट नहीं हो सके: {error}'
+};
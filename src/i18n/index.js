@@ -0,0 +1,56 @@
+import en from './en.js';
+import es from './es.js';
+import fr from './fr.js';
+import hi from './hi.js';
+
+/**
+ * Localisation
+ * Responses and result cards are written in the user's language via translate().
+ * A locale is { language, units: 'metric' | 'imperial', timeFormat: '24h' | '12h' };
+ * agents receive it as input.locale and summaries as context.locale.
+ */
+
+const MESSAGES = { en, es, fr, hi };
+
+// Supported response languages: native name, English name (for Claude) and date locale
+export const LANGUAGES = {
+  en: { name: 'English', englishName: 'English', dateLocale: 'en-US' },
+  es: { name: 'Español', englishName: 'Spanish', dateLocale: 'es-ES' },
+  fr: { name: 'Français', englishName: 'French', dateLocale: 'fr-FR' },
+  hi: { name: 'हिन्दी', englishName: 'Hindi', dateLocale: 'hi-IN' }
+};
+
+export const DEFAULT_LOCALE = { language: 'en', units: 'metric', timeFormat: '24h' };
+
+/**
+ * Complete a (possibly partial) locale with the defaults
+ */
+export function resolveLocale(locale) {
+  const resolved = { ...DEFAULT_LOCALE, ...locale };
+  return LANGUAGES[resolved.language] ? resolved : { ...resolved, language: DEFAULT_LOCALE.language };
+}
+
+/**
+ * Message for a key in the given language, falling back to English;
+ * {name} placeholders are replaced with params.name
+ */
+export function translate(language, key, params = {}) {
+  const template = (MESSAGES[language] && MESSAGES[language][key]) ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * translate() bound to a locale's language: t(key, params)
+ */
+export function createTranslator(locale) {
+  const { language } = resolveLocale(locale);
+  return (key, params) => translate(language, key, params);
+}
+
+/**
+ * "A", "A and B", "A, B and C" in the locale's language (conjunction 'and' or 'or')
+ */
+export function joinList(items, t, conjunction = 'and') {
+  if (items.length < 2) return items.join('');
+  return `${items.slice(0, -1).join(', ')}${t(`list.${conjunction}`)}${items[items.length - 1]}`;
+}
@@ -0,0 +1,127 @@
+import { ApiError } from '../utils/http.js';
+import { distanceKm } from '../utils/geo.js';
+import { normalizeLocationKey } from '../utils/geocodeCache.js';
+import { formatDate, addDays, parseDate, daysBetween } from '../utils/dates.js';
+
+// Names the service in error messages (service.fixtures in the i18n messages)
+const SERVICE = 'fixtures';
+
+// Queries further than this from every fixture location have no weather or places
+const FIXTURE_RANGE_KM = 50;
+
+// Small built-in data set so the app runs offline with VITE_*_PROVIDER=fixtures
+const SAMPLE_FIXTURES = {
+  locations: [
+    {
+      name: 'Bangalore',
+      aliases: ['bangalore', 'bengaluru'],
+      displayName: 'Bangalore, Bangalore North, Bangalore Urban, Karnataka, India',
+      country: 'India',
+      state: 'Karnataka',
+      type: 'city',
+      importance: 0.7,
+      lat: 12.9767936,
+      lon: 77.590082,
+      weather: { temperature: 24, precipitationProbability: 20, weatherCode: 2 },
+      places: [
+        { id: 'way/25507127', osmType: 'way', name: 'Lalbagh Botanical Garden', type: 'park', category: 'leisure', lat: 12.9507, lon: 77.5848, openingHours: 'Mo-Su 06:00-19:00', website: null, wikipedia: 'en:Lal Bagh', wikidata: 'Q1431285', wheelchair: null, fee: 'yes' },
+        { id: 'way/30934939', osmType: 'way', name: 'Cubbon Park', type: 'park', category: 'leisure', lat: 12.9763, lon: 77.5929, openingHours: null, website: null, wikipedia: 'en:Cubbon Park', wikidata: 'Q3633376', wheelchair: null, fee: 'no' },
+        { id: 'way/100761390', osmType: 'way', name: 'Bangalore Palace', type: 'palace', category: 'historic', lat: 12.9987, lon: 77.5921, openingHours: 'Mo-Su 10:00-17:30', website: null, wikipedia: 'en:Bangalore Palace', wikidata: 'Q2882221', wheelchair: null, fee: 'yes' },
+        { id: 'node/3263532701', osmType: 'node', name: 'Visvesvaraya Industrial and Technological Museum', type: 'museum', category: 'tourism', lat: 12.9752, lon: 77.5963, openingHours: 'Mo-Su 09:30-18:00', website: 'https://www.vismuseum.gov.in', wikipedia: 'en:Visvesvaraya Industrial and Technological Museum', wikidata: 'Q7936570', wheelchair: 'yes', fee: 'yes' },
+        { id: 'way/252735370', osmType: 'way', name: 'Tipu Sultan\'s Summer Palace', type: 'palace', category: 'historic', lat: 12.9593, lon: 77.5737, openingHours: 'Mo-Su 08:30-17:30', website: null, wikipedia: 'en:Tipu Sultan\'s Summer Palace', wikidata: 'Q3530296', wheelchair: null, fee: 'yes' }
+      ]
+    }
+  ]
+};
+
+let fixtures = SAMPLE_FIXTURES;
+
+/**
+ * Replace the fixture data (same shape as SAMPLE_FIXTURES), e.g. from a test
+ */
+export function setFixtures(data) {
+  fixtures = data || SAMPLE_FIXTURES;
+}
+
+/**
+ * The fixture location closest to the coordinates, within FIXTURE_RANGE_KM
+ */
+function nearestLocation(lat, lon) {
+  const nearest = fixtures.locations
+    .map(location => ({ location, distance: distanceKm(lat, lon, location.lat, location.lon) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  
+  if (!nearest || nearest.distance > FIXTURE_RANGE_KM) {
+    throw new ApiError('not-found', SERVICE);
+  }
+  return nearest.location;
+}
+
+/**
+ * Fixture providers for every capability, answering from local data instead of the network
+ * (offline development, demos and tests)
+ */
+export const fixtureProviders = {
+  geocoding: {
+    name: 'fixtures',
+    
+    async search(query, { limit = 5 } = {}) {
+      const key = normalizeLocationKey(query);
+      return fixtures.locations
+        // Loose matching, like a real geocoder: "bangalore city centre" finds Bangalore
+        .filter(location => [location.name, ...(location.aliases || [])]
+          .some(alias => ` ${key} `.includes(` ${normalizeLocationKey(alias)} `)))
+        .slice(0, limit)
+        .map(({ lat, lon, displayName, name, country, state, type, importance }) => ({
+          lat, lon, displayName, name, country, state, type, importance
+        }));
+    },
+    
+    async reverse(lat, lon) {
+      try {
+        const { displayName, name, country, state, type, importance } = nearestLocation(lat, lon);
+        return { lat, lon, displayName, name, country, state, type, importance };
+      } catch {
+        return null;
+      }
+    }
+  },
+  
+  weather: {
+    name: 'fixtures',
+    
+    async current(lat, lon) {
+      const { weather } = nearestLocation(lat, lon);
+      return { temperature: weather.temperature, precipitationProbability: weather.precipitationProbability };
+    },
+    
+    async forecast(lat, lon, startDate, endDate) {
+      const { weather } = nearestLocation(lat, lon);
+      const days = daysBetween(startDate, endDate) + 1;
+      return Array.from({ length: Math.max(days, 0) }, (_, i) => ({
+        date: formatDate(addDays(parseDate(startDate), i)),
+        temperatureMax: weather.temperature + 4,
+        temperatureMin: weather.temperature - 4,
+        precipitationSum: weather.precipitationProbability >= 50 ? 5 : 0,
+        precipitationProbability: weather.precipitationProbability,
+        windSpeedMax: 10,
+        weatherCode: weather.weatherCode
+      }));
+    }
+  },
+  
+  places: {
+    name: 'fixtures',
+    
+    async search(lat, lon, options = {}) {
+      const location = nearestLocation(lat, lon);
+      const radiusKm = options.radiusKm || FIXTURE_RANGE_KM;
+      const categories = options.categories || [];
+      
+      return location.places
+        .filter(place => categories.length === 0 || categories.includes(place.type))
+        .map(place => ({ ...place, distanceKm: Math.round(distanceKm(lat, lon, place.lat, place.lon) * 10) / 10 }))
+        .filter(place => place.distanceKm <= radiusKm);
+    }
+  }
+};
@@ -0,0 +1,68 @@
+/**
+ * Data Providers
+ * Each capability (geocoding, weather, places) is served by a provider selected in
+ * config.js (VITE_GEOCODING_PROVIDER, VITE_WEATHER_PROVIDER, VITE_PLACES_PROVIDER).
+ * Providers implement:
+ *
+ * geocoding: { name, search(query, { limit }), reverse(lat, lon) }
+ *   -> [{ lat, lon, displayName, name, country, state, type, importance (0-1) }]
+ *   -> the place at the coordinates in the same shape, or null
+ * weather:   { name, current(lat, lon, { signal }), forecast(lat, lon, startDate, endDate, { signal }) }
+ *   -> { temperature, precipitationProbability }
+ *   -> [{ date, temperatureMax, temperatureMin, precipitationSum, precipitationProbability, windSpeedMax, weatherCode }]
+ * places:    { name, search(lat, lon, { categories, radiusKm, signal }) }
+ *   -> [{ id, osmType, name, type, category, lat, lon, distanceKm, openingHours, website, wikipedia, wikidata, wheelchair, fee }]
+ *
+ * Failures should be thrown as ApiError (see utils/http.js) so agents can explain them;
+ * its service is a key of the service.* messages in src/i18n, or else a readable name.
+ */
+import { providers as configuredProviders } from '../config.js';
+import { nominatimProvider } from './nominatim.js';
+import { photonProvider } from './photon.js';
+import { openMeteoProvider } from './openMeteo.js';
+import { overpassProvider } from './overpass.js';
+import { fixtureProviders } from './fixtures.js';
+
+const CAPABILITIES = ['geocoding', 'weather', 'places'];
+
+const available = { geocoding: {}, weather: {}, places: {} };
+const selected = { ...configuredProviders };
+
+/**
+ * Make a provider available for a capability (selected by its name)
+ */
+export function registerProvider(capability, provider) {
+  if (!CAPABILITIES.includes(capability)) {
+    throw new Error(`Unknown provider capability "${capability}"`);
+  }
+  available[capability][provider.name] = provider;
+}
+
+/**
+ * Switch the provider used for a capability, e.g. selectProvider('places', 'fixtures') in tests
+ */
+export function selectProvider(capability, name) {
+  if (!available[capability] || !available[capability][name]) {
+    throw new Error(`No ${capability} provider called "${name}"`);
+  }
+  selected[capability] = name;
+}
+
+/**
+ * The provider currently serving a capability
+ */
+export function getProvider(capability) {
+  const provider = available[capability] && available[capability][selected[capability]];
+  if (!provider) {
+    throw new Error(`No ${capability} provider called "${selected[capability]}" is registered`);
+  }
+  return provider;
+}
+
+registerProvider('geocoding', nominatimProvider);
+registerProvider('geocoding', photonProvider);
+registerProvider('weather', openMeteoProvider);
+registerProvider('places', overpassProvider);
+for (const capability of CAPABILITIES) {
+  registerProvider(capability, fixtureProviders[capability]);
+}
@@ -0,0 +1,90 @@
+import { requestWithRetry } from '../utils/http.js';
+import { createRateLimiter } from '../utils/rateLimiter.js';
+import { getHttpMode } from '../utils/httpRecorder.js';
+import { endpoints, userAgent } from '../config.js';
+
+// Names the service in error messages (service.nominatim in the i18n messages)
+const SERVICE = 'nominatim';
+
+// Nominatim's usage policy allows at most 1 request per second across the whole app,
+// retries included, so every request (but not replayed ones) waits its turn
+const limiter = createRateLimiter(1000);
+
+/**
+ * Request options for requestWithRetry
+ */
+function retryOptions() {
+  // Replayed lookups don't reach Nominatim, so they needn't wait their turn
+  return { limiter: getHttpMode() === 'replay' ? null : limiter };
+}
+
+/**
+ * Nominatim geocoding provider (default)
+ * Point VITE_NOMINATIM_URLS at a self-hosted instance to avoid the public rate limit.
+ */
+export const nominatimProvider = {
+  name: 'nominatim',
+  
+  async search(query, { limit = 5 } = {}) {
+    const response = await requestWithRetry(
+      SERVICE,
+      endpoints.nominatim.map(base => `${base}/search?q=${encodeURIComponent(query)}&format=json&addressdetails=1&limit=${limit}`),
+      {
+        headers: {
+          'User-Agent': userAgent
+        }
+      },
+      retryOptions()
+    );
+    
+    const data = await response.json();
+    
+    if (!data || data.length === 0) {
+      return [];
+    }
+    
+    return data.map(item => ({
+      lat: parseFloat(item.lat),
+      lon: parseFloat(item.lon),
+      displayName: item.display_name,
+      name: item.name || item.display_name.split(',')[0],
+      country: item.address?.country || '',
+      state: item.address?.state || item.address?.county || '',
+      type: item.type || '',
+      importance: item.importance || 0
+    }));
+  },
+  
+  async reverse(lat, lon) {
+    // zoom=10 names the city or town rather than the street
+    const response = await requestWithRetry(
+      SERVICE,
+      endpoints.nominatim.map(base => `${base}/reverse?lat=${lat}&lon=${lon}&format=json&addressdetails=1&zoom=10`),
+      {
+        headers: {
+          'User-Agent': userAgent
+        }
+      },
+      retryOptions()
+    );
+    
+    const item = await response.json();
+    
+    // Nominatim answers { error: 'Unable to geocode' } for the open sea and the like
+    if (!item || item.error || !item.display_name) {
+      return null;
+    }
+    
+    const address = item.address || {};
+    return {
+      lat: parseFloat(item.lat),
+      lon: parseFloat(item.lon),
+      displayName: item.display_name,
+      name: item.name || address.city || address.town || address.village || item.display_name.split(',')[0],
+      country: address.country || '',
+      state: address.state || address.county || '',
+      type: item.type || '',
+      importance: item.importance || 0
+    };
+  }
+};
@@ -0,0 +1,64 @@
+import { requestWithRetry } from '../utils/http.js';
+import { endpoints } from '../config.js';
+
+// Names the service in error messages (service.open-meteo in the i18n messages)
+const SERVICE = 'open-meteo';
+
+const DAILY_VARIABLES = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_sum',
+  'precipitation_probability_max',
+  'wind_speed_10m_max'
+].join(',');
+
+/**
+ * Open-Meteo weather provider (default)
+ */
+export const openMeteoProvider = {
+  name: 'open-meteo',
+  
+  async current(lat, lon, { signal } = {}) {
+    const response = await requestWithRetry(
+      SERVICE,
+      endpoints.openMeteo.map(base => `${base}/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,precipitation_probability&timezone=auto`),
+      { signal }
+    );
+    
+    const data = await response.json();
+    
+    if (!data.current) {
+      throw new Error('Invalid weather data received');
+    }
+    
+    return {
+      temperature: Math.round(data.current.temperature_2m),
+      precipitationProbability: Math.round(data.current.precipitation_probability)
+    };
+  },
+  
+  async forecast(lat, lon, startDate, endDate, { signal } = {}) {
+    const response = await requestWithRetry(
+      SERVICE,
+      endpoints.openMeteo.map(base => `${base}/v1/forecast?latitude=${lat}&longitude=${lon}&daily=${DAILY_VARIABLES}&timezone=auto&start_date=${startDate}&end_date=${endDate}`),
+      { signal }
+    );
+    
+    const data = await response.json();
+    
+    if (!data.daily || !Array.isArray(data.daily.time)) {
+      throw new Error('Invalid forecast data received');
+    }
+    
+    return data.daily.time.map((date, i) => ({
+      date,
+      temperatureMax: Math.round(data.daily.temperature_2m_max[i]),
+      temperatureMin: Math.round(data.daily.temperature_2m_min[i]),
+      precipitationSum: Math.round(data.daily.precipitation_sum[i] * 10) / 10,
+      precipitationProbability: Math.round(data.daily.precipitation_probability_max[i] ?? 0),
+      windSpeedMax: Math.round(data.daily.wind_speed_10m_max[i]),
+      weatherCode: data.daily.weather_code[i]
+    }));
+  }
+};
@@ -0,0 +1,126 @@
+import { requestWithRetry, ApiError } from '../utils/http.js';
+import { distanceKm } from '../utils/geo.js';
+import { PLACE_CATEGORIES, DEFAULT_PLACE_FILTERS, DEFAULT_RADIUS_KM } from '../utils/placeFilters.js';
+import { endpoints } from '../config.js';
+
+// Names the service in error messages (service.overpass in the i18n messages)
+const SERVICE = 'overpass';
+
+// Same-named places closer than this are one attraction mapped twice (e.g. a node inside its own area)
+const DUPLICATE_PLACE_KM = 0.5;
+
+/**
+ * Merge places that are the same attraction mapped more than once, e.g. a
+ * palace drawn as an area (way/relation) that also has a node inside it.
+ * Keeps the best-tagged record and fills its gaps from the duplicates.
+ */
+function dedupePlaces(places) {
+  const unique = [];
+  
+  for (const place of places) {
+    const key = place.name.toLowerCase().trim();
+    const existing = unique.find(other =>
+      (place.wikidata && other.wikidata === place.wikidata) ||
+      (other.name.toLowerCase().trim() === key &&
+        distanceKm(other.lat, other.lon, place.lat, place.lon) < DUPLICATE_PLACE_KM)
+    );
+    
+    if (!existing) {
+      unique.push(place);
+      continue;
+    }
+    
+    // Areas usually carry the richer tagging and a more representative position
+    const [primary, secondary] = place.osmType !== 'node' && existing.osmType === 'node'
+      ? [place, existing]
+      : [existing, place];
+    const merged = { ...primary };
+    for (const [field, value] of Object.entries(secondary)) {
+      if (merged[field] === null || merged[field] === undefined) {
+        merged[field] = value;
+      }
+    }
+    unique[unique.indexOf(existing)] = merged;
+  }
+  
+  return unique;
+}
+
+/**
+ * Overpass places provider (default)
+ * Queries OpenStreetMap for tourist attractions around the given coordinates.
+ * Nodes, ways and relations are all searched (large attractions such as
+ * palaces, forts and parks are usually mapped as areas); areas are placed at
+ * their centre point and duplicates of the same attraction are merged.
+ */
+export const overpassProvider = {
+  name: 'overpass',
+  
+  async search(lat, lon, options = {}) {
+    const radius = Math.round((options.radiusKm || DEFAULT_RADIUS_KM) * 1000);
+    const categories = (options.categories || []).filter(category => PLACE_CATEGORIES[category]);
+    const filters = categories.length > 0
+      ? categories.flatMap(category => PLACE_CATEGORIES[category].filters)
+      : DEFAULT_PLACE_FILTERS;
+    
+    const query = `
+      [out:json][timeout:25];
+      (
+        ${filters.map(filter => `nwr${filter}(around:${radius},${lat},${lon});`).join('\n        ')}
+      );
+      out center tags;
+    `;
+    
+    const response = await requestWithRetry(SERVICE, endpoints.overpass, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: `data=${encodeURIComponent(query)}`,
+      signal: options.signal
+    });
+    
+    const data = await response.json();
+    
+    // Overpass reports queries that ran out of time or memory with a 200 and a remark
+    if (data.remark && /runtime error/i.test(data.remark)) {
+      throw new ApiError(/timed out/i.test(data.remark) ? 'timeout' : 'upstream-down', SERVICE);
+    }
+    
+    if (!data.elements || data.elements.length === 0) {
+      return [];
+    }
+    
+    // Extract and filter places (ways and relations only have a "center" point)
+    const places = data.elements
+      .filter(element => element.tags && element.tags.name)
+      .map(element => ({
+        element,
+        lat: element.lat ?? element.center?.lat,
+        lon: element.lon ?? element.center?.lon
+      }))
+      .filter(({ lat: placeLat, lon: placeLon }) => placeLat !== undefined && placeLon !== undefined)
+      .map(({ element, lat: placeLat, lon: placeLon }) => {
+        const tags = element.tags;
+        return {
+          id: `${element.type}/${element.id}`,
+          osmType: element.type,
+          name: tags.name,
+          type: tags.tourism || tags.historic || tags.leisure || tags.natural || tags.waterway ||
+            (tags.amenity === 'place_of_worship' ? tags.building || 'place_of_worship' : 'attraction'),
+          category: ['tourism', 'historic', 'leisure', 'natural', 'waterway', 'amenity'].find(key => tags[key]) || 'tourism',
+          lat: placeLat,
+          lon: placeLon,
+          distanceKm: Math.round(distanceKm(lat, lon, placeLat, placeLon) * 10) / 10,
+          openingHours: tags.opening_hours || null,
+          website: tags.website || tags['contact:website'] || null,
+          wikipedia: tags.wikipedia || null,
+          wikidata: tags.wikidata || null,
+          wheelchair: tags.wheelchair || null,
+          fee: tags.fee || null
+        };
+      });
+    
+    return dedupePlaces(places);
+  }
+};
@@ -0,0 +1,59 @@
+import { requestWithRetry } from '../utils/http.js';
+import { endpoints } from '../config.js';
+
+// Names the service in error messages (service.photon in the i18n messages)
+const SERVICE = 'photon';
+
+/**
+ * Photon geocoding provider (https://github.com/komoot/photon), usually self-hosted
+ * Select it with VITE_GEOCODING_PROVIDER=photon and VITE_PHOTON_URLS.
+ */
+export const photonProvider = {
+  name: 'photon',
+  
+  async search(query, { limit = 5 } = {}) {
+    const response = await requestWithRetry(
+      SERVICE,
+      endpoints.photon.map(base => `${base}/api?q=${encodeURIComponent(query)}&limit=${limit}`)
+    );
+    
+    const data = await response.json();
+    
+    return (data.features || []).map(toPlace);
+  },
+  
+  async reverse(lat, lon) {
+    const response = await requestWithRetry(
+      SERVICE,
+      endpoints.photon.map(base => `${base}/reverse?lat=${lat}&lon=${lon}&limit=1`)
+    );
+    
+    const data = await response.json();
+    
+    return data.features && data.features.length > 0 ? toPlace(data.features[0], 0) : null;
+  }
+};
+
+/**
+ * A Photon GeoJSON feature as a geocoding result
+ */
+function toPlace(feature, index) {
+  const properties = feature.properties || {};
+  const [lon, lat] = feature.geometry.coordinates;
+  const displayName = [properties.name, properties.city, properties.state, properties.country]
+    .filter((part, i, parts) => part && parts.indexOf(part) === i)
+    .join(', ');
+  
+  return {
+    lat,
+    lon,
+    displayName,
+    name: properties.name || displayName.split(',')[0],
+    country: properties.country || '',
+    state: properties.state || properties.county || '',
+    type: properties.osm_value || properties.type || '',
+    // Photon doesn't score results; derive an importance from its ranking that keeps
+    // the top result a clear winner, so ranking alone never asks "Did you mean…"
+    importance: 0.6 * 0.7 ** index
+  };
+}
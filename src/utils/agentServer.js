@@ -0,0 +1,74 @@
+import { agentServer } from '../config.js';
+import { createTranslator } from '../i18n/index.js';
+
+/**
+ * Client for the agent server (server/index.js)
+ * askAgentServer takes the same options as parentAgent, minus the API key (which
+ * stays on the server), and resolves with the same response. Progress events and
+ * partial results are streamed back as the agents work.
+ */
+
+/**
+ * Whether the server answers, and whether it has a Claude API key: { ok, claude }
+ */
+export async function fetchServerStatus() {
+  try {
+    const response = await fetch(`${agentServer.url}/api/health`);
+    return response.ok ? await response.json() : { ok: false, claude: false };
+  } catch {
+    return { ok: false, claude: false };
+  }
+}
+
+/**
+ * Ask the agent server a question
+ * options: { location, session, locale, position, onProgress, onPartialResult, signal }
+ */
+export async function askAgentServer(userInput, options = {}) {
+  const { location = null, session = null, locale = null, position = null, onProgress, onPartialResult, signal } = options;
+  const t = createTranslator(locale);
+  
+  let response;
+  try {
+    response = await fetch(`${agentServer.url}/api/query`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson' },
+      body: JSON.stringify({ query: userInput, location, session, locale, position }),
+      signal
+    });
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    return { success: false, error: t('error.serverUnreachable') };
+  }
+  
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    return { success: false, error: body.error || t('error.serverUnreachable') };
+  }
+  
+  // One JSON object per line; the last one is the result
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let result = null;
+  
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const message = JSON.parse(line);
+    if (message.type === 'progress' && onProgress) onProgress(message.event);
+    else if (message.type === 'partial' && onPartialResult) onPartialResult(message.response);
+    else if (message.type === 'result') result = message.response;
+  };
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value, { stream: !done });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+    if (done) break;
+  }
+  handleLine(buffered);
+  
+  return result || { success: false, error: t('error.serverStopped') };
+}
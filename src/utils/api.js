@@ -1,7 +1,37 @@
+import { getCachedGeocode, setCachedGeocode, normalizeLocationKey } from './geocodeCache.js';
+import { ApiError } from './http.js';
+import { httpFetch, MissingFixtureError } from './httpRecorder.js';
+import { getProvider } from '../providers/index.js';
+
+export { ApiError, apiErrorMessage, requestWithRetry } from './http.js';
+
+// Lookups currently in flight, keyed by normalized query, so concurrent callers share one request
+const pendingGeocodes = new Map();
+
+// Inputs shorter than this ("xyr") are matched strictly and need a more important result
+export const SHORT_INPUT_LENGTH = 4;
+
+// Minimum name similarity (0-1) between the input and a candidate, for short and other inputs
+export const SHORT_INPUT_MIN_SIMILARITY = 0.8;
+export const MIN_SIMILARITY = 0.65;
+
+// Minimum Nominatim importance (0-1) of an accepted candidate, for short and other inputs
+export const SHORT_INPUT_MIN_IMPORTANCE = 0.4;
+export const MIN_IMPORTANCE = 0.2;
+
+
+/**
+ * The error an API wrapper rethrows: ApiErrors and replays without a recording
+ * (MissingFixtureError) as they are, anything else as a plain error with the given message
+ */
+function apiFailure(error, message) {
+  return error instanceof ApiError || error instanceof MissingFixtureError ? error : new Error(message);
+}
+
 /**
  * Check if geocoding result is valid and matches the input location
  */
-function isValidLocationMatch(inputLocation, geocodingResult) {
+export function isValidLocationMatch(inputLocation, geocodingResult) {
   if (!geocodingResult || !geocodingResult.displayName) {
     return false;
   }
@@ -13,10 +43,10 @@ function isValidLocationMatch(inputLocation, geocodingResult) {
   const mainLocation = displayNameLower.split(',')[0].trim();
   
   // Check if input is very short (less than 4 characters) - require stricter matching
-  if (inputLower.length < 4) {
+  if (inputLower.length < SHORT_INPUT_LENGTH) {
     // For very short inputs, require high similarity (at least 80%)
     const similarity = calculateSimilarity(inputLower, mainLocation);
-    if (similarity < 0.8) {
+    if (similarity < SHORT_INPUT_MIN_SIMILARITY) {
       return false;
     }
     // Also check if it's an exact substring match
@@ -33,8 +63,8 @@ function isValidLocationMatch(inputLocation, geocodingResult) {
   
   // For inputs 4+ characters, require either containment or high similarity (at least 65%)
   // For shorter inputs, we already handled above
-  if (inputLower.length >= 4) {
-    return containsMatch || similarity >= 0.65;
+  if (inputLower.length >= SHORT_INPUT_LENGTH) {
+    return containsMatch || similarity >= MIN_SIMILARITY;
   }
   
   // For very short inputs, we already validated above
@@ -44,7 +74,7 @@ function isValidLocationMatch(inputLocation, geocodingResult) {
 /**
  * Calculate similarity between two strings (simple Levenshtein-based)
  */
-function calculateSimilarity(str1, str2) {
+export function calculateSimilarity(str1, str2) {
   const longer = str1.length > str2.length ? str1 : str2;
   const shorter = str1.length > str2.length ? str2 : str1;
   
@@ -57,7 +87,7 @@ function calculateSimilarity(str1, str2) {
 /**
  * Calculate Levenshtein distance between two strings
  */
-function levenshteinDistance(str1, str2) {
+export function levenshteinDistance(str1, str2) {
   const matrix = [];
   
   for (let i = 0; i <= str2.length; i++) {
@@ -86,217 +116,212 @@ function levenshteinDistance(str1, str2) {
 }
 
 /**
- * Nominatim Geocoding API
- * Geocodes location names to coordinates with validation
+ * Maximum number of Nominatim candidates considered for one query
+ */
+const GEOCODE_CANDIDATE_LIMIT = 5;
+
+/**
+ * Geocoding (Nominatim by default, see src/providers)
+ * Geocodes location names to coordinates with validation.
+ * Returns the best matching candidate, or null if nothing plausible was found.
  */
 export async function geocodeLocation(location) {
+  const candidates = await geocodeCandidates(location);
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+/**
+ * Geocoding (multiple candidates)
+ * Returns every plausible match for a location name, most important first, each with
+ * { lat, lon, displayName, name, country, state, type, importance }.
+ * Results (including "not found") are cached, and providers rate limit their own requests.
+ */
+export async function geocodeCandidates(location) {
+  const cached = getCachedGeocode(location);
+  if (Array.isArray(cached)) {
+    return cached;
+  }
+  
+  const key = normalizeLocationKey(location);
+  if (pendingGeocodes.has(key)) {
+    return pendingGeocodes.get(key);
+  }
+  
+  const request = requestGeocode(location)
+    .then(candidates => {
+      setCachedGeocode(location, candidates);
+      return candidates;
+    })
+    .finally(() => pendingGeocodes.delete(key));
+  
+  pendingGeocodes.set(key, request);
+  return request;
+}
+
+// Reverse lookups closer together than this (~100 m) share a cache entry
+const REVERSE_PRECISION = 3;
+
+/**
+ * Reverse geocoding: the place at some coordinates (e.g. the user's position)
+ * Returns { lat, lon, displayName, name, country, state, type, importance } with the
+ * coordinates asked about (not the centre of the named place), or null if the
+ * geocoder knows nothing there. Results are cached like geocodeCandidates.
+ */
+export async function reverseGeocode(lat, lon) {
+  const key = `@${Number(lat).toFixed(REVERSE_PRECISION)},${Number(lon).toFixed(REVERSE_PRECISION)}`;
+  const cached = getCachedGeocode(key);
+  if (cached !== undefined && !Array.isArray(cached)) {
+    return cached && { ...cached, lat, lon };
+  }
+  
   try {
-    const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(location)}&format=json&limit=1`,
-      {
-        headers: {
-          'User-Agent': 'TourismApp/1.0'
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error('Geocoding API request failed');
-    }
-    
-    const data = await response.json();
-    
-    if (!data || data.length === 0) {
-      return null;
-    }
-    
-    const result = {
-      lat: parseFloat(data[0].lat),
-      lon: parseFloat(data[0].lon),
-      displayName: data[0].display_name,
-      importance: data[0].importance || 0,
-      type: data[0].type || ''
-    };
-    
-    // Validate that the result actually matches the input location
-    if (!isValidLocationMatch(location, result)) {
-      return null;
-    }
-    
-    // For very low importance scores or short inputs, be more strict (likely false positives)
-    // Importance score ranges from 0 to 1, where 1 is most important
-    if (location.length < 4) {
-      // For short inputs (like "xyr"), require higher importance (at least 0.4)
-      if (result.importance < 0.4) {
-        return null;
-      }
-    } else if (result.importance < 0.2) {
-      // For longer inputs, still reject very low importance results
-      return null;
-    }
+    const place = await getProvider('geocoding').reverse(lat, lon);
+    setCachedGeocode(key, place);
+    return place && { ...place, lat, lon };
+  } catch (error) {
+    console.error('Reverse geocoding error:', error);
+    throw apiFailure(error, 'Failed to find the place at your location');
+  }
+}
+
+/**
+ * Perform a single uncached lookup with the geocoding provider and keep only the candidates that pass validation
+ */
+async function requestGeocode(location) {
+  try {
+    const results = await getProvider('geocoding').search(location, { limit: GEOCODE_CANDIDATE_LIMIT });
     
-    return {
-      lat: result.lat,
-      lon: result.lon,
-      displayName: result.displayName
-    };
+    return results
+      .filter(result => isAcceptableCandidate(location, result))
+      .sort((a, b) => b.importance - a.importance);
   } catch (error) {
     console.error('Geocoding error:', error);
-    throw new Error('Failed to geocode location');
+    throw apiFailure(error, 'Failed to geocode location');
   }
 }
 
 /**
- * Open-Meteo Weather API
- * Fetches current weather data for given coordinates
+ * Check a single geocoding candidate against the input and the importance thresholds
  */
-export async function fetchWeather(lat, lon) {
+export function isAcceptableCandidate(location, result) {
+  // Validate that the result actually matches the input location
+  if (!isValidLocationMatch(location, result)) {
+    return false;
+  }
+  
+  // For very low importance scores or short inputs, be more strict (likely false positives)
+  // Importance score ranges from 0 to 1, where 1 is most important
+  if (location.length < SHORT_INPUT_LENGTH) {
+    // For short inputs (like "xyr"), require higher importance
+    return result.importance >= SHORT_INPUT_MIN_IMPORTANCE;
+  }
+  
+  // For longer inputs, still reject very low importance results
+  return result.importance >= MIN_IMPORTANCE;
+}
+
+
+/**
+ * Current weather for given coordinates, from the configured weather provider (Open-Meteo by default)
+ * options.signal (AbortSignal) cancels the request.
+ */
+export async function fetchWeather(lat, lon, options = {}) {
   try {
-    const response = await fetch(
-      `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,precipitation_probability&timezone=auto`
-    );
-    
-    if (!response.ok) {
-      throw new Error('Weather API request failed');
-    }
-    
-    const data = await response.json();
-    
-    if (!data.current) {
-      throw new Error('Invalid weather data received');
-    }
-    
-    return {
-      temperature: Math.round(data.current.temperature_2m),
-      precipitationProbability: Math.round(data.current.precipitation_probability)
-    };
+    return await getProvider('weather').current(lat, lon, { signal: options.signal });
   } catch (error) {
     console.error('Weather API error:', error);
-    throw new Error('Failed to fetch weather data');
+    throw apiFailure(error, 'Failed to fetch weather data');
   }
 }
 
+// Open-Meteo serves forecasts up to 16 days ahead (today included)
+export const MAX_FORECAST_DAYS = 16;
+
 /**
- * Overpass API for Tourism Places
- * Queries OpenStreetMap for tourist attractions
+ * Per-day forecast for given coordinates between two YYYY-MM-DD dates (inclusive),
+ * from the configured weather provider. options.signal (AbortSignal) cancels the request.
  */
-export async function fetchTouristPlaces(lat, lon) {
+export async function fetchForecast(lat, lon, startDate, endDate, options = {}) {
   try {
-    const query = `
-      [out:json];
-      (
-        node["tourism"](around:10000,${lat},${lon});
-        node["historic"](around:10000,${lat},${lon});
-        node["leisure"="park"](around:10000,${lat},${lon});
-      );
-      out body;
-    `;
-    
-    const response = await fetch('https://overpass-api.de/api/interpreter', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-      },
-      body: `data=${encodeURIComponent(query)}`
-    });
-    
-    if (!response.ok) {
-      throw new Error('Overpass API request failed');
-    }
-    
-    const data = await response.json();
-    
-    if (!data.elements || data.elements.length === 0) {
-      return [];
-    }
-    
-    // Extract and filter places
-    const places = data.elements
-      .filter(element => element.tags && element.tags.name)
-      .map(element => ({
-        name: element.tags.name,
-        type: element.tags.tourism || element.tags.historic || element.tags.leisure || 'attraction'
-      }))
-      .slice(0, 5);
-    
-    return places;
+    return await getProvider('weather').forecast(lat, lon, startDate, endDate, { signal: options.signal });
   } catch (error) {
-    console.error('Overpass API error:', error);
-    throw new Error('Failed to fetch tourist places');
+    console.error('Forecast API error:', error);
+    throw apiFailure(error, 'Failed to fetch forecast data');
   }
 }
 
 /**
- * Claude API for Natural Language Processing
- * Analyzes user input and determines intent
+ * Tourist attractions around the given coordinates, from the configured places
+ * provider (Overpass by default).
+ * options.categories (keys of PLACE_CATEGORIES) narrows the search and
+ * options.radiusKm sets the search radius (default 10 km) and options.signal
+ * (AbortSignal) cancels the request.
+ * Returns every named place (unranked) with its position, distance from the
+ * centre in km and the OSM tags that are useful to visitors.
  */
-export async function analyzeWithClaude(userInput, apiKey) {
+export async function fetchTouristPlaces(lat, lon, options = {}) {
   try {
-    // Try the specified model first, fallback to common models
-    const models = ['claude-sonnet-4-20250514', 'claude-3-5-sonnet-20241022', 'claude-3-opus-20240229'];
-    let lastError = null;
-    
-    for (const model of models) {
-      try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: model,
-            max_tokens: 1000,
-            messages: [
-              {
-                role: 'user',
-                content: `Analyze this tourism query and respond with JSON only: "${userInput}"
-                
-                Determine:
-                1. Does the user want weather information? (true/false)
-                2. Does the user want places/attractions information? (true/false)
-                3. What is the location name? (extract the city/location name)
-                
-                Respond ONLY with valid JSON in this exact format:
-                {
-                  "needsWeather": true/false,
-                  "needsPlaces": true/false,
-                  "location": "location name"
-                }`
-              }
-            ]
-          })
-        });
-        
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          lastError = new Error(errorData.error?.message || 'Claude API request failed');
-          continue; // Try next model
-        }
-        
-        const data = await response.json();
-        const content = data.content[0].text;
-        
-        // Extract JSON from response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          lastError = new Error('Invalid response format from Claude');
-          continue;
-        }
-        
-        const analysis = JSON.parse(jsonMatch[0]);
-        return analysis;
-      } catch (err) {
-        lastError = err;
-        continue;
-      }
-    }
-    
-    throw lastError || new Error('All Claude API models failed');
+    return await getProvider('places').search(lat, lon, {
+      categories: options.categories,
+      radiusKm: options.radiusKm,
+      signal: options.signal
+    });
   } catch (error) {
-    console.error('Claude API error:', error);
-    throw new Error('Failed to analyze query with Claude API');
+    console.error('Places API error:', error);
+    throw apiFailure(error, 'Failed to fetch tourist places');
   }
 }
 
+
+// Claude models to try, newest first
+const CLAUDE_MODELS = ['claude-sonnet-4-20250514', 'claude-3-5-sonnet-20241022', 'claude-3-opus-20240229'];
+
+// The model that answered last, tried first next time
+let workingModel = null;
+
+/**
+ * Claude Messages API
+ * Sends one request with the given system prompt, conversation and tool definitions,
+ * trying each model in turn until one answers. Returns the response body
+ * ({ content, stop_reason, ... }); content may include tool_use blocks to execute.
+ */
+export async function createClaudeMessage(apiKey, { system, messages, tools = [], maxTokens = 1024 }) {
+  const models = workingModel ? [workingModel, ...CLAUDE_MODELS.filter(model => model !== workingModel)] : CLAUDE_MODELS;
+  let lastError = null;
+  
+  for (const model of models) {
+    try {
+      const response = await httpFetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          system,
+          messages,
+          tools
+        })
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        lastError = new Error(errorData.error?.message || 'Claude API request failed');
+        continue; // Try next model
+      }
+      
+      workingModel = model;
+      return await response.json();
+    } catch (err) {
+      if (err instanceof MissingFixtureError) throw err;
+      lastError = err;
+      continue;
+    }
+  }
+  
+  console.error('Claude API error:', lastError);
+  throw new Error('Failed to get an answer from the Claude API');
+}
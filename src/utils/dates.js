@@ -0,0 +1,212 @@
+import { translate } from '../i18n/index.js';
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY_PATTERN = '(\\d{1,2})(?:st|nd|rd|th)?';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to|until|till)\\s*';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Format a Date as a local YYYY-MM-DD string (the format Open-Meteo expects)
+ */
+export function formatDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD string into a local Date at midnight
+ */
+export function parseDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Return a new Date offset by the given number of days
+ */
+export function addDays(date, days) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Number of whole days from `from` to `to` (both YYYY-MM-DD strings or Dates)
+ */
+export function daysBetween(from, to) {
+  const start = typeof from === 'string' ? parseDate(from) : addDays(from, 0);
+  const end = typeof to === 'string' ? parseDate(to) : addDays(to, 0);
+  return Math.round((end - start) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Short human-readable label for a YYYY-MM-DD date, e.g. "Sat, Oct 24"
+ * (dateLocale is a BCP 47 tag such as 'es-ES', see LANGUAGES in i18n)
+ */
+export function formatDayLabel(dateString, dateLocale = 'en-US') {
+  return parseDate(dateString).toLocaleDateString(dateLocale, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Build a Date from a day and month name, rolling over to next year if it already passed
+ */
+function buildAbsoluteDate(day, monthName, today) {
+  const month = MONTHS.indexOf(monthName.toLowerCase().slice(0, 3));
+  const date = new Date(today.getFullYear(), month, Number(day));
+  if (date.getMonth() !== month) return null; // e.g. 31 February
+  if (daysBetween(today, date) < 0) {
+    date.setFullYear(date.getFullYear() + 1);
+  }
+  return date;
+}
+
+/**
+ * A date range for extractDateRange. Relative ranges ("tomorrow", "next 5 days") carry
+ * the message key of their label so formatRangeLabel can give it in any language;
+ * label is the English label, or the phrase itself for absolute dates.
+ */
+function buildRange(start, end, phrase, labelKey = null, labelParams = {}) {
+  if (!start || !end) return null;
+  if (end < start) [start, end] = [end, start];
+  return {
+    start: formatDate(start),
+    end: formatDate(end),
+    label: labelKey ? translate('en', labelKey, labelParams) : phrase.trim(),
+    phrase,
+    ...(labelKey && { labelKey, labelParams })
+  };
+}
+
+/**
+ * Label for a date range in the language of t (see createTranslator): "tomorrow",
+ * "next 5 days", or the dates themselves in dateLocale ("Sat, Oct 24 – Sun, Oct 25")
+ */
+export function formatRangeLabel(range, t, dateLocale = 'en-US') {
+  if (range.labelKey) {
+    return t(range.labelKey, range.labelParams);
+  }
+  const start = formatDayLabel(range.start, dateLocale);
+  const end = range.end || range.start;
+  return end === range.start ? start : t('date.range', { start, end: formatDayLabel(end, dateLocale) });
+}
+
+/**
+ * Extract a date range from a user query
+ * Understands relative phrases ("tomorrow", "this weekend", "next Saturday", "next 5 days")
+ * and absolute dates ("12 March", "March 12-15", "12–15 March", "2025-03-12").
+ * Returns { start, end, label, phrase } with YYYY-MM-DD dates (plus labelKey and labelParams
+ * for relative ranges, see buildRange), or null if no date is mentioned.
+ */
+export function extractDateRange(userInput, today = new Date()) {
+  const input = userInput.toLowerCase();
+  let match;
+  
+  // ISO dates: "2025-03-12" or "2025-03-12 to 2025-03-15"
+  match = input.match(new RegExp(`(\\d{4}-\\d{2}-\\d{2})(?:${RANGE_SEPARATOR}(\\d{4}-\\d{2}-\\d{2}))?`));
+  if (match) {
+    return buildRange(parseDate(match[1]), parseDate(match[2] || match[1]), match[0]);
+  }
+  
+  // "12 March to 3 April" / "March 12 to April 3"
+  match = input.match(new RegExp(`\\b${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b${RANGE_SEPARATOR}${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`));
+  if (match) {
+    return buildRange(buildAbsoluteDate(match[1], match[2], today), buildAbsoluteDate(match[3], match[4], today), match[0]);
+  }
+  match = input.match(new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}${RANGE_SEPARATOR}${MONTH_PATTERN}\\s+${DAY_PATTERN}\\b`));
+  if (match) {
+    return buildRange(buildAbsoluteDate(match[2], match[1], today), buildAbsoluteDate(match[4], match[3], today), match[0]);
+  }
+  
+  // "12–15 March"
+  match = input.match(new RegExp(`\\b${DAY_PATTERN}${RANGE_SEPARATOR}${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`));
+  if (match) {
+    return buildRange(buildAbsoluteDate(match[1], match[3], today), buildAbsoluteDate(match[2], match[3], today), match[0]);
+  }
+  
+  // "March 12–15"
+  match = input.match(new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}${RANGE_SEPARATOR}${DAY_PATTERN}\\b`));
+  if (match) {
+    return buildRange(buildAbsoluteDate(match[2], match[1], today), buildAbsoluteDate(match[3], match[1], today), match[0]);
+  }
+  
+  // Single absolute date: "12 March" / "March 12"
+  match = input.match(new RegExp(`\\b${DAY_PATTERN}\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`));
+  if (match) {
+    const date = buildAbsoluteDate(match[1], match[2], today);
+    return buildRange(date, date, match[0]);
+  }
+  match = input.match(new RegExp(`\\b${MONTH_PATTERN}\\s+${DAY_PATTERN}\\b`));
+  if (match) {
+    const date = buildAbsoluteDate(match[2], match[1], today);
+    return buildRange(date, date, match[0]);
+  }
+  
+  // "next 5 days" / "5-day forecast" / "for 3 days" / "a 3 days trip"
+  match = input.match(/\b(?:next|coming|for)\s+(\d{1,2})\s+days\b|\b(\d{1,2})[-\s]days?\b/);
+  if (match) {
+    const days = Math.max(1, Number(match[1] || match[2]));
+    return days === 1
+      ? buildRange(today, today, match[0], 'date.today')
+      : buildRange(today, addDays(today, days - 1), match[0], 'date.nextDays', { days });
+  }
+  
+  // "day after tomorrow" must be checked before "tomorrow"
+  match = input.match(/\bday after tomorrow\b/);
+  if (match) {
+    const date = addDays(today, 2);
+    return buildRange(date, date, match[0], 'date.dayAfterTomorrow');
+  }
+  
+  match = input.match(/\btomorrow\b/);
+  if (match) {
+    const date = addDays(today, 1);
+    return buildRange(date, date, match[0], 'date.tomorrow');
+  }
+  
+  match = input.match(/\b(?:today|tonight)\b/);
+  if (match) {
+    return buildRange(today, today, match[0], 'date.today');
+  }
+  
+  // "this weekend" / "next weekend" / "weekend"
+  match = input.match(/\b(?:(this|next|coming)\s+)?weekend\b/);
+  if (match) {
+    const dayOfWeek = today.getDay();
+    // Sunday counts as part of the current weekend
+    let saturday = dayOfWeek === 0 ? addDays(today, -1) : addDays(today, 6 - dayOfWeek);
+    if (match[1] === 'next') saturday = addDays(saturday, 7);
+    const start = daysBetween(today, saturday) < 0 ? today : saturday;
+    return buildRange(start, addDays(saturday, 1), match[0], match[1] === 'next' ? 'date.nextWeekend' : 'date.thisWeekend');
+  }
+  
+  // "this week" / "next week"
+  match = input.match(/\b(this|next|coming)\s+week\b/);
+  if (match) {
+    if (match[1] === 'this') {
+      const sunday = addDays(today, (7 - today.getDay()) % 7);
+      return buildRange(today, sunday, match[0], 'date.thisWeek');
+    }
+    const monday = addDays(today, ((8 - today.getDay()) % 7) || 7);
+    return buildRange(monday, addDays(monday, 6), match[0], 'date.nextWeek');
+  }
+  
+  // Weekday names: "on Saturday", "next Friday", "this Monday"
+  match = input.match(/\b(?:(?:this|next|coming|on)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (match) {
+    const target = WEEKDAYS.indexOf(match[1]);
+    let offset = (target - today.getDay() + 7) % 7;
+    if (offset === 0 && /\bnext\b/.test(match[0])) offset = 7;
+    const date = addDays(today, offset);
+    return buildRange(date, date, match[0]);
+  }
+  
+  return null;
+}
@@ -0,0 +1,67 @@
+import { DEFAULT_LOCALE, LANGUAGES } from '../i18n/index.js';
+
+/**
+ * Shareable links that answer a query when opened
+ *   ?q=<query>&loc=<place>&ll=<lat>,<lon>&lang=<language>&units=<units>&time=<timeFormat>
+ * loc and ll pin the location the query was answered for (a place picked from several
+ * candidates, or the place a follow-up referred to), so the link doesn't depend on the
+ * conversation. The preferences are only written when they differ from the defaults.
+ */
+
+const LOCALE_PARAMS = { lang: 'language', units: 'units', time: 'timeFormat' };
+
+const LOCALE_VALUES = {
+  language: Object.keys(LANGUAGES),
+  units: ['metric', 'imperial'],
+  timeFormat: ['24h', '12h']
+};
+
+/**
+ * Link to a query, relative to baseUrl (e.g. window.location.href)
+ * location: the { displayName, lat, lon } to answer for, if pinned
+ */
+export function buildQueryLink({ query, location = null, locale = null }, baseUrl) {
+  const url = new URL(baseUrl);
+  const params = new URLSearchParams({ q: query });
+  
+  if (location) {
+    params.set('loc', location.displayName);
+    params.set('ll', `${Number(location.lat)},${Number(location.lon)}`);
+  }
+  for (const [param, key] of Object.entries(LOCALE_PARAMS)) {
+    if (locale && locale[key] && locale[key] !== DEFAULT_LOCALE[key]) {
+      params.set(param, locale[key]);
+    }
+  }
+  
+  url.search = params.toString();
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Read a query link: { query, location, locale }, or null when it has no query
+ * Unknown preference values and a loc without valid coordinates are ignored;
+ * locale only holds the preferences the link sets.
+ */
+export function parseQueryLink(search) {
+  const params = new URLSearchParams(search);
+  const query = (params.get('q') || '').trim();
+  if (!query) return null;
+  
+  let location = null;
+  const [lat, lon] = (params.get('ll') || '').split(',').map(Number);
+  if (params.get('loc') && Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+    location = { displayName: params.get('loc'), lat, lon };
+  }
+  
+  const locale = {};
+  for (const [param, key] of Object.entries(LOCALE_PARAMS)) {
+    const value = params.get(param);
+    if (value && LOCALE_VALUES[key].includes(value)) {
+      locale[key] = value;
+    }
+  }
+  
+  return { query, location, locale };
+}
@@ -0,0 +1,23 @@
+/**
+ * Save and load HTTP fixtures as JSON files (Node only: scripts and tests)
+ */
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { loadFixtures, exportFixtures } from './httpRecorder.js';
+
+/**
+ * Load a fixture file for replay
+ */
+export async function loadFixtureFile(path) {
+  const data = JSON.parse(await readFile(path, 'utf8'));
+  loadFixtures(data);
+  return data;
+}
+
+/**
+ * Write everything recorded so far to a fixture file
+ */
+export async function saveFixtureFile(path) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, JSON.stringify(exportFixtures(), null, 2) + '\n');
+}
@@ -0,0 +1,101 @@
+const STORAGE_PREFIX = 'geocode_cache:';
+
+// Successful lookups rarely change; misses expire sooner so newly mapped places are picked up
+export const HIT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const MISS_TTL_MS = 60 * 60 * 1000;
+
+const memoryCache = new Map();
+
+/**
+ * localStorage is only available in the browser (and may be disabled there)
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize a location query so "  New York,  " and "new york" share a cache entry
+ */
+export function normalizeLocationKey(location) {
+  return location
+    .toLowerCase()
+    .replace(/[.,!?;:]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Look up a cached geocoding result
+ * Returns undefined on a cache miss, or the cached value (which may be null for "not found")
+ */
+export function getCachedGeocode(location) {
+  const key = normalizeLocationKey(location);
+  let entry = memoryCache.get(key);
+  
+  if (!entry) {
+    const storage = getStorage();
+    const raw = storage && storage.getItem(STORAGE_PREFIX + key);
+    if (raw) {
+      try {
+        entry = JSON.parse(raw);
+        memoryCache.set(key, entry);
+      } catch {
+        storage.removeItem(STORAGE_PREFIX + key);
+      }
+    }
+  }
+  
+  if (!entry) return undefined;
+  
+  if (entry.expires < Date.now()) {
+    memoryCache.delete(key);
+    const storage = getStorage();
+    if (storage) storage.removeItem(STORAGE_PREFIX + key);
+    return undefined;
+  }
+  
+  return entry.value;
+}
+
+/**
+ * Store a geocoding result (or null or an empty list of candidates for "not found")
+ * in memory and localStorage
+ */
+export function setCachedGeocode(location, value) {
+  const key = normalizeLocationKey(location);
+  const found = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  const entry = {
+    value,
+    expires: Date.now() + (found ? HIT_TTL_MS : MISS_TTL_MS)
+  };
+  
+  memoryCache.set(key, entry);
+  
+  const storage = getStorage();
+  if (storage) {
+    try {
+      storage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+    } catch (error) {
+      // Quota exceeded or storage disabled - the in-memory cache still works
+      console.warn('Could not persist geocoding result:', error);
+    }
+  }
+}
+
+/**
+ * Remove all cached geocoding results
+ */
+export function clearGeocodeCache() {
+  memoryCache.clear();
+  
+  const storage = getStorage();
+  if (storage) {
+    Object.keys(storage)
+      .filter(key => key.startsWith(STORAGE_PREFIX))
+      .forEach(key => storage.removeItem(key));
+  }
+}
@@ -0,0 +1,40 @@
+// Why the browser couldn't tell where the user is, by GeolocationPositionError code
+const POSITION_ERRORS = {
+  1: { reason: 'denied', message: 'You did not allow access to your location' },
+  2: { reason: 'unavailable', message: 'Your location is not available right now' },
+  3: { reason: 'timeout', message: 'Finding your location took too long' }
+};
+
+// A position this recent is good enough for weather and attractions
+const MAX_POSITION_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Why there is no position
+ * reason: 'denied' | 'unavailable' | 'timeout' | 'unsupported' (the position.* message keys)
+ */
+export class PositionError extends Error {
+  constructor({ reason, message }) {
+    super(message);
+    this.name = 'PositionError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * The user's position from the browser Geolocation API: { lat, lon, accuracy }
+ * The browser asks the user for permission the first time. Rejects with a PositionError
+ * whose reason says why when there is no position (denied, unavailable or timed out).
+ */
+export function getCurrentPosition({ timeoutMs = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      reject(new PositionError({ reason: 'unsupported', message: 'Your browser cannot share your location' }));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ lat: coords.latitude, lon: coords.longitude, accuracy: coords.accuracy }),
+      (error) => reject(new PositionError(POSITION_ERRORS[error.code] || POSITION_ERRORS[2])),
+      { timeout: timeoutMs, maximumAge: MAX_POSITION_AGE_MS }
+    );
+  });
+}
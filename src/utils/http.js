@@ -0,0 +1,134 @@
+import { httpRetry } from '../config.js';
+import { httpFetch, getHttpMode, MissingFixtureError } from './httpRecorder.js';
+import { createTranslator } from '../i18n/index.js';
+
+// Failures that are worth retrying (possibly on a mirror)
+const RETRYABLE_KINDS = ['rate-limited', 'timeout', 'upstream-down'];
+
+/**
+ * Error raised by the HTTP layer, classified so agents can explain what went wrong
+ * kind: 'rate-limited' | 'timeout' | 'upstream-down' | 'not-found' | 'bad-request' | 'aborted'
+ * The message is in English; apiErrorMessage() gives it in the user's language.
+ */
+export class ApiError extends Error {
+  constructor(kind, service, { status = null, retryAfterMs = null } = {}) {
+    super(apiErrorMessage({ kind, service }, createTranslator({ language: 'en' })));
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.service = service;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+  
+  get retryable() {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+/**
+ * User-facing explanation of an ApiError, in the language of t (see createTranslator)
+ */
+export function apiErrorMessage(error, t) {
+  const key = `service.${error.service}`;
+  const translated = t(key);
+  const service = translated === key ? error.service : translated;
+  return t(`apiError.${error.kind}`, { service, serviceLower: service.charAt(0).toLowerCase() + service.slice(1) });
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Classify an unsuccessful HTTP response
+ */
+function errorForResponse(service, response) {
+  const status = response.status;
+  let kind = 'bad-request';
+  if (status === 429) kind = 'rate-limited';
+  else if (status === 408 || status === 504) kind = 'timeout';
+  else if (status === 404) kind = 'not-found';
+  else if (status >= 500) kind = 'upstream-down';
+  
+  const retryAfterMs = parseRetryAfter(response.headers && response.headers.get('Retry-After'));
+  return new ApiError(kind, service, { status, retryAfterMs });
+}
+
+/**
+ * Wait before retrying; rejects straight away if the request is cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Shared HTTP layer
+ * Requests each URL in turn (primary endpoint first, then mirrors), retrying
+ * rate-limited, timed-out and failing requests with exponential backoff that
+ * honours Retry-After (see httpRetry in config.js). Not-found and other client
+ * errors fail immediately. Resolves with the first successful Response and
+ * throws an ApiError describing the last failure otherwise.
+ * options.limiter (see rateLimiter.js) schedules every request, retries included, for
+ * services that allow only so many requests per second.
+ */
+export async function requestWithRetry(service, urls, init = {}, { limiter = null } = {}) {
+  const { retries, baseDelayMs, maxDelayMs } = httpRetry;
+  let lastError = null;
+  
+  try {
+    for (const url of urls) {
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          const response = await (limiter ? limiter.schedule(() => httpFetch(url, init)) : httpFetch(url, init));
+          if (response.ok) {
+            return response;
+          }
+          lastError = errorForResponse(service, response);
+        } catch (error) {
+          if (init.signal && init.signal.aborted) throw error;
+          // A replay without a recording is a broken fixture set, not an outage
+          if (error instanceof MissingFixtureError) throw error;
+          // fetch only rejects on network failures (DNS, refused connection, CORS)
+          lastError = new ApiError('upstream-down', service);
+        }
+        
+        if (!lastError.retryable) {
+          throw lastError;
+        }
+        if (attempt === retries) break;
+        
+        // Replayed responses never change, so waiting would only slow tests down
+        if (getHttpMode() === 'replay') break;
+        const delay = lastError.retryAfterMs ?? Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+        if (delay > maxDelayMs) break; // Asked to wait too long - try the next mirror instead
+        await sleep(delay, init.signal);
+      }
+    }
+  } catch (error) {
+    if (init.signal && init.signal.aborted) {
+      throw new ApiError('aborted', service);
+    }
+    throw error;
+  }
+  
+  throw lastError;
+}
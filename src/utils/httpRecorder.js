@@ -0,0 +1,152 @@
+/**
+ * Record/replay for external HTTP calls
+ * Every request to Nominatim, Open-Meteo, Overpass and Anthropic goes through httpFetch.
+ * - 'live' (default): plain fetch
+ * - 'record': fetch, and keep each response as a fixture keyed by request
+ * - 'replay': answer from the fixtures only, never touching the network; a request
+ *   without a fixture throws a MissingFixtureError naming it
+ * Fixtures are plain JSON ({ [key]: { request, response } }) so they can be saved to
+ * files and committed (see scripts/record-fixtures.js and fixtureFiles.js).
+ * Scripts and tests switch modes with setHttpMode(); the app always runs live.
+ * In live mode an optional response cache (see responseCache.js) answers repeated
+ * requests; the agent server sets one with setResponseCache().
+ */
+
+const MODES = ['live', 'record', 'replay'];
+
+let mode = 'live';
+let fixtures = {};
+let responseCache = null;
+
+/**
+ * Raised in replay mode for a request that was never recorded
+ */
+export class MissingFixtureError extends Error {
+  constructor(key) {
+    super(`No recorded response for ${key}`);
+    this.name = 'MissingFixtureError';
+    this.key = key;
+  }
+}
+
+/**
+ * Switch between 'live', 'record' and 'replay'
+ */
+export function setHttpMode(nextMode) {
+  if (!MODES.includes(nextMode)) {
+    throw new Error(`Unknown HTTP mode "${nextMode}" (expected ${MODES.join(', ')})`);
+  }
+  mode = nextMode;
+}
+
+export function getHttpMode() {
+  return mode;
+}
+
+/**
+ * Use these fixtures for replay (and as the starting point for recording)
+ */
+export function loadFixtures(data) {
+  fixtures = { ...(data || {}) };
+}
+
+/**
+ * Everything recorded or loaded so far, ready to be saved as JSON
+ */
+export function exportFixtures() {
+  return JSON.parse(JSON.stringify(fixtures));
+}
+
+export function clearFixtures() {
+  fixtures = {};
+}
+
+/**
+ * Answer live requests from this cache when possible (null turns caching off)
+ */
+export function setResponseCache(cache) {
+  responseCache = cache;
+}
+
+// FNV-1a: a short, stable fingerprint for request bodies (Overpass queries, Claude prompts)
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Fixture key for a request: method, URL and a hash of the body.
+ * Headers are left out so API keys never end up in fixtures.
+ */
+export function requestKey(url, init = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const body = typeof init.body === 'string' ? init.body : '';
+  return body ? `${method} ${url} #${hashString(body)}` : `${method} ${url}`;
+}
+
+function toResponse({ status, headers, body }) {
+  return new Response(body, { status, headers });
+}
+
+/**
+ * Status, the headers the HTTP layer uses and the body of a response, as plain JSON
+ */
+async function snapshotResponse(response) {
+  const body = await response.text();
+  const headers = {};
+  for (const name of ['content-type', 'retry-after']) {
+    const value = response.headers.get(name);
+    if (value) headers[name] = value;
+  }
+  return { status: response.status, headers, body };
+}
+
+/**
+ * Live fetch through the response cache; only successful responses are kept
+ */
+async function cachedFetch(url, init) {
+  const cached = responseCache.get(url, init);
+  if (cached) {
+    return toResponse(cached);
+  }
+  
+  const response = await fetch(url, init);
+  if (!response.ok || !responseCache.covers(url)) {
+    return response;
+  }
+  const snapshot = await snapshotResponse(response);
+  responseCache.set(url, init, snapshot);
+  return toResponse(snapshot);
+}
+
+/**
+ * fetch() with record/replay support
+ */
+export async function httpFetch(url, init = {}) {
+  if (mode === 'live') {
+    return responseCache ? cachedFetch(url, init) : fetch(url, init);
+  }
+  
+  const key = requestKey(url, init);
+  
+  if (mode === 'replay') {
+    const fixture = fixtures[key];
+    if (!fixture) {
+      throw new MissingFixtureError(key);
+    }
+    return toResponse(fixture.response);
+  }
+  
+  const response = await fetch(url, init);
+  
+  fixtures[key] = {
+    request: { method: (init.method || 'GET').toUpperCase(), url, body: typeof init.body === 'string' ? init.body : null },
+    response: await snapshotResponse(response)
+  };
+  
+  return toResponse(fixtures[key].response);
+}
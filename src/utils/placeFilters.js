@@ -0,0 +1,132 @@
+import { createTranslator, resolveLocale } from '../i18n/index.js';
+import { formatDistance } from './units.js';
+
+/**
+ * Place categories users can ask for, with the words that select them
+ * (English singular and plural first, then Spanish, French and Hindi)
+ * and the Overpass tag filters that find them
+ */
+export const PLACE_CATEGORIES = {
+  museum: {
+    keywords: ['museum', 'museums', 'museo', 'museos', 'musée', 'musées', 'संग्रहालय'],
+    filters: ['["tourism"="museum"]']
+  },
+  gallery: {
+    keywords: ['gallery', 'galleries', 'galería', 'galerías', 'galerie', 'galeries'],
+    filters: ['["tourism"="gallery"]']
+  },
+  beach: {
+    keywords: ['beach', 'beaches', 'playa', 'playas', 'plage', 'plages', 'बीच'],
+    filters: ['["natural"="beach"]', '["leisure"="beach_resort"]']
+  },
+  park: {
+    keywords: ['park', 'parks', 'garden', 'gardens', 'parque', 'parques', 'jardín', 'jardines', 'parc', 'parcs', 'jardin', 'jardins', 'पार्क', 'बाग़'],
+    filters: ['["leisure"="park"]', '["leisure"="garden"]']
+  },
+  temple: {
+    keywords: ['temple', 'temples', 'templo', 'templos', 'मंदिर'],
+    filters: ['["amenity"="place_of_worship"]["religion"~"hindu|buddhist|jain|sikh"]', '["building"="temple"]']
+  },
+  church: {
+    keywords: ['church', 'churches', 'cathedral', 'cathedrals', 'iglesia', 'iglesias', 'catedral', 'église', 'églises', 'cathédrale', 'चर्च'],
+    filters: ['["amenity"="place_of_worship"]["religion"="christian"]']
+  },
+  mosque: {
+    keywords: ['mosque', 'mosques', 'mezquita', 'mezquitas', 'mosquée', 'mosquées', 'मस्जिद'],
+    filters: ['["amenity"="place_of_worship"]["religion"="muslim"]']
+  },
+  palace: {
+    keywords: ['palace', 'palaces', 'palacio', 'palacios', 'palais', 'महल'],
+    filters: ['["historic"="palace"]', '["castle_type"="palace"]']
+  },
+  fort: {
+    keywords: ['fort', 'forts', 'fortress', 'castle', 'castles', 'fortaleza', 'castillo', 'castillos', 'forteresse', 'château', 'châteaux', 'किला', 'किले'],
+    filters: ['["historic"="fort"]', '["historic"="castle"]']
+  },
+  monument: {
+    keywords: ['monument', 'monuments', 'memorial', 'memorials', 'landmark', 'landmarks', 'monumento', 'monumentos', 'स्मारक'],
+    filters: ['["historic"="monument"]', '["historic"="memorial"]', '["tourism"="attraction"]']
+  },
+  zoo: {
+    keywords: ['zoo', 'zoos', 'aquarium', 'aquariums', 'zoológico', 'acuario', 'चिड़ियाघर'],
+    filters: ['["tourism"="zoo"]', '["tourism"="aquarium"]']
+  },
+  viewpoint: {
+    keywords: ['viewpoint', 'viewpoints', 'mirador', 'miradores', 'belvédère'],
+    filters: ['["tourism"="viewpoint"]']
+  },
+  waterfall: {
+    keywords: ['waterfall', 'waterfalls', 'cascada', 'cascadas', 'cascade', 'cascades', 'झरना', 'झरने'],
+    filters: ['["waterway"="waterfall"]']
+  },
+  lake: {
+    keywords: ['lake', 'lakes', 'lago', 'lagos', 'lac', 'lacs', 'झील'],
+    filters: ['["natural"="water"]["water"="lake"]']
+  }
+};
+
+// Used when the query doesn't name a category
+export const DEFAULT_PLACE_FILTERS = ['["tourism"]', '["historic"]', '["leisure"="park"]'];
+
+// Search radius used when the query doesn't specify one
+export const DEFAULT_RADIUS_KM = 10;
+
+// Keep Overpass queries (and result lists) to a reasonable size
+export const MAX_RADIUS_KM = 50;
+export const MAX_LIMIT = 50;
+
+const UNIT_TO_KM = {
+  km: 1, kms: 1, kilometer: 1, kilometers: 1, kilometre: 1, kilometres: 1,
+  m: 0.001, meter: 0.001, meters: 0.001, metre: 0.001, metres: 0.001,
+  mi: 1.609, mile: 1.609, miles: 1.609
+};
+
+/**
+ * Extract place filters from a user query
+ * e.g. "museums within 3 km of Jaipur" -> { categories: ['museum'], radiusKm: 3 }
+ *      "top 10 beaches near Goa"       -> { categories: ['beach'], limit: 10 }
+ * Also returns the matched radius/limit phrases so they can be removed before location extraction.
+ */
+export function extractPlacesFilters(userInput) {
+  const input = userInput.toLowerCase();
+  const words = input.split(/\s+/).map(w => w.replace(/[.,!?¿¡;:।]/g, ''));
+  
+  const categories = Object.keys(PLACE_CATEGORIES)
+    .filter(category => PLACE_CATEGORIES[category].keywords.some(keyword => words.includes(keyword)));
+  
+  let radiusKm = null;
+  let radiusPhrase = null;
+  const radiusMatch = input.match(/\b(?:(?:within|under|less\s+than|up\s+to)\s+)?(\d+(?:\.\d+)?)\s*(kms?|kilomet(?:er|re)s?|m|met(?:er|re)s?|mi|miles?)\b(?:\s+(?:of|from|around|near))?/);
+  if (radiusMatch) {
+    radiusKm = Math.min(parseFloat(radiusMatch[1]) * UNIT_TO_KM[radiusMatch[2]], MAX_RADIUS_KM);
+    radiusPhrase = radiusMatch[0];
+  }
+  
+  let limit = null;
+  let limitPhrase = null;
+  const countable = ['places', 'attractions', 'sights', 'things', 'spots',
+    ...Object.values(PLACE_CATEGORIES).flatMap(category => category.keywords)];
+  const limitMatch = input.match(/\b(?:top|best)\s+(\d{1,2})\b/) ||
+    input.match(new RegExp(`\\b(\\d{1,2})\\s+(?=(?:best\\s+)?(?:${countable.join('|')})\\b)`));
+  if (limitMatch && (!radiusMatch || limitMatch.index !== radiusMatch.index)) {
+    limit = Math.min(Math.max(parseInt(limitMatch[1], 10), 1), MAX_LIMIT);
+    limitPhrase = limitMatch[0];
+  }
+  
+  return { categories, radiusKm, limit, radiusPhrase, limitPhrase };
+}
+
+/**
+ * Human-readable description of a places search in the locale's language and units,
+ * e.g. "museums within 3 km of Jaipur"
+ */
+export function describePlacesFilters({ categories = [], radiusKm = null } = {}, location, locale) {
+  const { units } = resolveLocale(locale);
+  const t = createTranslator(locale);
+  const what = categories.length > 0
+    ? categories.map(category => t(`category.${category}`)).join(', ')
+    : t('places.attractions');
+  return radiusKm
+    ? t('places.within', { what, radius: formatDistance(radiusKm, units), location })
+    : t('places.in', { what, location });
+}
@@ -0,0 +1,63 @@
+// tourism=* values that are services for tourists rather than things to see
+const EXCLUDED_TYPES = [
+  'hotel', 'hostel', 'guest_house', 'motel', 'apartment', 'chalet', 'camp_site',
+  'caravan_site', 'camp_pitch', 'alpine_hut', 'wilderness_hut', 'information'
+];
+
+// How interesting each type of place usually is to a visitor (unlisted types score 1)
+const TYPE_WEIGHTS = {
+  attraction: 3,
+  museum: 3,
+  castle: 3,
+  fort: 3,
+  palace: 3,
+  monument: 2.5,
+  zoo: 2.5,
+  theme_park: 2.5,
+  aquarium: 2.5,
+  gallery: 2,
+  viewpoint: 2,
+  archaeological_site: 2,
+  ruins: 2,
+  park: 1.5,
+  memorial: 1,
+  artwork: 0.5,
+  picnic_site: 0.5,
+  wayside_shrine: 0.25,
+  boundary_stone: 0
+};
+
+// Weights for the individual ranking signals
+const WIKIPEDIA_BONUS = 3;
+const WIKIDATA_BONUS = 1.5;
+const DETAILS_BONUS = 0.5;
+const DISTANCE_PENALTY_PER_KM = 0.2;
+
+/**
+ * Score how relevant a place is to a visitor:
+ * notability (wikipedia/wikidata tags), type weighting and distance from the centre
+ */
+export function scorePlace(place) {
+  let score = TYPE_WEIGHTS[place.type] ?? 1;
+  
+  if (place.wikipedia) score += WIKIPEDIA_BONUS;
+  if (place.wikidata) score += WIKIDATA_BONUS;
+  
+  // Places with visitor information are usually well maintained and worth a visit
+  if (place.website || place.openingHours) score += DETAILS_BONUS;
+  
+  score -= (place.distanceKm || 0) * DISTANCE_PENALTY_PER_KM;
+  
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Drop non-attractions, score the rest and return the `limit` most relevant places
+ */
+export function rankPlaces(places, limit) {
+  return places
+    .filter(place => !EXCLUDED_TYPES.includes(place.type))
+    .map(place => ({ ...place, score: scorePlace(place) }))
+    .sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
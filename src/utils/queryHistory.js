@@ -0,0 +1,56 @@
+/**
+ * Recent queries, newest first, kept in localStorage so they can be run again
+ * Each entry is { id, query, location, locationName, timestamp }: location is the
+ * place the query was pinned to (see deepLinks.js) or null, and locationName the
+ * place it was answered for.
+ */
+
+const STORAGE_KEY = 'query_history';
+
+// How many queries are remembered
+export const MAX_HISTORY_ENTRIES = 20;
+
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The stored history, ignoring anything that no longer parses
+ */
+export function loadHistory() {
+  const storage = getStorage();
+  try {
+    const entries = JSON.parse((storage && storage.getItem(STORAGE_KEY)) || '[]');
+    return Array.isArray(entries) ? entries.filter(entry => entry && typeof entry.query === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist the history (best effort: storage may be full or disabled)
+ */
+export function saveHistory(entries) {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('Could not save the query history:', error);
+  }
+}
+
+/**
+ * New history with the query at the top; running the same query for the same
+ * place again moves it up instead of adding a duplicate
+ */
+export function addToHistory(entries, { query, location = null, locationName = '' }, now = Date.now()) {
+  const key = (entry) => `${entry.query.trim().toLowerCase()}|${entry.location ? `${entry.location.lat},${entry.location.lon}` : ''}`;
+  const entry = { id: `${now}-${Math.random().toString(36).slice(2, 8)}`, query, location, locationName, timestamp: now };
+  
+  return [entry, ...entries.filter(existing => key(existing) !== key(entry))].slice(0, MAX_HISTORY_ENTRIES);
+}
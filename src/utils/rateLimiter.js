@@ -0,0 +1,30 @@
+/**
+ * Create a rate limiter that runs scheduled tasks one at a time,
+ * starting each at least `minIntervalMs` after the previous one started
+ */
+export function createRateLimiter(minIntervalMs) {
+  let queue = Promise.resolve();
+  let lastStart = 0;
+  
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  
+  return {
+    /**
+     * Queue a task; resolves or rejects with the task's own result
+     */
+    schedule(task) {
+      const run = queue.then(async () => {
+        const delay = lastStart + minIntervalMs - Date.now();
+        if (delay > 0) {
+          await wait(delay);
+        }
+        lastStart = Date.now();
+        return task();
+      });
+      
+      // Keep the chain alive even if this task fails
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
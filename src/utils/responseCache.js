@@ -0,0 +1,63 @@
+import { requestKey } from './httpRecorder.js';
+
+/**
+ * Cache for successful responses of the map and weather services
+ * The agent server shares one between all its users, so repeated questions about the same
+ * place don't hit Nominatim, Open-Meteo and Overpass again. Each rule caches the requests
+ * whose URL starts with one of its prefixes for ttlMs; other requests (e.g. to Claude)
+ * are never cached. Entries are keyed like fixtures (method, URL and a hash of the body),
+ * and the oldest entries are dropped beyond maxEntries.
+ */
+export function createResponseCache({ rules, maxEntries = 500 }) {
+  const entries = new Map();
+  
+  const ttlFor = (url) => {
+    const rule = rules.find(candidate => candidate.prefixes.some(prefix => url.startsWith(prefix)));
+    return rule ? rule.ttlMs : 0;
+  };
+  
+  return {
+    /**
+     * The cached { status, headers, body } for a request, or undefined
+     */
+    get(url, init = {}) {
+      const key = requestKey(url, init);
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expires < Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.response;
+    },
+    
+    /**
+     * Keep a response if a rule covers the request; returns whether it was kept
+     */
+    set(url, init, response) {
+      const ttlMs = ttlFor(url);
+      if (!ttlMs) return false;
+      
+      const key = requestKey(url, init);
+      entries.delete(key);
+      entries.set(key, { response, expires: Date.now() + ttlMs });
+      // Maps iterate in insertion order, so the first key is the oldest entry
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return true;
+    },
+    
+    covers(url) {
+      return ttlFor(url) > 0;
+    },
+    
+    clear() {
+      entries.clear();
+    },
+    
+    get size() {
+      return entries.size;
+    }
+  };
+}
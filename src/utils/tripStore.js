@@ -0,0 +1,85 @@
+/**
+ * Persistent storage of saved trips and favourite places
+ * Uses IndexedDB in the browser and falls back to memory where it isn't available
+ * (Node, or private browsing modes that disable it), so callers never need to check.
+ * Every method returns a promise.
+ */
+
+const DB_NAME = 'tourism';
+const DB_VERSION = 1;
+
+// Object stores, both keyed by id
+export const STORES = ['trips', 'favourites'];
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function openDatabase(factory) {
+  const request = factory.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    for (const name of STORES) {
+      if (!request.result.objectStoreNames.contains(name)) {
+        request.result.createObjectStore(name, { keyPath: 'id' });
+      }
+    }
+  };
+  return promisify(request);
+}
+
+function indexedDbCollection(db, name) {
+  const run = (mode, action) => promisify(action(db.transaction(name, mode).objectStore(name)));
+  return {
+    list: () => run('readonly', store => store.getAll()),
+    get: (id) => run('readonly', store => store.get(id)),
+    put: async (item) => {
+      await run('readwrite', store => store.put(item));
+      return item;
+    },
+    delete: (id) => run('readwrite', store => store.delete(id))
+  };
+}
+
+function memoryCollection() {
+  const items = new Map();
+  return {
+    list: async () => [...items.values()],
+    get: async (id) => items.get(id),
+    put: async (item) => {
+      items.set(item.id, item);
+      return item;
+    },
+    delete: async (id) => {
+      items.delete(id);
+    }
+  };
+}
+
+const memoryCollections = () => Object.fromEntries(STORES.map(name => [name, memoryCollection()]));
+
+/**
+ * Open the store: { trips, favourites }, each with list(), get(id), put(item) and delete(id)
+ * factory is the IndexedDB factory to use (globalThis.indexedDB by default).
+ */
+export function openTripStore(factory = globalThis.indexedDB) {
+  if (!factory) return memoryCollections();
+  
+  // If IndexedDB refuses to open (e.g. disabled by the browser), keep trips in memory for this visit
+  const collections = openDatabase(factory).then(
+    db => Object.fromEntries(STORES.map(name => [name, indexedDbCollection(db, name)])),
+    error => {
+      console.warn('IndexedDB is unavailable, trips are only kept until the page is closed:', error);
+      return memoryCollections();
+    }
+  );
+  const method = (name, key) => async (...args) => (await collections)[name][key](...args);
+  return Object.fromEntries(STORES.map(name => [name, {
+    list: method(name, 'list'),
+    get: method(name, 'get'),
+    put: method(name, 'put'),
+    delete: method(name, 'delete')
+  }]));
+}
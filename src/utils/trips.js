@@ -0,0 +1,244 @@
+import { formatDate, daysBetween } from './dates.js';
+import { DEFAULT_RADIUS_KM } from './placeFilters.js';
+
+/**
+ * Saved trips and favourite places
+ * A trip is a resolved location with a snapshot of its weather and the attractions the
+ * user picked from an answer. Trips are plain JSON, so they can be stored (see tripStore.js),
+ * exported and imported as they are; the attractions can also be exported as GPX or GeoJSON.
+ */
+
+// Identifies trip exports, so other JSON files are rejected on import
+const EXPORT_FORMAT = 'tourism-trips';
+const EXPORT_VERSION = 1;
+
+// Fields of an attraction worth keeping with a trip or favourite
+const PLACE_FIELDS = ['id', 'name', 'type', 'category', 'lat', 'lon', 'distanceKm', 'openingHours', 'website', 'wikipedia', 'wikidata', 'wheelchair', 'fee'];
+
+function createId() {
+  return globalThis.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function pickPlace(place) {
+  return Object.fromEntries(PLACE_FIELDS.filter(field => place[field] != null).map(field => [field, place[field]]));
+}
+
+/**
+ * Where an answer was about: { displayName, lat, lon }, or null for answers
+ * without one location (comparisons, failures)
+ */
+export function responseLocation(response) {
+  const results = response && response.results;
+  if (!response || !response.success || !results || results.comparison) return null;
+  
+  const geo = response.session && response.session.location;
+  if (geo && geo.lat != null) {
+    return { displayName: geo.displayName, lat: Number(geo.lat), lon: Number(geo.lon) };
+  }
+  // Claude answers don't always carry the geocoded place; the search area has its coordinates
+  const withCenter = (results.agents || []).map(name => results[name]).find(result => result && result.success && result.center);
+  return withCenter ? { displayName: results.location, lat: withCenter.center.lat, lon: withCenter.center.lon } : null;
+}
+
+/**
+ * The attractions of an answer (from the places search or the itinerary), without duplicates
+ */
+export function responsePlaces(response) {
+  const results = (response && response.results) || {};
+  const seen = new Set();
+  return (results.agents || [])
+    .map(name => results[name])
+    .filter(result => result && result.success && Array.isArray(result.places))
+    .flatMap(result => result.places)
+    .filter(place => !seen.has(place.id) && seen.add(place.id));
+}
+
+/**
+ * Create a trip from a successful parentAgent response
+ * options: { name, placeIds (the attractions to keep, default all), query (default the
+ * query of the answer), locale }
+ * Returns null when the response isn't about a single location.
+ */
+export function createTrip(response, { name, placeIds = null, query = '', locale = null } = {}) {
+  const location = responseLocation(response);
+  if (!location) return null;
+  
+  const { results } = response;
+  const chosen = placeIds ? new Set(placeIds) : null;
+  const withCenter = (results.agents || []).map(agent => results[agent]).find(result => result && result.success && result.center);
+  const history = (response.session && response.session.history) || [];
+  const now = new Date().toISOString();
+  
+  return {
+    id: createId(),
+    name: (name || '').trim() || results.location || location.displayName,
+    locationName: results.location || location.displayName.split(',')[0],
+    location,
+    query: query || (history.length > 0 ? history[history.length - 1].query : ''),
+    locale,
+    dateRange: (response.session && response.session.dateRange) || null,
+    weather: results.weather && results.weather.success ? results.weather : null,
+    places: responsePlaces(response).filter(place => !chosen || chosen.has(place.id)).map(pickPlace),
+    radiusKm: withCenter ? withCenter.radiusKm : DEFAULT_RADIUS_KM,
+    createdAt: now,
+    updatedAt: now,
+    refreshedAt: now
+  };
+}
+
+/**
+ * A parentAgent-like response for a saved trip, so it can be shown with ResultView
+ */
+export function tripToResponse(trip) {
+  const agents = [];
+  const results = { location: trip.locationName, agentStatus: {} };
+  
+  if (trip.weather) {
+    agents.push('weather');
+    results.weather = trip.weather;
+  }
+  agents.push('places');
+  results.places = {
+    success: true,
+    message: '',
+    places: trip.places,
+    description: trip.name,
+    center: { lat: trip.location.lat, lon: trip.location.lon },
+    radiusKm: trip.radiusKm || DEFAULT_RADIUS_KM
+  };
+  for (const name of agents) {
+    results.agentStatus[name] = { state: 'ok', error: null, reason: null, durationMs: 0 };
+  }
+  
+  return { success: true, message: '', results: { ...results, agents } };
+}
+
+/**
+ * Fetch the trip's weather again
+ * ask(query, options) answers a query like parentAgent (or askAgentServer). The trip's
+ * dates are asked for while they are still ahead, current weather otherwise.
+ * Resolves to the updated trip; the saved weather is kept if the agents fail.
+ */
+export async function refreshTrip(trip, ask) {
+  const today = formatDate(new Date());
+  const upcoming = trip.dateRange && daysBetween(today, trip.dateRange.end) >= 0;
+  const query = upcoming ? `weather ${trip.dateRange.start} to ${trip.dateRange.end}` : 'weather';
+  
+  const response = await ask(query, { location: trip.location, locale: trip.locale });
+  const weather = response && response.success && response.results && response.results.weather;
+  if (!weather || !weather.success) {
+    throw new Error((weather && weather.error) || (response && response.error) || 'The weather could not be refreshed');
+  }
+  
+  const now = new Date().toISOString();
+  return { ...trip, weather, updatedAt: now, refreshedAt: now };
+}
+
+/**
+ * A favourite attraction, remembering which place it was found near
+ */
+export function createFavourite(place, locationName = '') {
+  return { ...pickPlace(place), locationName, savedAt: new Date().toISOString() };
+}
+
+/**
+ * JSON export of trips (and favourites) that importTrips reads back
+ */
+export function exportTrips(trips, favourites = []) {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), trips, favourites }, null, 2);
+}
+
+function isPlace(place) {
+  return place && typeof place.name === 'string' && Number.isFinite(place.lat) && Number.isFinite(place.lon);
+}
+
+function isForecastDay(day) {
+  return day && typeof day.date === 'string' && Number.isFinite(day.temperatureMax) && Number.isFinite(day.temperatureMin);
+}
+
+// A weather result as the weather agent returns it (current weather or a forecast)
+function isWeather(weather) {
+  const data = weather && weather.success === true && weather.data;
+  if (!data || typeof data.city !== 'string') return false;
+  if ('forecast' in data) {
+    return Array.isArray(data.forecast) && data.forecast.every(isForecastDay) &&
+      Boolean(data.range) && typeof data.range.label === 'string';
+  }
+  return typeof weather.message === 'string' && Number.isFinite(data.temperature) && Number.isFinite(data.precipitationProbability);
+}
+
+function isTrip(trip) {
+  return trip && typeof trip.id === 'string' && typeof trip.name === 'string' &&
+    trip.location && Number.isFinite(trip.location.lat) && Number.isFinite(trip.location.lon) &&
+    Array.isArray(trip.places) && trip.places.every(isPlace);
+}
+
+/**
+ * Read an export made by exportTrips: { trips, favourites }
+ * Throws an Error describing the problem for anything else. A trip's weather that
+ * isn't a weather result is dropped (refreshing the trip fetches it again).
+ */
+export function importTrips(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.trips)) {
+    throw new Error('The file is not a trips export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the app');
+  }
+  if (!data.trips.every(isTrip)) {
+    throw new Error('The file contains an invalid trip');
+  }
+  const favourites = Array.isArray(data.favourites) ? data.favourites.filter(place => isPlace(place) && place.id) : [];
+  const trips = data.trips.map(trip => (trip.weather == null || isWeather(trip.weather) ? trip : { ...trip, weather: null }));
+  return { trips, favourites };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[char]);
+}
+
+/**
+ * GPX 1.1 document with a waypoint per place
+ */
+export function placesToGpx(places, name = 'Attractions') {
+  const waypoints = places.map(place => [
+    `  <wpt lat="${place.lat}" lon="${place.lon}">`,
+    `    <name>${escapeXml(place.name)}</name>`,
+    place.type ? `    <type>${escapeXml(place.type)}</type>` : null,
+    place.website ? `    <link href="${escapeXml(place.website)}"/>` : null,
+    '  </wpt>'
+  ].filter(Boolean).join('\n'));
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Multi-Agent Tourism System" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * GeoJSON FeatureCollection with a Point per place (coordinates are [lon, lat])
+ */
+export function placesToGeoJson(places, name = 'Attractions') {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    name,
+    features: places.map(place => ({
+      type: 'Feature',
+      id: place.id,
+      geometry: { type: 'Point', coordinates: [place.lon, place.lat] },
+      properties: Object.fromEntries(Object.entries(place).filter(([key]) => !['id', 'lat', 'lon'].includes(key)))
+    }))
+  }, null, 2);
+}
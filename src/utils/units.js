@@ -0,0 +1,58 @@
+/**
+ * Unit formatting
+ * Agents keep raw metric values (°C, km, km/h, mm); these format them for
+ * display in the locale's unit system ('metric' or 'imperial').
+ */
+
+const KM_PER_MILE = 1.609344;
+const MM_PER_INCH = 25.4;
+
+/**
+ * Temperature without the unit, converted for the unit system (for ranges like "22–31°C")
+ */
+export function convertTemperature(celsius, units) {
+  return units === 'imperial' ? Math.round(celsius * 9 / 5 + 32) : Math.round(celsius);
+}
+
+/**
+ * The unit symbol that goes with convertTemperature
+ */
+export function temperatureUnit(units) {
+  return units === 'imperial' ? '°F' : '°C';
+}
+
+export function formatTemperature(celsius, units) {
+  return `${convertTemperature(celsius, units)}${temperatureUnit(units)}`;
+}
+
+export function formatDistance(km, units) {
+  return units === 'imperial'
+    ? `${Math.round(km / KM_PER_MILE * 10) / 10} mi`
+    : `${Math.round(km * 10) / 10} km`;
+}
+
+export function formatSpeed(kmh, units) {
+  return units === 'imperial' ? `${Math.round(kmh / KM_PER_MILE)} mph` : `${Math.round(kmh)} km/h`;
+}
+
+export function formatPrecipitation(mm, units) {
+  return units === 'imperial' ? `${Math.round(mm / MM_PER_INCH * 100) / 100} in` : `${mm} mm`;
+}
+
+/**
+ * A 24-hour "HH:MM" time in the given format ('24h' or '12h', e.g. "5:30 PM")
+ */
+export function formatTime(time, timeFormat) {
+  if (timeFormat !== '12h') return time;
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 && hours < 24 ? 'PM' : 'AM';
+  const hour = hours % 12 || 12;
+  return minutes === 0 ? `${hour} ${suffix}` : `${hour}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * OSM opening hours ("Mo-Sa 09:00-17:30") with the times in the given format
+ */
+export function formatOpeningHours(openingHours, timeFormat) {
+  return openingHours.replace(/\b([01]?\d|2[0-4]):([0-5]\d)\b/g, (time) => formatTime(time, timeFormat));
+}
@@ -0,0 +1,56 @@
+// Place types best visited in any weather vs. ones that need a dry day
+const INDOOR_TYPES = [
+  'museum', 'gallery', 'aquarium', 'place_of_worship', 'temple', 'church', 'mosque',
+  'cathedral', 'palace', 'castle', 'theatre', 'planetarium'
+];
+const OUTDOOR_TYPES = [
+  'park', 'garden', 'beach', 'beach_resort', 'viewpoint', 'zoo', 'theme_park', 'waterfall',
+  'water', 'nature_reserve', 'fort', 'ruins', 'archaeological_site', 'monument', 'memorial', 'picnic_site'
+];
+
+// A day counts as rainy from this precipitation probability (%) or amount (mm)
+export const RAINY_PROBABILITY = 50;
+const RAINY_PRECIPITATION_MM = 2;
+
+// Temperatures (°C) from which sightseeing advice allows for the heat or the cold
+const HOT_TEMPERATURE = 30;
+const COLD_TEMPERATURE = 12;
+
+/**
+ * Whether a place is best visited indoors, outdoors, or either
+ */
+export function placeSetting(place) {
+  if (INDOOR_TYPES.includes(place.type)) return 'indoor';
+  if (OUTDOOR_TYPES.includes(place.type)) return 'outdoor';
+  return 'either';
+}
+
+/**
+ * Whether the current weather or a forecast day ({ precipitationProbability, precipitationSum }) is rainy
+ */
+export function isRainy(weather) {
+  return Boolean(weather) &&
+    (weather.precipitationProbability >= RAINY_PROBABILITY || weather.precipitationSum >= RAINY_PRECIPITATION_MM);
+}
+
+/**
+ * Sightseeing conditions from weather agent data (current weather or a forecast):
+ * { rainy, hot, cold }, where a forecast counts as rainy when most of its days are
+ */
+export function describeConditions(data) {
+  if (data.forecast) {
+    const days = data.forecast;
+    const maxTemperature = days.reduce((sum, day) => sum + day.temperatureMax, 0) / days.length;
+    return {
+      rainy: days.filter(isRainy).length > days.length / 2,
+      hot: maxTemperature >= HOT_TEMPERATURE,
+      cold: maxTemperature <= COLD_TEMPERATURE
+    };
+  }
+  
+  return {
+    rainy: isRainy(data),
+    hot: data.temperature >= HOT_TEMPERATURE,
+    cold: data.temperature <= COLD_TEMPERATURE
+  };
+}
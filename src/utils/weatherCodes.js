@@ -0,0 +1,60 @@
+import { translate } from '../i18n/index.js';
+
+/**
+ * WMO weather interpretation codes as returned by Open-Meteo
+ * https://open-meteo.com/en/docs (see "WMO Weather interpretation codes")
+ */
+const WEATHER_CODES = {
+  0: { label: 'Clear sky', icon: '☀️' },
+  1: { label: 'Mainly clear', icon: '🌤️' },
+  2: { label: 'Partly cloudy', icon: '⛅' },
+  3: { label: 'Overcast', icon: '☁️' },
+  45: { label: 'Fog', icon: '🌫️' },
+  48: { label: 'Depositing rime fog', icon: '🌫️' },
+  51: { label: 'Light drizzle', icon: '🌦️' },
+  53: { label: 'Moderate drizzle', icon: '🌦️' },
+  55: { label: 'Dense drizzle', icon: '🌦️' },
+  56: { label: 'Light freezing drizzle', icon: '🌧️' },
+  57: { label: 'Dense freezing drizzle', icon: '🌧️' },
+  61: { label: 'Slight rain', icon: '🌦️' },
+  63: { label: 'Moderate rain', icon: '🌧️' },
+  65: { label: 'Heavy rain', icon: '🌧️' },
+  66: { label: 'Light freezing rain', icon: '🌧️' },
+  67: { label: 'Heavy freezing rain', icon: '🌧️' },
+  71: { label: 'Slight snow fall', icon: '🌨️' },
+  73: { label: 'Moderate snow fall', icon: '🌨️' },
+  75: { label: 'Heavy snow fall', icon: '❄️' },
+  77: { label: 'Snow grains', icon: '🌨️' },
+  80: { label: 'Slight rain showers', icon: '🌦️' },
+  81: { label: 'Moderate rain showers', icon: '🌧️' },
+  82: { label: 'Violent rain showers', icon: '⛈️' },
+  85: { label: 'Slight snow showers', icon: '🌨️' },
+  86: { label: 'Heavy snow showers', icon: '❄️' },
+  95: { label: 'Thunderstorm', icon: '⛈️' },
+  96: { label: 'Thunderstorm with slight hail', icon: '⛈️' },
+  99: { label: 'Thunderstorm with heavy hail', icon: '⛈️' }
+};
+
+/**
+ * Describe a WMO weather code with a label and an emoji icon
+ */
+export function describeWeatherCode(code) {
+  return WEATHER_CODES[code] || { label: 'Unknown conditions', icon: '🌡️' };
+}
+
+// Families of WMO codes (highest code in each family), for languages without the detailed labels
+const CODE_GROUPS = [
+  [1, 'clear'], [3, 'cloudy'], [48, 'fog'], [57, 'drizzle'], [67, 'rain'],
+  [77, 'snow'], [82, 'showers'], [86, 'snow'], [99, 'thunderstorm']
+];
+
+/**
+ * Lower-case conditions for a WMO code in the given language:
+ * the detailed label in English, the family of conditions ("rain", "snow") otherwise
+ */
+export function describeConditionsIn(language, code) {
+  if (!WEATHER_CODES[code]) return translate(language, 'conditions.unknown');
+  if (language === 'en') return WEATHER_CODES[code].label.toLowerCase();
+  const [, group] = CODE_GROUPS.find(([maxCode]) => code <= maxCode);
+  return translate(language, `conditions.${group}`);
+}
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeIntent } from '../src/agents/parentAgent.js';
+
+const names = (agents) => agents.map(agent => agent.name);
+
+// [query, context, expected agents]
+const CASES = [
+  ["I'm going to go to Bangalore, what is the temperature there?", {}, ['weather']],
+  ['Is it raining in London', {}, ['weather']],
+  ['What is the forecast for Goa', {}, ['weather']],
+  ["I'm going to go to Bangalore, let's plan my trip.", {}, ['places']],
+  ['Places to visit near Mysore', {}, ['places']],
+  ["What's the temperature in Bangalore? And what are the places I can visit?", {}, ['weather', 'places']],
+  ['Tell me about Xyz12345', {}, []],
+  ['Paris', {}, []],
+  // A requested category is a places query even without a places keyword
+  ['forts near Jaipur', { placesFilters: { categories: ['fort'] } }, ['places']],
+  // Itineraries replace the plain places list
+  ['Itinerary for Jaipur', {}, ['itinerary']],
+  ['Plan a trip to Goa', { dateRange: { start: '2026-01-10', end: '2026-01-12' } }, ['itinerary']],
+  ['Plan a trip to Goa', {}, ['places']],
+  ['Weather and an itinerary for Jaipur', {}, ['weather', 'itinerary']],
+  // Spanish, French and Hindi
+  ['¿Qué tiempo hace en Madrid?', {}, ['weather']],
+  ['Lugares para visitar en Barcelona', {}, ['places']],
+  ['Quel temps fait-il à Paris ?', {}, ['weather']],
+  ['Lieux à visiter au Maroc', {}, ['places']],
+  ['दिल्ली में मौसम कैसा है?', {}, ['weather']],
+  ['Jaipur mein ghumne ki jagah', {}, ['places']],
+  // Keywords only match whole words ("hot" is not in "hotels", "temp" not in "temples")
+  ['Hotels in Goa', {}, []],
+  ['Temples in Madurai', {}, ['places']],
+  ['Best wifi hotspot in Mumbai', {}, []],
+  ['Contemporary art in Berlin', {}, []],
+  ['Is it hot in Chennai?', {}, ['weather']],
+  ['दिल्ली में बारिश होगी?', {}, ['weather']]
+];
+
+for (const [query, context, expected] of CASES) {
+  test(`analyzeIntent(${JSON.stringify(query)}) -> [${expected.join(', ')}]`, () => {
+    assert.deepEqual(names(analyzeIntent(query, context)), expected);
+  });
+}
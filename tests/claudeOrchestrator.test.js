@@ -0,0 +1,155 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parentAgent } from '../src/agents/parentAgent.js';
+import { agentTools } from '../src/agents/claudeOrchestrator.js';
+import { clearGeocodeCache } from '../src/utils/geocodeCache.js';
+import { mockFetch, nominatimResult } from './helpers/mockFetch.js';
+
+const JAIPUR = nominatimResult('Jaipur', 26.91, 75.79, { importance: 0.7, state: 'Rajasthan' });
+
+const ROUTES = [
+  ['nominatim', (url) => (url.includes('Jaipur') ? [JAIPUR] : [])],
+  ['open-meteo', { current: { temperature_2m: 33.2, precipitation_probability: 5 } }],
+  ['overpass', { elements: [{ type: 'node', id: 1, lat: 26.92, lon: 75.82, tags: { name: 'Hawa Mahal', historic: 'palace', wikipedia: 'en:Hawa Mahal' } }] }]
+];
+
+/**
+ * Claude route answering with the given turns in order; also records the request bodies
+ */
+function claudeTurns(turns, bodies) {
+  return ['api.anthropic.com', (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return turns[bodies.length - 1];
+  }];
+}
+
+let http;
+
+afterEach(() => {
+  http.restore();
+  clearGeocodeCache();
+});
+
+test('agent tools carry the location plus the agent input schema', () => {
+  http = mockFetch([]);
+  const tools = agentTools();
+  
+  assert.deepEqual(tools.map(tool => tool.name), ['geocode', 'get_weather', 'find_places', 'plan_itinerary']);
+  const weather = tools.find(tool => tool.name === 'get_weather');
+  assert.deepEqual(weather.input_schema.required, ['location']);
+  assert.ok(weather.input_schema.properties.dateRange);
+});
+
+test('Claude answers with the results of the tools it called', async () => {
+  const bodies = [];
+  http = mockFetch([
+    ...ROUTES,
+    claudeTurns([
+      {
+        stop_reason: 'tool_use',
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'call-1', name: 'get_weather', input: { location: 'Jaipur' } },
+          { type: 'tool_use', id: 'call-2', name: 'find_places', input: { location: 'Jaipur', limit: 5 } }
+        ]
+      },
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Jaipur is 33°C and dry; start with the Hawa Mahal.' }] }
+    ], bodies)
+  ]);
+  const response = await parentAgent('Is it a good day to see the sights of Jaipur?', 'test-key');
+  
+  assert.equal(response.success, true);
+  assert.equal(response.message, 'Jaipur is 33°C and dry; start with the Hawa Mahal.');
+  assert.deepEqual(response.results.agents, ['weather', 'places']);
+  assert.equal(response.results.weather.data.temperature, 33);
+  assert.equal(response.results.places.places[0].name, 'Hawa Mahal');
+  assert.equal(response.session.locationName, 'Jaipur');
+  
+  const toolResults = bodies[1].messages[2].content;
+  assert.deepEqual(toolResults.map(block => block.tool_use_id), ['call-1', 'call-2']);
+  assert.match(toolResults[0].content, /33/);
+});
+
+test('tool errors are passed back to Claude', async () => {
+  const bodies = [];
+  http = mockFetch([
+    ...ROUTES,
+    claudeTurns([
+      { stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 'call-1', name: 'get_weather', input: { location: 'Xyz12345' } }] },
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'I could not find Xyz12345. Is it spelled correctly?' }] }
+    ], bodies)
+  ]);
+  const response = await parentAgent("What's the weather in Xyz12345?", 'test-key');
+  
+  assert.equal(response.success, false);
+  assert.match(response.error, /could not find Xyz12345/);
+  assert.equal(bodies[1].messages[2].content[0].is_error, true);
+});
+
+test('falls back to the heuristics when Claude is unavailable', async () => {
+  http = mockFetch([
+    ...ROUTES,
+    ['api.anthropic.com', () => new Response(JSON.stringify({ error: { message: 'invalid x-api-key' } }), { status: 401 })]
+  ]);
+  const response = await parentAgent('What is the weather in Jaipur?', 'bad-key');
+  
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.agents, ['weather']);
+  assert.match(response.message, /33°C/);
+});
+
+test('Claude summarises the results for a place picked after disambiguation', async () => {
+  const bodies = [];
+  http = mockFetch([
+    ...ROUTES,
+    claudeTurns([
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: "At 33°C, see the Hawa Mahal early before it's too hot." }] }
+    ], bodies)
+  ]);
+  const location = { lat: 26.91, lon: 75.79, displayName: 'Jaipur, Rajasthan, India', importance: 0.7 };
+  const response = await parentAgent('Weather and places in Jaipur', 'test-key', { location });
+  
+  assert.equal(response.success, true);
+  assert.equal(response.message, "At 33°C, see the Hawa Mahal early before it's too hot.");
+  assert.equal(bodies.length, 1);
+  assert.deepEqual(bodies[0].tools, []);
+  assert.match(bodies[0].messages[0].content, /Hawa Mahal/);
+});
+
+test('the places tool keeps the filters from the query and the caller', async () => {
+  const bodies = [];
+  const overpassQueries = [];
+  http = mockFetch([
+    ['overpass', (url, init) => {
+      overpassQueries.push(decodeURIComponent(init.body));
+      return {
+        elements: [
+          { type: 'node', id: 1, lat: 26.92, lon: 75.82, tags: { name: 'Albert Hall Museum', tourism: 'museum', wikipedia: 'en:Albert Hall Museum' } },
+          { type: 'node', id: 2, lat: 26.93, lon: 75.8, tags: { name: 'Anokhi Museum', tourism: 'museum' } }
+        ]
+      };
+    }],
+    ...ROUTES,
+    claudeTurns([
+      { stop_reason: 'tool_use', content: [{ type: 'tool_use', id: 'call-1', name: 'find_places', input: { location: 'Jaipur', limit: 10 } }] },
+      { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Visit the Albert Hall Museum.' }] }
+    ], bodies)
+  ]);
+  const response = await parentAgent('Museums within 3 km of Jaipur', 'test-key', { placesFilters: { limit: 1 } });
+  
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.places.places.map(place => place.name), ['Albert Hall Museum']);
+  assert.match(overpassQueries[0], /"tourism"="museum"/);
+  assert.match(overpassQueries[0], /around:3000,/);
+});
+
+test('Claude is told the date passed as now', async () => {
+  const bodies = [];
+  http = mockFetch([
+    ...ROUTES,
+    claudeTurns([{ stop_reason: 'end_turn', content: [{ type: 'text', text: 'Which place do you mean?' }] }], bodies)
+  ]);
+  await parentAgent('Where should I go?', 'test-key', { now: new Date(2026, 2, 14, 9, 30) });
+  
+  assert.match(bodies[0].system, /Today is 2026-03-14\./);
+});
@@ -0,0 +1,151 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseCliArgs, runCli, UsageError } from '../cli/run.js';
+import { clearGeocodeCache } from '../src/utils/geocodeCache.js';
+import { mockFetch, nominatimResult } from './helpers/mockFetch.js';
+
+const JAIPUR = nominatimResult('Jaipur', 26.91, 75.79, { importance: 0.7, state: 'Rajasthan' });
+
+const FORECAST = {
+  daily: {
+    time: ['2025-03-14', '2025-03-15'],
+    temperature_2m_max: [31, 33],
+    temperature_2m_min: [18, 19],
+    precipitation_sum: [0, 0],
+    precipitation_probability_max: [5, 10],
+    wind_speed_10m_max: [12, 14],
+    weather_code: [0, 1]
+  }
+};
+
+const ROUTES = [
+  ['nominatim', (url) => (url.includes('Jaipur') ? [JAIPUR] : [])],
+  ['open-meteo', (url) => (url.includes('start_date') ? FORECAST : { current: { temperature_2m: 29, precipitation_probability: 0 } })],
+  ['overpass', { elements: [{ type: 'node', id: 1, lat: 26.92, lon: 75.8, tags: { name: 'Albert Hall Museum', tourism: 'museum' } }] }]
+];
+
+let http;
+
+afterEach(() => {
+  if (http) http.restore();
+  http = null;
+  clearGeocodeCache();
+});
+
+/**
+ * Run the CLI with captured output
+ */
+async function run(argv, env = {}) {
+  const output = { stdout: '', stderr: '' };
+  const stream = (name) => ({ write: (text) => { output[name] += text; } });
+  const code = await runCli(argv, { stdout: stream('stdout'), stderr: stream('stderr'), env });
+  return { code, ...output };
+}
+
+test('parses the filter, date and locale flags', () => {
+  const options = parseCliArgs(
+    ['-a', 'places', '-c', 'museum,fort', '--category', 'Park', '-r', '5', '-n', '3', '-d', '3', '-u', 'imperial', '--language', 'es', 'Jaipur'],
+    new Date(2025, 2, 14)
+  );
+  
+  assert.equal(options.agent, 'places');
+  assert.equal(options.query, 'Jaipur');
+  assert.deepEqual(options.placesFilters, { categories: ['museum', 'fort', 'park'], radiusKm: 5, limit: 3 });
+  assert.deepEqual([options.dateRange.start, options.dateRange.end], ['2025-03-14', '2025-03-16']);
+  assert.deepEqual(options.locale, { language: 'es', units: 'imperial', timeFormat: '24h' });
+});
+
+// [description, arguments]
+const INVALID_ARGUMENTS = [
+  ['an unknown option', ['--colour', 'red']],
+  ['an unknown agent', ['--agent', 'hotels', 'Jaipur']],
+  ['an unknown category', ['--category', 'casino', 'Jaipur']],
+  ['too many forecast days', ['--days', '30', 'Jaipur']],
+  ['a fractional limit', ['--limit', '2.5', 'Jaipur']]
+];
+
+for (const [description, argv] of INVALID_ARGUMENTS) {
+  test(`rejects ${description}`, async () => {
+    assert.throws(() => parseCliArgs(argv), UsageError);
+    const { code, stderr } = await run(argv);
+    assert.equal(code, 2);
+    assert.match(stderr, /--help/);
+  });
+}
+
+test('prints the parent agent answer', async () => {
+  http = mockFetch(ROUTES);
+  const { code, stdout } = await run(['What', 'is', 'the', 'weather', 'in', 'Jaipur?']);
+  
+  assert.equal(code, 0);
+  assert.match(stdout, /Jaipur/);
+  assert.match(stdout, /29°C/);
+});
+
+test('runs one agent directly with the category and radius flags', async () => {
+  let overpassQuery = '';
+  http = mockFetch([
+    ['overpass', (url, init) => {
+      overpassQuery = decodeURIComponent(String(init.body));
+      return ROUTES[2][1];
+    }],
+    ...ROUTES
+  ]);
+  const { code, stdout } = await run(['--agent', 'places', '--category', 'museum', '--radius', '5', '--json', 'Jaipur']);
+  const result = JSON.parse(stdout);
+  
+  assert.equal(code, 0);
+  assert.equal(result.agent, 'places');
+  assert.deepEqual(result.places.map(place => place.name), ['Albert Hall Museum']);
+  assert.match(overpassQuery, /"tourism"="museum"/);
+  assert.match(overpassQuery, /around:5000/);
+});
+
+test('--days asks the weather agent for a forecast', async () => {
+  http = mockFetch(ROUTES);
+  const { code, stdout } = await run(['--agent', 'weather', '--days', '2', '--units', 'imperial', '--location', 'Jaipur']);
+  
+  assert.equal(code, 0);
+  assert.ok(http.requests.some(url => url.includes('start_date')));
+  assert.match(stdout, /°F/);
+});
+
+test('batch mode answers each line and fails if any query fails', async () => {
+  http = mockFetch(ROUTES);
+  const dir = await mkdtemp(join(tmpdir(), 'tourism-cli-'));
+  const file = join(dir, 'queries.txt');
+  await writeFile(file, '# Trip ideas\nWeather in Jaipur\n\nWeather in Atlantis\n');
+  
+  try {
+    const { code, stdout } = await run(['--batch', file, '--json']);
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+    
+    assert.equal(code, 1);
+    assert.deepEqual(lines.map(line => line.query), ['Weather in Jaipur', 'Weather in Atlantis']);
+    assert.deepEqual(lines.map(line => line.response.success), [true, false]);
+    assert.equal(lines[0].response.session, undefined);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a failed --location lookup fails each query without stopping the batch', async () => {
+  http = mockFetch([['nominatim', () => new Response('', { status: 400 })], ...ROUTES]);
+  const dir = await mkdtemp(join(tmpdir(), 'tourism-cli-'));
+  const file = join(dir, 'queries.txt');
+  await writeFile(file, 'Weather\nMuseums\n');
+  
+  try {
+    const { code, stdout } = await run(['--batch', file, '--location', 'Jaipur', '--json']);
+    const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+    
+    assert.equal(code, 1);
+    assert.deepEqual(lines.map(line => line.query), ['Weather', 'Museums']);
+    assert.deepEqual(lines.map(line => line.response.error), Array(2).fill('Could not look up "Jaipur": The OpenStreetMap geocoder (Nominatim) rejected the request.'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractLocation, extractLocations } from '../src/agents/parentAgent.js';
+
+// [query, expected location, pattern that should handle it]
+const CASES = [
+  ["I'm going to go to Bangalore, let's plan my trip.", 'Bangalore', '1a: going to go to'],
+  ["I'm going to go to Bangalore, what is the temperature there?", 'Bangalore', '1a: going to go to'],
+  ['We are going to go to New Delhi.', 'New Delhi', '1a: going to go to'],
+  ['I am going to Tokyo', 'Tokyo', '1b: going to'],
+  ['Going to Goa, any suggestions?', 'Goa', '1b: going to'],
+  ['weather in New York City', 'New York City', '2b: in'],
+  ['weather in new york city?', 'new york city', '2b: in'],
+  ['Is it raining in London', 'London', '2b: in'],
+  ['how hot is it in Dubai', 'Dubai', '2b: in'],
+  ['What are the top attractions at Agra?', 'Agra', '2b: at (not the "at" in "What")'],
+  ['Take me to Rome', 'Rome', '3: to'],
+  ['Places to visit near Mysore', 'Mysore', '3/4: to/near'],
+  ['visiting Delhi, what should I see', 'Delhi', '4: indicator word, stops at the comma'],
+  ['tell me about Kyoto', 'Kyoto', '5: last words'],
+  ['Tell me about Xyz12345', 'Xyz12345', '5: last words'],
+  ['Paris', 'Paris', '5: last words'],
+  ['Rio de Janeiro', 'Rio de Janeiro', '5: last words'],
+  ['¿Qué tiempo hace en Madrid?', 'Madrid', '2b: en'],
+  ['Quel temps fait-il à Paris ?', 'Paris', '2b: à'],
+  ['Lieux à visiter au Maroc', 'Maroc', '2b: à, skipping "visiter au"'],
+  ['दिल्ली में मौसम कैसा है?', 'दिल्ली', '2a: में'],
+  ['नई दिल्ली का मौसम', 'नई दिल्ली', '2a: का'],
+  ['Jaipur mein ghumne ki jagah', 'Jaipur', '2a: mein']
+];
+
+for (const [query, expected, pattern] of CASES) {
+  test(`extractLocation(${JSON.stringify(query)}) -> ${expected} [${pattern}]`, () => {
+    assert.equal(extractLocation(query), expected);
+  });
+}
+
+test('extractLocation falls back to the whole input when only stop words remain', () => {
+  assert.equal(extractLocation('the'), 'the');
+});
+
+// [query, expected locations] for comparison queries
+const COMPARISON_CASES = [
+  ['Compare the weather in Goa and Shimla', ['Goa', 'Shimla']],
+  ['Which is better to visit, Paris or Rome?', ['Paris', 'Rome']],
+  ['New York vs. Los Angeles', ['New York', 'Los Angeles']],
+  ['Compare Goa, Shimla and Manali', ['Goa', 'Shimla', 'Manali']],
+  ['Is Goa warmer than Shimla?', ['Goa', 'Shimla']],
+  ['Is it sunny or rainy in Goa?', []],
+  ['Museums or galleries in Paris', []],
+  ['Which places should I visit in Bangalore?', []],
+  ['Places to visit in Bangalore and Mysore', []],
+  ['Which museums in Paris are free?', []],
+  ['Is it better to visit Goa in winter?', []],
+  ['Which is better in winter, Goa or Shimla?', ['Goa', 'Shimla']],
+  ['Compare the weather in Goa and Shimla this weekend', ['Goa', 'Shimla']],
+  // "or" and "than" alone don't make a comparison
+  ['Tea or coffee in Darjeeling?', []],
+  ['Should I go to Paris or stay home?', []],
+  ['Trinidad and Tobago or Jamaica', []],
+  // Next to "or" and "vs", "and" is part of a name
+  ['Which is better, Trinidad and Tobago or Jamaica?', ['Trinidad and Tobago', 'Jamaica']],
+  ['Bosnia and Herzegovina vs Croatia', ['Bosnia and Herzegovina', 'Croatia']]
+];
+
+for (const [query, expected] of COMPARISON_CASES) {
+  test(`extractLocations(${JSON.stringify(query)}) -> [${expected.join(', ')}]`, () => {
+    assert.deepEqual(extractLocations(query), expected);
+  });
+}
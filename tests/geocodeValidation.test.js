@@ -0,0 +1,161 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  levenshteinDistance,
+  calculateSimilarity,
+  isValidLocationMatch,
+  isAcceptableCandidate,
+  geocodeLocation,
+  SHORT_INPUT_LENGTH,
+  SHORT_INPUT_MIN_IMPORTANCE,
+  MIN_IMPORTANCE
+} from '../src/utils/api.js';
+import {
+  clearGeocodeCache,
+  getCachedGeocode,
+  setCachedGeocode,
+  HIT_TTL_MS,
+  MISS_TTL_MS
+} from '../src/utils/geocodeCache.js';
+import { mockFetch, nominatimResult } from './helpers/mockFetch.js';
+
+const LEVENSHTEIN_CASES = [
+  ['', '', 0],
+  ['paris', '', 5],
+  ['paris', 'paris', 0],
+  ['kitten', 'sitting', 3],
+  ['bangalore', 'bengaluru', 3],
+  ['goa', 'gao', 2],
+  ['mysore', 'mysuru', 2]
+];
+
+for (const [a, b, expected] of LEVENSHTEIN_CASES) {
+  test(`levenshteinDistance(${JSON.stringify(a)}, ${JSON.stringify(b)}) = ${expected}`, () => {
+    assert.equal(levenshteinDistance(a, b), expected);
+    assert.equal(levenshteinDistance(b, a), expected);
+  });
+}
+
+test('calculateSimilarity is 1 for equal strings and scales with the edit distance', () => {
+  assert.equal(calculateSimilarity('', ''), 1);
+  assert.equal(calculateSimilarity('paris', 'paris'), 1);
+  assert.equal(calculateSimilarity('kitten', 'sitting'), 4 / 7);
+});
+
+// [input, display name of the geocoder result, expected]
+const MATCH_CASES = [
+  ['Paris', 'Paris, Île-de-France, France', true],
+  ['paris france', 'Paris, Île-de-France, France', true],
+  ['New York City', 'New York, United States', true],
+  ['Mysore', 'Mysuru, Karnataka, India', true],
+  ['Bangalore', 'Bengaluru, Karnataka, India', true],
+  ['Mysor', 'Mysore, Karnataka, India', true],
+  ['Xyz12345', 'Xyz Street, Springfield, United States', false],
+  ['Goa', 'Goa, India', true],
+  ['Gao', 'Goa, India', false],
+  ['Rom', 'Rome, Lazio, Italy', false],
+  ['xyr', 'Xyrichtys, Ocean', false]
+];
+
+for (const [input, displayName, expected] of MATCH_CASES) {
+  test(`isValidLocationMatch(${JSON.stringify(input)}, ${JSON.stringify(displayName)}) = ${expected}`, () => {
+    assert.equal(isValidLocationMatch(input, { displayName }), expected);
+  });
+}
+
+test('isValidLocationMatch rejects missing results', () => {
+  assert.equal(isValidLocationMatch('Paris', null), false);
+  assert.equal(isValidLocationMatch('Paris', {}), false);
+});
+
+// Inputs shorter than SHORT_INPUT_LENGTH need SHORT_INPUT_MIN_IMPORTANCE, others MIN_IMPORTANCE
+const IMPORTANCE_CASES = [
+  ['Goa', 'Goa, India', SHORT_INPUT_MIN_IMPORTANCE, true],
+  ['Goa', 'Goa, India', SHORT_INPUT_MIN_IMPORTANCE - 0.01, false],
+  ['Paris', 'Paris, France', MIN_IMPORTANCE, true],
+  ['Paris', 'Paris, France', MIN_IMPORTANCE - 0.01, false],
+  ['Paris', 'Paris, France', SHORT_INPUT_MIN_IMPORTANCE - 0.01, true]
+];
+
+for (const [input, displayName, importance, expected] of IMPORTANCE_CASES) {
+  test(`isAcceptableCandidate(${JSON.stringify(input)}) with importance ${importance.toFixed(2)} = ${expected}`, () => {
+    assert.equal(input.length < SHORT_INPUT_LENGTH, input === 'Goa');
+    assert.equal(isAcceptableCandidate(input, { displayName, importance }), expected);
+  });
+}
+
+afterEach(() => clearGeocodeCache());
+
+test('geocodeLocation returns the most important acceptable candidate', async () => {
+  const http = mockFetch([
+    ['nominatim', [
+      nominatimResult('Paris', 33.66, -95.55, { importance: 0.45, country: 'United States', state: 'Texas' }),
+      nominatimResult('Paris', 48.85, 2.35, { importance: 0.9, country: 'France', state: 'Île-de-France' })
+    ]]
+  ]);
+  try {
+    const result = await geocodeLocation('Paris');
+    assert.equal(result.country, 'France');
+    assert.equal(result.lat, 48.85);
+  } finally {
+    http.restore();
+  }
+});
+
+test('geocodeLocation rejects obscure matches for short inputs', async () => {
+  const http = mockFetch([['nominatim', [nominatimResult('Xyr', 10, 10, { importance: 0.3 })]]]);
+  try {
+    assert.equal(await geocodeLocation('Xyr'), null);
+  } finally {
+    http.restore();
+  }
+});
+
+test('geocodeLocation returns null when nothing matches the input', async () => {
+  const http = mockFetch([['nominatim', [nominatimResult('Xyz Street', 10, 10, { importance: 0.3 })]]]);
+  try {
+    assert.equal(await geocodeLocation('Xyz12345'), null);
+  } finally {
+    http.restore();
+  }
+});
+
+test('a rate-limited Nominatim lookup is retried no sooner than a second later', async () => {
+  const sentAt = [];
+  const http = mockFetch([['nominatim', () => {
+    sentAt.push(Date.now());
+    return sentAt.length === 1
+      ? new Response('', { status: 429 })
+      : new Response(JSON.stringify([nominatimResult('Goa', 15.3, 74.1, { importance: 0.7 })]), { status: 200 });
+  }]]);
+  try {
+    const result = await geocodeLocation('Goa');
+    assert.equal(result.name, 'Goa');
+    assert.equal(sentAt.length, 2);
+    assert.ok(sentAt[1] - sentAt[0] >= 1000, `retried after ${sentAt[1] - sentAt[0]} ms`);
+  } finally {
+    http.restore();
+  }
+});
+
+test('cached misses expire after an hour while found places are kept', () => {
+  const realNow = Date.now;
+  const start = realNow();
+  try {
+    Date.now = () => start;
+    setCachedGeocode('Xyz12345', []);
+    setCachedGeocode('Nowhere', null);
+    setCachedGeocode('Paris', [{ displayName: 'Paris, France', lat: 48.85, lon: 2.35 }]);
+    assert.deepEqual(getCachedGeocode('Xyz12345'), []);
+    
+    Date.now = () => start + MISS_TTL_MS + 1;
+    assert.equal(getCachedGeocode('Xyz12345'), undefined);
+    assert.equal(getCachedGeocode('Nowhere'), undefined);
+    assert.equal(getCachedGeocode('Paris').length, 1);
+    
+    Date.now = () => start + HIT_TTL_MS + 1;
+    assert.equal(getCachedGeocode('Paris'), undefined);
+  } finally {
+    Date.now = realNow;
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Replace global fetch with canned responses, routed by URL substring.
+ * routes: [[urlPart, body | (url, init) => body | Response]]; unmatched requests get a 404.
+ * Returns the list of requested URLs and a restore() function.
+ */
+export function mockFetch(routes) {
+  const originalFetch = globalThis.fetch;
+  const requests = [];
+  
+  globalThis.fetch = async (url, init = {}) => {
+    requests.push(url);
+    const route = routes.find(([urlPart]) => url.includes(urlPart));
+    if (!route) {
+      return new Response('', { status: 404 });
+    }
+    const body = typeof route[1] === 'function' ? route[1](url, init) : route[1];
+    return body instanceof Response ? body : new Response(JSON.stringify(body), { status: 200 });
+  };
+  
+  return {
+    requests,
+    restore: () => {
+      globalThis.fetch = originalFetch;
+    }
+  };
+}
+
+/**
+ * A Nominatim search result
+ */
+export function nominatimResult(name, lat, lon, { importance = 0.6, country = 'India', state = '', type = 'city' } = {}) {
+  return {
+    lat: String(lat),
+    lon: String(lon),
+    name,
+    display_name: [name, state, country].filter(Boolean).join(', '),
+    importance,
+    type,
+    address: { country, state }
+  };
+}
@@ -0,0 +1,58 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parentAgent } from '../src/agents/parentAgent.js';
+import { clearGeocodeCache } from '../src/utils/geocodeCache.js';
+import { setHttpMode, clearFixtures, httpFetch, MissingFixtureError } from '../src/utils/httpRecorder.js';
+import { loadFixtureFile } from '../src/utils/fixtureFiles.js';
+import { requestWithRetry } from '../src/utils/http.js';
+
+const FIXTURES = new URL('./fixtures/bangalore.json', import.meta.url);
+
+// Replays must never reach the network
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  setHttpMode('live');
+  clearFixtures();
+  clearGeocodeCache();
+  globalThis.fetch = originalFetch;
+});
+
+async function replay() {
+  await loadFixtureFile(FIXTURES);
+  setHttpMode('replay');
+  globalThis.fetch = async (url) => {
+    throw new Error(`Unexpected network request to ${url}`);
+  };
+}
+
+test('replays a recorded query end to end without the network', async () => {
+  await replay();
+  const response = await parentAgent('Weather and places to visit in Bangalore');
+  
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.agents, ['weather', 'places']);
+  assert.equal(response.results.location, 'Bengaluru');
+  assert.equal(response.results.weather.data.temperature, 25);
+  assert.deepEqual(response.results.places.places.map(place => place.name), ['Lalbagh Botanical Garden', 'Bangalore Palace', 'Government Museum']);
+});
+
+test('a request without a recording fails with an error naming it', async () => {
+  await replay();
+  const url = 'https://nominatim.openstreetmap.org/search?q=Mysore&format=json&addressdetails=1&limit=5';
+  
+  await assert.rejects(httpFetch(url), new MissingFixtureError(`GET ${url}`));
+  await assert.rejects(requestWithRetry('Nominatim', [url]), /^MissingFixtureError: No recorded response for GET https:\/\/nominatim/);
+});
+
+test('a query needing an unrecorded request fails naming the request', async () => {
+  await replay();
+  
+  const unknownPlace = await parentAgent('Weather in Mysore');
+  assert.equal(unknownPlace.success, false);
+  assert.match(unknownPlace.error, /^No recorded response for GET https:\/\/nominatim\.openstreetmap\.org\/search\?q=Mysore&/);
+  
+  const forecast = await parentAgent('Weather in Bangalore tomorrow');
+  assert.equal(forecast.success, false);
+  assert.match(forecast.error, /^No recorded response for GET https:\/\/api\.open-meteo\.com\/v1\/forecast\?/);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { translate, createTranslator, joinList, resolveLocale, LANGUAGES } from '../src/i18n/index.js';
+import en from '../src/i18n/en.js';
+import es from '../src/i18n/es.js';
+import fr from '../src/i18n/fr.js';
+import hi from '../src/i18n/hi.js';
+import { formatTemperature, formatDistance, formatTime, formatOpeningHours } from '../src/utils/units.js';
+import { describeConditionsIn } from '../src/utils/weatherCodes.js';
+import { ApiError, apiErrorMessage } from '../src/utils/http.js';
+import { extractDateRange, formatRangeLabel } from '../src/utils/dates.js';
+
+// [value, units, expected]
+const TEMPERATURE_CASES = [
+  [24, 'metric', '24°C'],
+  [24, 'imperial', '75°F'],
+  [-40, 'imperial', '-40°F'],
+  [21.6, 'metric', '22°C']
+];
+
+for (const [celsius, units, expected] of TEMPERATURE_CASES) {
+  test(`formatTemperature(${celsius}, ${units}) -> ${expected}`, () => {
+    assert.equal(formatTemperature(celsius, units), expected);
+  });
+}
+
+test('formatDistance converts km to miles for imperial units', () => {
+  assert.equal(formatDistance(3, 'metric'), '3 km');
+  assert.equal(formatDistance(10, 'imperial'), '6.2 mi');
+});
+
+// [time, format, expected]
+const TIME_CASES = [
+  ['17:00', '24h', '17:00'],
+  ['17:00', '12h', '5 PM'],
+  ['09:30', '12h', '9:30 AM'],
+  ['00:00', '12h', '12 AM'],
+  ['12:15', '12h', '12:15 PM']
+];
+
+for (const [time, format, expected] of TIME_CASES) {
+  test(`formatTime(${time}, ${format}) -> ${expected}`, () => {
+    assert.equal(formatTime(time, format), expected);
+  });
+}
+
+test('formatOpeningHours rewrites every time in an OSM opening_hours value', () => {
+  assert.equal(formatOpeningHours('Mo-Sa 09:00-17:30; Su off', '12h'), 'Mo-Sa 9 AM-5:30 PM; Su off');
+});
+
+test('translate fills in placeholders and falls back to English', () => {
+  assert.equal(translate('es', 'ui.day', { day: 2 }), 'Día 2');
+  assert.equal(translate('xx', 'ui.day', { day: 2 }), 'Day 2');
+  assert.equal(translate('fr', 'no.such.key'), 'no.such.key');
+});
+
+for (const [language, messages] of Object.entries({ es, fr, hi })) {
+  test(`${LANGUAGES[language].englishName} has a message for every English key`, () => {
+    assert.deepEqual(Object.keys(messages).sort(), Object.keys(en).sort());
+  });
+}
+
+test('resolveLocale fills in defaults and rejects unknown languages', () => {
+  assert.deepEqual(resolveLocale({ units: 'imperial' }), { language: 'en', units: 'imperial', timeFormat: '24h' });
+  assert.equal(resolveLocale({ language: 'xx' }).language, 'en');
+});
+
+test('joinList uses the conjunction of the language', () => {
+  assert.equal(joinList(['A', 'B', 'C'], createTranslator({ language: 'fr' })), 'A, B et C');
+  assert.equal(joinList(['A', 'B'], createTranslator({ language: 'es' }), 'or'), 'A o B');
+  assert.equal(joinList(['A'], createTranslator()), 'A');
+});
+
+test('describeConditionsIn gives detailed labels in English and condition families otherwise', () => {
+  assert.equal(describeConditionsIn('en', 63), 'moderate rain');
+  assert.equal(describeConditionsIn('es', 63), 'lluvia');
+  assert.equal(describeConditionsIn('fr', 95), 'orages');
+  assert.equal(describeConditionsIn('hi', 1234), 'अज्ञात मौसम');
+});
+
+test('apiErrorMessage explains service failures in the language of the locale', () => {
+  const error = new ApiError('rate-limited', 'overpass');
+  
+  assert.equal(error.message, 'The OpenStreetMap places service (Overpass) is limiting requests right now. Please try again in a minute.');
+  assert.equal(apiErrorMessage(error, createTranslator({ language: 'es' })), 'El servicio de lugares de OpenStreetMap (Overpass) está limitando las solicitudes en este momento. Inténtalo de nuevo dentro de un minuto.');
+  assert.equal(new ApiError('aborted', 'open-meteo').message, 'The request to the Open-Meteo weather service was cancelled.');
+  // Services without a message of their own are named as given
+  assert.equal(new ApiError('not-found', 'My tile server').message, 'My tile server has no data for this request.');
+});
+
+test('formatRangeLabel names relative ranges and formats dates in the language of the locale', () => {
+  const today = new Date(2026, 2, 10);
+  const fr = createTranslator({ language: 'fr' });
+  
+  assert.equal(extractDateRange('weather this weekend', today).label, 'this weekend');
+  assert.equal(formatRangeLabel(extractDateRange('weather this weekend', today), fr, 'fr-FR'), 'ce week-end');
+  assert.equal(formatRangeLabel(extractDateRange('5-day forecast', today), fr, 'fr-FR'), '5 prochains jours');
+  assert.equal(formatRangeLabel(extractDateRange('12-15 March', today), fr, 'fr-FR'), 'jeu. 12 mars – dim. 15 mars');
+  assert.equal(formatRangeLabel({ start: '2026-03-12', end: '2026-03-12' }, createTranslator({ language: 'en' })), 'Thu, Mar 12');
+});
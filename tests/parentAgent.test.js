@@ -0,0 +1,261 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parentAgent, isNearMeQuery } from '../src/agents/parentAgent.js';
+import { clearGeocodeCache } from '../src/utils/geocodeCache.js';
+import { mockFetch, nominatimResult } from './helpers/mockFetch.js';
+
+const BANGALORE = nominatimResult('Bangalore', 12.97, 77.59, { importance: 0.7, state: 'Karnataka' });
+
+const CURRENT_WEATHER = { current: { temperature_2m: 24.4, precipitation_probability: 20 } };
+
+const OVERPASS_PLACES = {
+  elements: [
+    { type: 'way', id: 1, center: { lat: 12.95, lon: 77.58 }, tags: { name: 'Lalbagh Botanical Garden', leisure: 'park', wikipedia: 'en:Lal Bagh' } },
+    { type: 'node', id: 2, lat: 12.98, lon: 77.6, tags: { name: 'Government Museum', tourism: 'museum' } },
+    { type: 'node', id: 3, lat: 12.97, lon: 77.59, tags: { name: 'Tourist Information', tourism: 'information' } }
+  ]
+};
+
+const ROUTES = [
+  ['nominatim', (url) => (url.includes('Bangalore') ? [BANGALORE] : [])],
+  ['open-meteo', CURRENT_WEATHER],
+  ['overpass', OVERPASS_PLACES]
+];
+
+let http;
+
+afterEach(() => {
+  http.restore();
+  clearGeocodeCache();
+});
+
+test('answers weather and places for one location', async () => {
+  http = mockFetch(ROUTES);
+  const response = await parentAgent("I'm going to go to Bangalore, what is the temperature there? And what are the places I can visit?");
+  
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.agents, ['weather', 'places']);
+  assert.equal(response.results.location, 'Bangalore');
+  assert.equal(response.results.weather.data.temperature, 24);
+  assert.deepEqual(response.results.places.places.map(place => place.name), ['Lalbagh Botanical Garden', 'Government Museum']);
+  assert.match(response.message, /24°C/);
+  assert.equal(response.results.agentStatus.places.state, 'ok');
+});
+
+test('recommends indoor sights first when rain is likely', async () => {
+  http = mockFetch([
+    ['open-meteo', { current: { temperature_2m: 21, precipitation_probability: 80 } }],
+    ...ROUTES
+  ]);
+  const response = await parentAgent('Weather and places to visit in Bangalore');
+  
+  assert.equal(response.success, true);
+  assert.match(response.message, /carry an umbrella/);
+  assert.match(response.message, /start with the indoor sights: Government Museum, and save Lalbagh Botanical Garden for a dry spell/);
+});
+
+test('answers in the language and units of the locale, keeping the data metric', async () => {
+  http = mockFetch(ROUTES);
+  const response = await parentAgent('¿Qué tiempo hace en Bangalore? ¿Y qué lugares puedo visitar?', null, {
+    locale: { language: 'es', units: 'imperial' }
+  });
+  
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.agents, ['weather', 'places']);
+  assert.equal(response.results.weather.data.temperature, 24);
+  assert.equal(response.results.weather.data.units.temperature, '°C');
+  assert.match(response.message, /En Bangalore hace ahora 75°F, con un 20% de probabilidad de lluvia/);
+  assert.match(response.message, /Lo más destacado \(lugares de interés en Bangalore\): Lalbagh Botanical Garden y Government Museum\./);
+});
+
+test('reports progress in the language of the locale', async () => {
+  http = mockFetch(ROUTES);
+  const events = [];
+  await parentAgent('Lugares para visitar en Bangalore', null, {
+    locale: { language: 'es' },
+    onProgress: event => events.push(event)
+  });
+  const messages = events.map(event => event.message);
+  
+  assert.ok(messages.includes('Buscando "Bangalore"'));
+  assert.ok(messages.some(message => /^El agente places terminó en \d+\.\d s$/.test(message)));
+  assert.equal(messages[messages.length - 1], 'Listo');
+});
+
+test('defaults to places when no intent is mentioned', async () => {
+  http = mockFetch(ROUTES);
+  const response = await parentAgent('Bangalore');
+  
+  assert.equal(response.success, true);
+  assert.deepEqual(response.results.agents, ['places']);
+  assert.equal(http.requests.some(url => url.includes('open-meteo')), false);
+});
+
+test('reports unknown locations without calling the child agents', async () => {
+  http = mockFetch(ROUTES);
+  const response = await parentAgent('Tell me about Xyz12345');
+  
+  assert.equal(response.success, false);
+  assert.match(response.error, /Xyz12345/);
+  assert.equal(http.requests.some(url => url.includes('overpass')), false);
+});
+
+test('asks which place was meant when a name is ambiguous', async () => {
+  http = mockFetch([
+    ['nominatim', [
+      nominatimResult('Springfield', 39.8, -89.65, { importance: 0.6, country: 'United States', state: 'Illinois' }),
+      nominatimResult('Springfield', 37.21, -93.29, { importance: 0.58, country: 'United States', state: 'Missouri' })
+    ]]
+  ]);
+  const response = await parentAgent('weather in Springfield');
+  
+  assert.equal(response.success, false);
+  assert.equal(response.needsDisambiguation, true);
+  assert.deepEqual(response.candidates.map(candidate => candidate.state), ['Illinois', 'Missouri']);
+});
+
+test('follow-ups reuse the previous location without geocoding again', async () => {
+  http = mockFetch(ROUTES);
+  const first = await parentAgent('Places to visit in Bangalore');
+  const requestsBefore = http.requests.filter(url => url.includes('nominatim')).length;
+  const followUp = await parentAgent("And what's the weather there?", null, { session: first.session });
+  
+  assert.equal(followUp.success, true);
+  assert.equal(followUp.results.location, 'Bangalore');
+  assert.ok(followUp.results.agents.includes('weather'));
+  assert.equal(http.requests.filter(url => url.includes('nominatim')).length, requestsBefore);
+});
+
+test('"there" and "also" only make a follow-up when no new place is named', async () => {
+  http = mockFetch([
+    ['nominatim', (url) => (url.includes('Paris') ? [nominatimResult('Paris', 48.86, 2.35, { importance: 0.8, country: 'France' })] : [BANGALORE])],
+    ['open-meteo', { ...CURRENT_WEATHER, daily: { time: [], temperature_2m_max: [], temperature_2m_min: [], precipitation_probability_max: [] } }],
+    ['overpass', OVERPASS_PLACES]
+  ]);
+  const first = await parentAgent('Top 3 museums within 5 km of Bangalore this weekend', null, { now: new Date('2026-03-11T10:00:00') });
+  assert.ok(first.session.dateRange);
+  assert.equal(first.session.placesFilters.limit, 3);
+  
+  const fresh = await parentAgent('Is there a museum in Paris?', null, { session: first.session });
+  assert.equal(fresh.results.location, 'Paris');
+  assert.equal(fresh.session.dateRange, null);
+  assert.equal(fresh.session.placesFilters.limit, null);
+  
+  const followUp = await parentAgent("What's the weather there?", null, { session: first.session });
+  assert.equal(followUp.results.location, 'Bangalore');
+  assert.deepEqual(followUp.session.dateRange, first.session.dateRange);
+});
+
+// [query, expected isNearMeQuery result]
+const NEAR_ME_QUERIES = [
+  ['What is there to see near me?', true],
+  ['weather around here', true],
+  ['lugares cerca de mí', true],
+  ['quel temps fait-il ici ?', true],
+  ['मेरे पास घूमने की जगह', true],
+  ['museums near me in Bangalore', false],
+  ['Places to visit in Bangalore', false],
+  ['Is the hotel near the beach?', false]
+];
+
+for (const [query, expected] of NEAR_ME_QUERIES) {
+  test(`isNearMeQuery("${query}")`, () => {
+    assert.equal(isNearMeQuery(query), expected);
+  });
+}
+
+test('answers near-me questions for the place at the shared position', async () => {
+  http = mockFetch([
+    ['nominatim.openstreetmap.org/reverse', { ...BANGALORE, name: '' }],
+    ...ROUTES
+  ]);
+  const events = [];
+  const response = await parentAgent('What is the weather near me?', null, {
+    position: { lat: 12.9716, lon: 77.5946 },
+    onProgress: event => events.push(event)
+  });
+  
+  assert.equal(response.success, true);
+  assert.equal(response.results.location, 'Bangalore');
+  assert.deepEqual(response.results.agents, ['weather']);
+  assert.equal(events.find(event => event.type === 'location-resolved').source, 'position');
+  assert.equal(http.requests.some(url => url.includes('/search')), false);
+});
+
+test('asks for the position when a near-me question comes without one', async () => {
+  http = mockFetch(ROUTES);
+  const response = await parentAgent('Places to visit around here');
+  
+  assert.equal(response.success, false);
+  assert.equal(response.needsPosition, true);
+  assert.equal(http.requests.length, 0);
+});
+
+test('returns the weather when the places service is rate limiting', async () => {
+  http = mockFetch([
+    ...ROUTES.filter(([urlPart]) => urlPart !== 'overpass'),
+    ['overpass', () => new Response('', { status: 429, headers: { 'Retry-After': '0' } })]
+  ]);
+  const response = await parentAgent('What is the weather and what places can I visit in Bangalore?');
+  
+  assert.equal(response.success, true);
+  assert.equal(response.results.agentStatus.weather.state, 'ok');
+  assert.equal(response.results.agentStatus.places.state, 'failed');
+  assert.equal(response.results.agentStatus.places.reason, 'rate-limited');
+  assert.match(response.message, /limiting requests/);
+  
+  const spanish = await parentAgent('¿Qué tiempo hace en Bangalore? ¿Y qué lugares puedo visitar?', null, { locale: { language: 'es' } });
+  assert.match(spanish.message, /El servicio de lugares de OpenStreetMap \(Overpass\) está limitando las solicitudes/);
+});
+
+test('compares the weather and attractions of two places side by side', async () => {
+  const GOA = nominatimResult('Goa', 15.3, 74.1, { importance: 0.7 });
+  const SHIMLA = nominatimResult('Shimla', 31.1, 77.17, { importance: 0.6, state: 'Himachal Pradesh' });
+  http = mockFetch([
+    ['nominatim', (url) => (url.includes('Goa') ? [GOA] : url.includes('Shimla') ? [SHIMLA] : [])],
+    ['open-meteo', (url) => (url.includes('latitude=15.3')
+      ? { current: { temperature_2m: 31, precipitation_probability: 40 } }
+      : { current: { temperature_2m: 12, precipitation_probability: 10 } })],
+    ['overpass', OVERPASS_PLACES]
+  ]);
+  const response = await parentAgent('Which is better to visit, Goa or Shimla?');
+  
+  assert.equal(response.success, true);
+  const { comparison } = response.results;
+  assert.deepEqual(comparison.agents, ['weather', 'places']);
+  assert.deepEqual(comparison.locations.map(location => location.name), ['Goa', 'Shimla']);
+  assert.equal(comparison.locations[0].metrics.temperature.value, 31);
+  assert.equal(comparison.locations[1].metrics.attractions.value, 2);
+  assert.deepEqual(comparison.highlights, { temperature: 'Goa', rainChance: 'Shimla' });
+  assert.match(response.message, /Warmest: Goa/);
+});
+
+test('looks up "X and Y" as one place before splitting it', async () => {
+  const countries = {
+    'Bosnia and Herzegovina': nominatimResult('Bosnia and Herzegovina', 44, 17.7, { importance: 0.8, country: 'Bosnia and Herzegovina', type: 'country' }),
+    Croatia: nominatimResult('Croatia', 45.5, 15.5, { importance: 0.8, country: 'Croatia', type: 'country' }),
+    Goa: nominatimResult('Goa', 15.3, 74.1, { importance: 0.65, state: 'Goa' }),
+    Shimla: nominatimResult('Shimla', 31.1, 77.17, { importance: 0.6, state: 'Himachal Pradesh' })
+  };
+  const geocoder = (url) => {
+    const query = new URL(url).searchParams.get('q');
+    return countries[query] ? [countries[query]] : query === 'Bangalore' ? [BANGALORE] : [];
+  };
+  http = mockFetch([['nominatim', geocoder], ...ROUTES]);
+  
+  const whole = await parentAgent('Bosnia and Herzegovina vs Croatia');
+  assert.deepEqual(whole.results.comparison.locations.map(location => location.name), ['Bosnia and Herzegovina', 'Croatia']);
+  assert.equal(http.requests.filter(url => url.includes('nominatim')).length, 2);
+  
+  const split = await parentAgent('Which is better, Goa and Bangalore or Shimla?');
+  assert.deepEqual(split.results.comparison.locations.map(location => location.name), ['Goa', 'Bangalore', 'Shimla']);
+});
+
+test('answers for one place when only one of the compared names is found', async () => {
+  http = mockFetch(ROUTES);
+  const response = await parentAgent('Which is better to visit, Bangalore or Narnia?');
+  
+  assert.equal(response.success, true);
+  assert.equal(response.results.location, 'Bangalore');
+  assert.equal(response.results.comparison, undefined);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQueryLink, parseQueryLink } from '../src/utils/deepLinks.js';
+import { addToHistory, loadHistory, MAX_HISTORY_ENTRIES } from '../src/utils/queryHistory.js';
+
+const BASE_URL = 'https://tourism.example/app/?q=old#results';
+
+const SPRINGFIELD = { displayName: 'Springfield, Illinois, United States', lat: 39.8, lon: -89.65 };
+
+test('a query link round-trips the query, pinned location and preferences', () => {
+  const url = buildQueryLink({ query: 'Weather & places?', location: SPRINGFIELD, locale: { language: 'fr', units: 'imperial', timeFormat: '24h' } }, BASE_URL);
+  const parsed = parseQueryLink(new URL(url).search);
+  
+  assert.match(url, /^https:\/\/tourism\.example\/app\/\?q=/);
+  assert.doesNotMatch(url, /time=|#/);
+  assert.deepEqual(parsed, { query: 'Weather & places?', location: SPRINGFIELD, locale: { language: 'fr', units: 'imperial' } });
+});
+
+// [search, expected parseQueryLink result]
+const LINKS = [
+  ['', null],
+  ['?q=%20%20', null],
+  ['?q=weather+in+Goa', { query: 'weather in Goa', location: null, locale: {} }],
+  ['?q=weather&loc=Goa', { query: 'weather', location: null, locale: {} }],
+  ['?q=weather&loc=Goa&ll=95,74', { query: 'weather', location: null, locale: {} }],
+  ['?q=weather&loc=Goa&ll=15.3,74.1&units=kelvin&lang=de&time=12h', { query: 'weather', location: { displayName: 'Goa', lat: 15.3, lon: 74.1 }, locale: { timeFormat: '12h' } }]
+];
+
+for (const [search, expected] of LINKS) {
+  test(`parseQueryLink("${search}")`, () => {
+    assert.deepEqual(parseQueryLink(search), expected);
+  });
+}
+
+test('the history keeps the newest queries first without duplicates', () => {
+  let history = [];
+  history = addToHistory(history, { query: 'Weather in Goa', locationName: 'Goa' }, 1);
+  history = addToHistory(history, { query: 'Places in Springfield', location: SPRINGFIELD, locationName: 'Springfield' }, 2);
+  history = addToHistory(history, { query: 'weather in goa ', locationName: 'Goa' }, 3);
+  
+  assert.deepEqual(history.map(entry => [entry.query, entry.timestamp]), [['weather in goa ', 3], ['Places in Springfield', 2]]);
+  assert.deepEqual(history[1].location, SPRINGFIELD);
+  
+  for (let i = 0; i < MAX_HISTORY_ENTRIES + 5; i++) {
+    history = addToHistory(history, { query: `Query ${i}` }, 10 + i);
+  }
+  assert.equal(history.length, MAX_HISTORY_ENTRIES);
+  assert.equal(history[0].query, `Query ${MAX_HISTORY_ENTRIES + 4}`);
+});
+
+test('the history is empty without localStorage', () => {
+  assert.deepEqual(loadHistory(), []);
+});
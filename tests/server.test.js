@@ -0,0 +1,154 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRequestHandler } from '../server/app.js';
+import { parseEnv } from '../server/env.js';
+import { setResponseCache } from '../src/utils/httpRecorder.js';
+import { createResponseCache } from '../src/utils/responseCache.js';
+import { clearGeocodeCache } from '../src/utils/geocodeCache.js';
+import { mockFetch, nominatimResult } from './helpers/mockFetch.js';
+
+// The real fetch, for talking to the test server while the external APIs are mocked
+const request = globalThis.fetch;
+
+const GOA = nominatimResult('Goa', 15.3, 74.1, { importance: 0.7 });
+
+const ROUTES = [
+  ['nominatim', (url) => (url.includes('Goa') ? [GOA] : [])],
+  ['open-meteo', { current: { temperature_2m: 31, precipitation_probability: 10 } }],
+  ['overpass', { elements: [] }]
+];
+
+let server;
+let baseUrl;
+let http;
+
+before(async () => {
+  server = createServer(createRequestHandler({ apiKey: null }));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+afterEach(() => {
+  if (http) http.restore();
+  http = null;
+  setResponseCache(null);
+  clearGeocodeCache();
+});
+
+const postQuery = (body, headers = {}) => request(`${baseUrl}/api/query`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+test('answers queries with the parentAgent response', async () => {
+  http = mockFetch(ROUTES);
+  const response = await postQuery({ query: 'What is the weather in Goa?' });
+  const body = await response.json();
+  
+  assert.equal(response.status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.results.weather.data.temperature, 31);
+  assert.equal(body.session.locationName, 'Goa');
+});
+
+test('streams progress, partial results and the result as NDJSON', async () => {
+  http = mockFetch(ROUTES);
+  const response = await postQuery({ query: 'What is the weather in Goa?', locale: { units: 'imperial' } }, { Accept: 'application/x-ndjson' });
+  const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+  
+  assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+  assert.ok(lines.some(line => line.type === 'progress' && line.event.type === 'location-resolved'));
+  assert.ok(lines.some(line => line.type === 'partial'));
+  const result = lines[lines.length - 1];
+  assert.equal(result.type, 'result');
+  assert.match(result.response.message, /88°F/);
+});
+
+// [description, request, expected status]
+const ERROR_CASES = [
+  ['a missing query', () => postQuery({}), 400],
+  ['invalid JSON', () => request(`${baseUrl}/api/query`, { method: 'POST', body: '{' }), 400],
+  ['the wrong method', () => request(`${baseUrl}/api/query`), 405],
+  ['an unknown endpoint', () => request(`${baseUrl}/api/unknown`), 404]
+];
+
+for (const [description, send, status] of ERROR_CASES) {
+  test(`answers ${description} with ${status}`, async () => {
+    const response = await send();
+    const body = await response.json();
+    assert.equal(response.status, status);
+    assert.equal(body.success, false);
+  });
+}
+
+test('reports whether Claude is enabled without revealing the key', async () => {
+  const response = await request(`${baseUrl}/api/health`);
+  assert.deepEqual(await response.json(), { ok: true, claude: false });
+});
+
+test('the response cache answers repeated weather requests without the network', async () => {
+  http = mockFetch(ROUTES);
+  setResponseCache(createResponseCache({ rules: [{ prefixes: ['https://api.open-meteo.com'], ttlMs: 60000 }] }));
+  
+  await postQuery({ query: 'What is the weather in Goa?' });
+  await postQuery({ query: 'What is the weather in Goa?' });
+  
+  assert.equal(http.requests.filter(url => url.includes('open-meteo')).length, 1);
+});
+
+test('the response cache keeps only covered, unexpired requests', () => {
+  const cache = createResponseCache({ rules: [{ prefixes: ['https://a.example'], ttlMs: 1000 }], maxEntries: 2 });
+  const response = { status: 200, headers: {}, body: '{}' };
+  
+  assert.equal(cache.set('https://b.example/x', {}, response), false);
+  cache.set('https://a.example/1', {}, response);
+  cache.set('https://a.example/2', { method: 'POST', body: 'q' }, response);
+  cache.set('https://a.example/3', {}, response);
+  
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('https://a.example/1'), undefined);
+  assert.deepEqual(cache.get('https://a.example/2', { method: 'POST', body: 'q' }), response);
+  assert.equal(cache.get('https://a.example/2'), undefined);
+});
+
+test('serves the built app and rejects malformed paths', async () => {
+  const staticDir = await mkdtemp(join(tmpdir(), 'tourism-dist-'));
+  await writeFile(join(staticDir, 'index.html'), '<h1>Tourism</h1>');
+  const appServer = createServer(createRequestHandler({ staticDir }));
+  await new Promise(resolve => appServer.listen(0, '127.0.0.1', resolve));
+  const appUrl = `http://127.0.0.1:${appServer.address().port}`;
+  
+  try {
+    const page = await request(`${appUrl}/trips`);
+    assert.equal(page.status, 200);
+    assert.equal(await page.text(), '<h1>Tourism</h1>');
+    
+    const malformed = await request(`${appUrl}/%E0%A4%A`);
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).error, 'The request path is not valid');
+  } finally {
+    appServer.close();
+    await rm(staticDir, { recursive: true });
+  }
+});
+
+test('parseEnv reads KEY=value lines like Vite does', () => {
+  const text = ['# Agent server', 'ANTHROPIC_API_KEY=sk-test', 'export PORT = 9000', 'CORS_ORIGIN="https://example.com"', "VITE_HTTP_USER_AGENT='TourismApp/1.0 (me@example.com)'", 'VITE_HTTP_RETRIES=3 # fewer', ''].join('\n');
+  
+  assert.deepEqual(parseEnv(text), {
+    ANTHROPIC_API_KEY: 'sk-test',
+    PORT: '9000',
+    CORS_ORIGIN: 'https://example.com',
+    VITE_HTTP_USER_AGENT: 'TourismApp/1.0 (me@example.com)',
+    VITE_HTTP_RETRIES: '3'
+  });
+});
@@ -0,0 +1,141 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parentAgent } from '../src/agents/parentAgent.js';
+import { clearGeocodeCache } from '../src/utils/geocodeCache.js';
+import {
+  createTrip, tripToResponse, refreshTrip, createFavourite,
+  exportTrips, importTrips, placesToGpx, placesToGeoJson
+} from '../src/utils/trips.js';
+import { openTripStore } from '../src/utils/tripStore.js';
+import { mockFetch, nominatimResult } from './helpers/mockFetch.js';
+
+const GOA = nominatimResult('Goa', 15.3, 74.1, { importance: 0.7 });
+
+const OVERPASS_PLACES = {
+  elements: [
+    { type: 'node', id: 1, lat: 15.5, lon: 73.76, tags: { name: 'Calangute Beach', natural: 'beach' } },
+    { type: 'node', id: 2, lat: 15.5, lon: 73.91, tags: { name: 'Basilica of Bom Jesus', historic: 'church', wikipedia: 'en:Basilica of Bom Jesus' } }
+  ]
+};
+
+let temperature = 31;
+
+const ROUTES = [
+  ['nominatim', (url) => (url.includes('Goa') ? [GOA] : [])],
+  ['open-meteo', () => ({ current: { temperature_2m: temperature, precipitation_probability: 10 } })],
+  ['overpass', OVERPASS_PLACES]
+];
+
+let http;
+
+afterEach(() => {
+  if (http) http.restore();
+  http = null;
+  clearGeocodeCache();
+  temperature = 31;
+});
+
+async function goaTrip(options) {
+  const response = await parentAgent('What is the weather in Goa and what can I visit?');
+  return createTrip(response, options);
+}
+
+test('a trip keeps the location, weather and chosen attractions of an answer', async () => {
+  http = mockFetch(ROUTES);
+  const trip = await goaTrip({ name: 'Monsoon break', placeIds: ['node/2'] });
+  
+  assert.equal(trip.name, 'Monsoon break');
+  assert.equal(trip.locationName, 'Goa');
+  assert.equal(trip.query, 'What is the weather in Goa and what can I visit?');
+  assert.deepEqual([trip.location.lat, trip.location.lon], [15.3, 74.1]);
+  assert.equal(trip.weather.data.temperature, 31);
+  assert.deepEqual(trip.places.map(place => place.name), ['Basilica of Bom Jesus']);
+  
+  const { results } = tripToResponse(trip);
+  assert.deepEqual(results.agents, ['weather', 'places']);
+  assert.equal(results.places.places.length, 1);
+});
+
+test('answers that are not about one place cannot be saved', () => {
+  assert.equal(createTrip({ success: false, error: 'Not found' }), null);
+  assert.equal(createTrip({ success: true, results: { agents: [], comparison: { locations: [] } } }), null);
+});
+
+test('refreshing a trip fetches its weather again for the saved location', async () => {
+  http = mockFetch(ROUTES);
+  const trip = await goaTrip();
+  temperature = 26;
+  const geocodes = http.requests.filter(url => url.includes('nominatim')).length;
+  
+  const refreshed = await refreshTrip(trip, (query, options) => parentAgent(query, null, options));
+  
+  assert.equal(refreshed.weather.data.temperature, 26);
+  assert.deepEqual(refreshed.places, trip.places);
+  assert.equal(http.requests.filter(url => url.includes('nominatim')).length, geocodes);
+});
+
+test('trips and favourites survive an export and import', async () => {
+  http = mockFetch(ROUTES);
+  const trip = await goaTrip();
+  const favourite = createFavourite(trip.places[0], 'Goa');
+  
+  const imported = importTrips(exportTrips([trip], [favourite]));
+  
+  assert.deepEqual(imported.trips, [trip]);
+  assert.deepEqual(imported.favourites, [favourite]);
+});
+
+test('importing drops weather that is not a weather result', async () => {
+  http = mockFetch(ROUTES);
+  const trip = await goaTrip();
+  const forecast = {
+    success: true,
+    message: 'Forecast for Goa (tomorrow):',
+    data: { city: 'Goa', range: { start: '2026-03-11', end: '2026-03-11', label: 'tomorrow' }, forecast: [{ date: '2026-03-11', temperatureMax: 31, temperatureMin: 24, weatherCode: 1 }] }
+  };
+  const trips = [
+    { ...trip, id: 'broken', weather: { success: true, data: { forecast: 1 } } },
+    { ...trip, id: 'forecast', weather: forecast }
+  ];
+  
+  const imported = importTrips(exportTrips(trips));
+  
+  assert.equal(imported.trips[0].weather, null);
+  assert.deepEqual(imported.trips[0].places, trip.places);
+  assert.deepEqual(imported.trips[1].weather, forecast);
+});
+
+// [description, file contents, expected error]
+const INVALID_IMPORTS = [
+  ['invalid JSON', '{', /not valid JSON/],
+  ['other JSON', '{"type":"FeatureCollection"}', /not a trips export/],
+  ['a trip without coordinates', JSON.stringify({ format: 'tourism-trips', version: 1, trips: [{ id: 'a', name: 'A', places: [] }] }), /invalid trip/]
+];
+
+for (const [description, text, error] of INVALID_IMPORTS) {
+  test(`importing ${description} fails`, () => {
+    assert.throws(() => importTrips(text), error);
+  });
+}
+
+test('attractions export as GPX waypoints and GeoJSON points', () => {
+  const places = [{ id: 'node/1', name: 'Fort <Aguada> & Lighthouse', type: 'fort', lat: 15.49, lon: 73.77 }];
+  
+  const gpx = placesToGpx(places, 'Goa');
+  assert.match(gpx, /<wpt lat="15.49" lon="73.77">/);
+  assert.match(gpx, /<name>Fort &lt;Aguada&gt; &amp; Lighthouse<\/name>/);
+  
+  const geojson = JSON.parse(placesToGeoJson(places, 'Goa'));
+  assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [73.77, 15.49] });
+  assert.equal(geojson.features[0].properties.name, 'Fort <Aguada> & Lighthouse');
+});
+
+test('the trip store keeps trips in memory without IndexedDB', async () => {
+  const store = openTripStore(null);
+  await store.trips.put({ id: 'a', name: 'A' });
+  await store.favourites.put({ id: 'node/1', name: 'Fort' });
+  await store.trips.delete('missing');
+  
+  assert.deepEqual(await store.trips.list(), [{ id: 'a', name: 'A' }]);
+  assert.deepEqual(await store.favourites.get('node/1'), { id: 'node/1', name: 'Fort' });
+});
@@ -3,5 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // The agent server (npm run server) answers the app's /api requests
+    proxy: {
+      '/api': `http://localhost:${process.env.PORT || 8787}`
+    }
+  },
 })
-